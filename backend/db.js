@@ -1,3 +1,12 @@
-import pkg from 'pg'; const { Pool } = pkg;
-const pool = new Pool({ connectionString: process.env.DATABASE_URL || 'postgres://trackas:trackas@db:5432/trackas' });
+import pkg from 'pg'; const { Pool, Client } = pkg;
+const connectionString = process.env.DATABASE_URL || 'postgres://trackas:trackas@db:5432/trackas';
+const pool = new Pool({ connectionString });
 export function query(text, params){ return pool.query(text, params); }
+export async function withTransaction(fn){
+  const client = await pool.connect();
+  try { await client.query('BEGIN'); const result = await fn(client); await client.query('COMMIT'); return result; }
+  catch (e) { await client.query('ROLLBACK'); throw e; }
+  finally { client.release(); }
+}
+// Dedicated connection outside the pool, for LISTEN
+export async function createListenerClient(){ const client = new Client({ connectionString }); await client.connect(); return client; }
@@ -20,6 +20,11 @@ import tracking from './routes/tracking.js';
 import health from './routes/health.js';
 import errors from './routes/errors.js';
 import vercel from './routes/vercel.js';
+import documents from './routes/documents.js';
+import storage from './routes/storage.js';
+import { startDispatchSweeper } from './services/dispatch.js';
+import { startTrackingHub } from './services/trackingHub.js';
+import { startExpiryMonitor } from './services/documentExpiry.js';
 import { 
   withVercelErrorHandling,
   vercelRequestSizeLimiter,
@@ -34,6 +39,10 @@ import {
 
 const app = express();
 
+// req.ip feeds per-IP login throttling; trust the proxy in front of the API (the Next.js
+// rewrite runs on loopback) so it is the client address rather than the proxy's
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -41,10 +50,11 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Rate limiting. Dashboards poll, so the general limit is generous; logins have their
+// own per-account and per-IP protection (services/loginProtection.js)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.API_RATE_LIMIT_MAX || '1000', 10), // requests per IP per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
@@ -81,6 +91,8 @@ app.use('/api/ratings', ratings);
 app.use('/api/tracking', tracking);
 app.use('/api/errors', errors);
 app.use('/api/vercel', vercel);
+app.use('/api/documents', documents);
+app.use('/api/storage', storage);
 app.use('/', health);
 
 const port = process.env.PORT || 4000;
@@ -92,4 +104,7 @@ app.listen(port, () => {
   });
   console.log('TrackAS backend running on', port);
   console.log('Comprehensive error handling system initialized');
+  startDispatchSweeper();
+  startTrackingHub();
+  startExpiryMonitor();
 });
@@ -0,0 +1,3 @@
+-- Position of the vehicle at the moment of each status transition
+ALTER TABLE shipment_events ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+ALTER TABLE shipment_events ADD COLUMN IF NOT EXISTS lng DOUBLE PRECISION;
@@ -0,0 +1,8 @@
+-- Operator hand-offs on shipment events (release / reassignment audit trail)
+ALTER TABLE shipment_events ADD COLUMN IF NOT EXISTS from_operator_id UUID REFERENCES operators(id) ON DELETE SET NULL;
+ALTER TABLE shipment_events ADD COLUMN IF NOT EXISTS to_operator_id UUID REFERENCES operators(id) ON DELETE SET NULL;
+
+-- Refund bookkeeping for cancelled shipments
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_status TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_amount NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
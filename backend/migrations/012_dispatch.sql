@@ -0,0 +1,24 @@
+-- Vehicle an operator is currently driving (used for capacity matching)
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL;
+
+-- Older pings tables were created without operator_id
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS operator_id UUID REFERENCES operators(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_pings_operator_ts ON pings (operator_id, ts DESC);
+
+-- Sequential job offers made by the dispatch engine
+CREATE TABLE IF NOT EXISTS dispatch_offers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  operator_id UUID NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+  rank INT NOT NULL,
+  score NUMERIC,
+  distance_km NUMERIC,
+  status TEXT NOT NULL DEFAULT 'OFFERED' CHECK (status IN ('OFFERED', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'CANCELLED')),
+  offered_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  responded_at TIMESTAMPTZ,
+  UNIQUE (shipment_id, operator_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispatch_offers_status_expiry ON dispatch_offers (status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_dispatch_offers_operator ON dispatch_offers (operator_id, status);
@@ -0,0 +1,21 @@
+-- Price quotes; a shipment locks in the quote it was created from
+CREATE TABLE IF NOT EXISTS quotes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  vehicle_type TEXT NOT NULL,
+  inputs JSONB NOT NULL,
+  line_items JSONB NOT NULL,
+  distance_km NUMERIC,
+  chargeable_weight NUMERIC,
+  total NUMERIC NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'INR',
+  expires_at TIMESTAMPTZ NOT NULL,
+  shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotes_company ON quotes (company_id, created_at DESC);
+
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES quotes(id) ON DELETE SET NULL;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS vehicle_type TEXT;
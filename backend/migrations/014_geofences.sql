@@ -0,0 +1,11 @@
+-- Geofence around each stop; arrival/departure detected from pings
+ALTER TABLE stops ADD COLUMN IF NOT EXISTS geofence_radius_m INT;
+ALTER TABLE stops ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMPTZ;
+ALTER TABLE stops ADD COLUMN IF NOT EXISTS departed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_stops_shipment_order ON stops (shipment_id, order_index);
+
+-- Default radius (metres) for stops without their own
+INSERT INTO settings(key,value) VALUES
+  ('GEOFENCE_RADIUS_M','150')
+ON CONFLICT(key) DO NOTHING;
@@ -0,0 +1,9 @@
+-- Promised delivery time and rolling ETA for in-transit shipments
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS promised_delivery_at TIMESTAMPTZ;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS eta_at TIMESTAMPTZ;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS eta_remaining_km NUMERIC;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS eta_speed_kmh NUMERIC;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS eta_updated_at TIMESTAMPTZ;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS eta_delayed BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_pings_shipment_ts ON pings (shipment_id, ts DESC);
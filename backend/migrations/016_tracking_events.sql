@@ -0,0 +1,83 @@
+-- Tracking stream: every location, status and ETA change becomes a numbered event
+-- (the SSE event id) and is announced with NOTIFY on channel tracking_events
+CREATE TABLE IF NOT EXISTS tracking_events (
+  id BIGSERIAL PRIMARY KEY,
+  shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('location','status','eta')),
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracking_events_shipment_id ON tracking_events (shipment_id, id);
+
+CREATE OR REPLACE FUNCTION notify_tracking_event() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('tracking_events', json_build_object(
+    'id', NEW.id,
+    'shipment_id', NEW.shipment_id,
+    'type', NEW.type,
+    'payload', NEW.payload
+  )::text);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tracking_events_notify ON tracking_events;
+CREATE TRIGGER tracking_events_notify AFTER INSERT ON tracking_events
+  FOR EACH ROW EXECUTE FUNCTION notify_tracking_event();
+
+-- location: new ping
+CREATE OR REPLACE FUNCTION record_ping_tracking_event() RETURNS trigger AS $$
+BEGIN
+  IF NEW.shipment_id IS NOT NULL THEN
+    INSERT INTO tracking_events (shipment_id, type, payload)
+    VALUES (NEW.shipment_id, 'location', jsonb_build_object('lat', NEW.lat, 'lng', NEW.lng, 'timestamp', NEW.ts));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS pings_tracking_event ON pings;
+CREATE TRIGGER pings_tracking_event AFTER INSERT ON pings
+  FOR EACH ROW EXECUTE FUNCTION record_ping_tracking_event();
+
+-- status: recorded lifecycle transition
+CREATE OR REPLACE FUNCTION record_status_tracking_event() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO tracking_events (shipment_id, type, payload)
+  VALUES (NEW.shipment_id, 'status', jsonb_build_object(
+    'from', NEW.from_status,
+    'to', NEW.to_status,
+    'reason', NEW.reason,
+    'actor_role', NEW.actor_role,
+    'timestamp', NEW.created_at
+  ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS shipment_events_tracking_event ON shipment_events;
+CREATE TRIGGER shipment_events_tracking_event AFTER INSERT ON shipment_events
+  FOR EACH ROW EXECUTE FUNCTION record_status_tracking_event();
+
+-- eta: recomputed estimate or delay flag change
+CREATE OR REPLACE FUNCTION record_eta_tracking_event() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO tracking_events (shipment_id, type, payload)
+  VALUES (NEW.id, 'eta', jsonb_build_object(
+    'estimated_delivery_at', NEW.eta_at,
+    'remaining_km', NEW.eta_remaining_km,
+    'speed_kmh', NEW.eta_speed_kmh,
+    'updated_at', NEW.eta_updated_at,
+    'promised_delivery_at', NEW.promised_delivery_at,
+    'delayed', NEW.eta_delayed
+  ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS shipments_eta_tracking_event ON shipments;
+CREATE TRIGGER shipments_eta_tracking_event AFTER UPDATE OF eta_at, eta_delayed ON shipments
+  FOR EACH ROW
+  WHEN (OLD.eta_at IS DISTINCT FROM NEW.eta_at OR OLD.eta_delayed IS DISTINCT FROM NEW.eta_delayed)
+  EXECUTE FUNCTION record_eta_tracking_event();
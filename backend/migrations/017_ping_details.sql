@@ -0,0 +1,25 @@
+-- Device-reported fix details; ts is the device fix time, received_at when the server got it
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS accuracy_m DOUBLE PRECISION;
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS speed_mps DOUBLE PRECISION;
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS heading DOUBLE PRECISION;
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ DEFAULT now();
+
+-- Re-uploaded buffered points are ignored
+CREATE UNIQUE INDEX IF NOT EXISTS uq_pings_shipment_operator_ts ON pings (shipment_id, operator_id, ts);
+
+CREATE OR REPLACE FUNCTION record_ping_tracking_event() RETURNS trigger AS $$
+BEGIN
+  IF NEW.shipment_id IS NOT NULL THEN
+    INSERT INTO tracking_events (shipment_id, type, payload)
+    VALUES (NEW.shipment_id, 'location', jsonb_build_object(
+      'lat', NEW.lat,
+      'lng', NEW.lng,
+      'timestamp', NEW.ts,
+      'accuracy_m', NEW.accuracy_m,
+      'speed_mps', NEW.speed_mps,
+      'heading', NEW.heading
+    ));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
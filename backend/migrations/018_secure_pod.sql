@@ -0,0 +1,32 @@
+-- Proof of delivery: recipient, capture location/time and OTP confirmation
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS path TEXT;
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS operator_id UUID REFERENCES operators(id) ON DELETE SET NULL;
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS recipient_name TEXT;
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS lng DOUBLE PRECISION;
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS captured_at TIMESTAMPTZ;
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS otp_verified_at TIMESTAMPTZ;
+
+-- Photos and the recipient signature attached to a POD
+CREATE TABLE IF NOT EXISTS pod_files (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  pod_id UUID NOT NULL REFERENCES proof_of_delivery(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('PHOTO','SIGNATURE')),
+  path TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size_bytes INT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pod_files_pod ON pod_files (pod_id);
+
+-- Delivery OTP sent to the recipient; only a hash of the code is stored
+CREATE TABLE IF NOT EXISTS delivery_otps (
+  shipment_id UUID PRIMARY KEY REFERENCES shipments(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  verified_at TIMESTAMPTZ
+);
@@ -0,0 +1,21 @@
+-- Uploaded documents (driver licences, vehicle papers) kept in object storage
+CREATE TABLE IF NOT EXISTS documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_type TEXT NOT NULL CHECK (owner_type IN ('OPERATOR','VEHICLE')),
+  owner_id UUID NOT NULL,
+  doc_type TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size_bytes INT NOT NULL,
+  original_name TEXT,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_documents_owner ON documents(owner_type, owner_id, created_at DESC);
+
+-- POD paths are storage keys from now on; files written to the old default
+-- directory (uploads/pod/...) map onto the local adapter's root of uploads/
+UPDATE pod_files SET path = substr(path, length('uploads/') + 1) WHERE path LIKE 'uploads/%';
+UPDATE proof_of_delivery SET path = substr(path, length('uploads/') + 1) WHERE path LIKE 'uploads/%';
+COMMENT ON COLUMN pod_files.path IS 'Object storage key';
+COMMENT ON COLUMN proof_of_delivery.path IS 'Object storage key of the first POD file';
@@ -0,0 +1,24 @@
+-- KYC: company documents, expiry dates and per-document admin review
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_owner_type_check;
+ALTER TABLE documents ADD CONSTRAINT documents_owner_type_check CHECK (owner_type IN ('COMPANY','OPERATOR','VEHICLE'));
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS expires_on DATE;
+-- SUPERSEDED: replaced by a newer upload for the same slot
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'PENDING'
+  CHECK (status IN ('PENDING','ACCEPTED','REJECTED','SUPERSEDED'));
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS remarks TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+-- Earlier uploads for a slot are superseded by the latest one
+UPDATE documents d SET status = 'SUPERSEDED'
+WHERE EXISTS (
+  SELECT 1 FROM documents newer
+  WHERE newer.owner_type = d.owner_type AND newer.owner_id = d.owner_id AND newer.doc_type = d.doc_type
+    AND newer.created_at > d.created_at
+);
+
+-- One current document per slot
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_current_slot
+  ON documents(owner_type, owner_id, doc_type) WHERE status <> 'SUPERSEDED';
+CREATE INDEX IF NOT EXISTS idx_documents_review_queue ON documents(status, created_at) WHERE status = 'PENDING';
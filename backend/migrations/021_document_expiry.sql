@@ -0,0 +1,24 @@
+-- Automatic suspension when a licence, insurance or fitness certificate expires
+ALTER TABLE operators DROP CONSTRAINT IF EXISTS check_operator_status;
+ALTER TABLE operators ADD CONSTRAINT check_operator_status CHECK (status IN ('PENDING','APPROVED','REJECTED','SUSPENDED'));
+ALTER TABLE vehicles DROP CONSTRAINT IF EXISTS check_vehicle_status;
+ALTER TABLE vehicles ADD CONSTRAINT check_vehicle_status CHECK (status IN ('PENDING','APPROVED','REJECTED','SUSPENDED'));
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+
+-- An accepted document stays in force while its renewal waits for review, so a slot
+-- may hold one accepted and one open (pending/rejected) document
+DROP INDEX IF EXISTS idx_documents_current_slot;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_accepted_slot
+  ON documents(owner_type, owner_id, doc_type) WHERE status = 'ACCEPTED';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_open_slot
+  ON documents(owner_type, owner_id, doc_type) WHERE status IN ('PENDING','REJECTED');
+CREATE INDEX IF NOT EXISTS idx_documents_accepted_expiry ON documents(expires_on) WHERE status = 'ACCEPTED';
+
+-- Expiry warnings already sent, one per document and threshold (30/7/1 days)
+CREATE TABLE IF NOT EXISTS document_expiry_notices (
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  threshold_days INT NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (document_id, threshold_days)
+);
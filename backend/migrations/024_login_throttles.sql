@@ -0,0 +1,15 @@
+-- Failed-login counters per account (email) and per client IP. A counter restarts once
+-- its last failure is older than the counting window.
+CREATE TABLE IF NOT EXISTS login_throttles (
+  scope TEXT NOT NULL CHECK (scope IN ('ACCOUNT','IP')),
+  key TEXT NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  -- Progressive delay: no attempt is checked before this time
+  next_attempt_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttles_last_failed ON login_throttles(last_failed_at DESC);
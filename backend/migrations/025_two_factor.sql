@@ -0,0 +1,23 @@
+-- TOTP two-factor authentication (RFC 6238). Mandatory for ADMIN, optional otherwise.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+-- Secret generated at enrollment, promoted to totp_secret once a code confirms it
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+-- Time step of the last accepted code, so a code cannot be replayed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- One-time backup codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS user_backup_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user ON user_backup_codes(user_id) WHERE used_at IS NULL;
+
+-- Admins signed in with only a password have to log in again and enroll
+UPDATE sessions SET revoked_at = now(), revoked_reason = 'TWO_FACTOR_REQUIRED'
+WHERE revoked_at IS NULL
+  AND user_id IN (SELECT id FROM users WHERE role = 'ADMIN' AND totp_enabled_at IS NULL);
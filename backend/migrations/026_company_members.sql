@@ -0,0 +1,35 @@
+-- Company team members: several logins per company, each with a team role
+CREATE TABLE IF NOT EXISTS company_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  -- A login belongs to one company
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('OWNER','DISPATCHER','FINANCE','VIEWER')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_members_company ON company_members(company_id);
+
+-- The user who registered each company is its first owner
+INSERT INTO company_members (company_id, user_id, role)
+SELECT id, user_id, 'OWNER' FROM companies WHERE user_id IS NOT NULL
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Invitations mailed to new members; only the SHA-256 hash of the token is stored
+CREATE TABLE IF NOT EXISTS company_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('OWNER','DISPATCHER','FINANCE','VIEWER')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One open invitation per company and email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_invitations_open
+  ON company_invitations(company_id, lower(email)) WHERE accepted_at IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,23 @@
+-- Fleet-owner model: operators can drive for a company's fleet, and each shipment
+-- records the vehicle actually used for the trip
+
+-- Fleet company of an operator. INVITED until the operator accepts; NULL for
+-- independent operators.
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE SET NULL;
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS fleet_status TEXT CHECK (fleet_status IN ('INVITED','ACTIVE'));
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS fleet_updated_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_operators_company ON operators(company_id) WHERE company_id IS NOT NULL;
+
+-- Operators already driving a company's vehicle belong to that company's fleet
+UPDATE operators o SET company_id = v.company_id, fleet_status = 'ACTIVE', fleet_updated_at = now()
+FROM vehicles v
+WHERE v.id = o.vehicle_id AND o.company_id IS NULL AND v.company_id IS NOT NULL;
+
+-- Vehicle used for the trip, taken from the operator's vehicle when the shipment is assigned
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_shipments_vehicle ON shipments(vehicle_id) WHERE vehicle_id IS NOT NULL;
+
+-- Best known vehicle of the trips still in progress
+UPDATE shipments s SET vehicle_id = o.vehicle_id
+FROM operators o
+WHERE o.id = s.operator_id AND s.vehicle_id IS NULL AND s.status IN ('ASSIGNED','PICKUP','IN_TRANSIT');
@@ -0,0 +1,31 @@
+-- Trips: several shipments carried together by one vehicle, with a combined stop
+-- sequence. Created by accepting a consolidation plan.
+CREATE TABLE IF NOT EXISTS trips (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'PLANNED',
+  total_weight NUMERIC NOT NULL DEFAULT 0,
+  total_volume NUMERIC NOT NULL DEFAULT 0,
+  total_distance_km NUMERIC,
+  estimated_duration_minutes INT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  cancelled_at TIMESTAMPTZ,
+  CONSTRAINT trips_status_check CHECK (status IN ('PLANNED','CANCELLED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_trips_company ON trips(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trips_vehicle_open ON trips(vehicle_id) WHERE status <> 'CANCELLED';
+
+-- Combined visiting order of the member shipments' pickups and drops
+CREATE TABLE IF NOT EXISTS trip_stops (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  stop_id UUID NOT NULL UNIQUE REFERENCES stops(id) ON DELETE CASCADE,
+  sequence INT NOT NULL,
+  UNIQUE (trip_id, sequence) DEFERRABLE INITIALLY DEFERRED
+);
+
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS trip_id UUID REFERENCES trips(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_shipments_trip ON shipments(trip_id) WHERE trip_id IS NOT NULL;
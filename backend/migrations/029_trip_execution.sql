@@ -0,0 +1,14 @@
+-- Trips get a driver and run through their own lifecycle. Pings and status updates
+-- sent for a trip are applied to each member shipment.
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS operator_id UUID REFERENCES operators(id) ON DELETE SET NULL;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+-- PLANNED -> ASSIGNED (driver set) -> IN_PROGRESS (first pickup) -> COMPLETED (every
+-- shipment delivered or cancelled); CANCELLED from PLANNED or ASSIGNED
+ALTER TABLE trips DROP CONSTRAINT IF EXISTS trips_status_check;
+ALTER TABLE trips ADD CONSTRAINT trips_status_check
+  CHECK (status IN ('PLANNED','ASSIGNED','IN_PROGRESS','COMPLETED','CANCELLED'));
+
+CREATE INDEX IF NOT EXISTS idx_trips_operator ON trips(operator_id, status) WHERE operator_id IS NOT NULL;
@@ -0,0 +1,57 @@
+-- Per-stop execution: drivers mark each stop arrived, completed or failed. A drop is
+-- completed with its own proof of delivery; the shipment is delivered once every drop
+-- is done, partially when some of them failed.
+ALTER TABLE stops ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE stops ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ;
+ALTER TABLE stops ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+-- PENDING -> ARRIVED -> DEPARTED come from geofences or the driver; COMPLETED and
+-- FAILED only from the driver. A failed drop can still be completed later.
+ALTER TABLE stops DROP CONSTRAINT IF EXISTS stops_status_check;
+ALTER TABLE stops ADD CONSTRAINT stops_status_check
+  CHECK (status IN ('PENDING','ARRIVED','DEPARTED','COMPLETED','FAILED'));
+
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS partial_delivery BOOLEAN NOT NULL DEFAULT false;
+
+-- One POD per drop
+ALTER TABLE proof_of_delivery ADD COLUMN IF NOT EXISTS stop_id UUID REFERENCES stops(id) ON DELETE SET NULL;
+UPDATE proof_of_delivery p SET stop_id = (
+  SELECT id FROM stops WHERE shipment_id = p.shipment_id AND kind = 'DROP' ORDER BY order_index DESC LIMIT 1
+) WHERE stop_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_pod_stop ON proof_of_delivery (stop_id);
+
+-- Delivery OTPs go to each drop's recipient, so they are kept per drop. Shipments
+-- without stops keep a single OTP (stop_id NULL).
+ALTER TABLE delivery_otps ADD COLUMN IF NOT EXISTS stop_id UUID REFERENCES stops(id) ON DELETE CASCADE;
+UPDATE delivery_otps o SET stop_id = (
+  SELECT id FROM stops WHERE shipment_id = o.shipment_id AND kind = 'DROP' ORDER BY order_index DESC LIMIT 1
+) WHERE stop_id IS NULL;
+ALTER TABLE delivery_otps DROP CONSTRAINT IF EXISTS delivery_otps_pkey;
+ALTER TABLE delivery_otps ADD COLUMN IF NOT EXISTS id UUID PRIMARY KEY DEFAULT gen_random_uuid();
+CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_otps_stop ON delivery_otps (stop_id) WHERE stop_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_otps_shipment ON delivery_otps (shipment_id) WHERE stop_id IS NULL;
+
+-- stop: a stop of the shipment changed status
+ALTER TABLE tracking_events DROP CONSTRAINT IF EXISTS tracking_events_type_check;
+ALTER TABLE tracking_events ADD CONSTRAINT tracking_events_type_check
+  CHECK (type IN ('location','status','eta','stop'));
+
+CREATE OR REPLACE FUNCTION record_stop_tracking_event() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO tracking_events (shipment_id, type, payload)
+  VALUES (NEW.shipment_id, 'stop', jsonb_build_object(
+    'stop_id', NEW.id,
+    'kind', NEW.kind,
+    'from', OLD.status,
+    'to', NEW.status,
+    'timestamp', now()
+  ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stops_tracking_event ON stops;
+CREATE TRIGGER stops_tracking_event AFTER UPDATE OF status ON stops
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status AND NEW.shipment_id IS NOT NULL)
+  EXECUTE FUNCTION record_stop_tracking_event();
@@ -0,0 +1,10 @@
+-- Geofence arrivals and departures are kept on the shipment's history next to status
+-- transitions. Such events have a stop_id and no status change (from_status = to_status).
+ALTER TABLE shipment_events ADD COLUMN IF NOT EXISTS stop_id UUID REFERENCES stops(id) ON DELETE SET NULL;
+
+-- Stop changes already reach the stream as 'stop' tracking events
+DROP TRIGGER IF EXISTS shipment_events_tracking_event ON shipment_events;
+CREATE TRIGGER shipment_events_tracking_event AFTER INSERT ON shipment_events
+  FOR EACH ROW
+  WHEN (NEW.stop_id IS NULL)
+  EXECUTE FUNCTION record_status_tracking_event();
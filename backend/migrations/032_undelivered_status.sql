@@ -0,0 +1,5 @@
+-- A shipment none of whose drops could be delivered ends as UNDELIVERED, so it is not
+-- reported as delivered while its trip can still complete
+ALTER TABLE shipments DROP CONSTRAINT IF EXISTS check_status;
+ALTER TABLE shipments ADD CONSTRAINT check_status
+  CHECK (status IN ('CREATED', 'ASSIGNED', 'PICKUP', 'IN_TRANSIT', 'DELIVERED', 'UNDELIVERED', 'CANCELLED'));
@@ -1,8 +1,36 @@
 import { verifyToken } from '../utils/auth.js';
 import { query } from '../db.js';
+import { hasPermission } from '../services/companyTeam.js';
 import logger from '../utils/logger.js';
 
-export function requireAuth(role = null) {
+// Profile row loaded for each role that has one, attached as req[key]. Company users
+// reach their company through team membership; member_role is their team role.
+const PROFILES = {
+  COMPANY: {
+    key: 'company',
+    sql: `SELECT c.*, m.role AS member_role
+          FROM company_members m
+          JOIN companies c ON c.id = m.company_id
+          WHERE m.user_id = $1`
+  },
+  OPERATOR: {
+    key: 'operator',
+    sql: `SELECT o.*, v.status AS vehicle_status
+          FROM operators o
+          LEFT JOIN vehicles v ON v.id = o.vehicle_id
+          WHERE o.user_id = $1`
+  }
+};
+
+/**
+ * Authenticate the bearer token, optionally requiring a role. Company and operator users
+ * get their profile attached as req.company / req.operator (null when it is missing).
+ *
+ * options.approved: the profile must be APPROVED. Otherwise responds 403 with code
+ * APPROVAL_REQUIRED and the current status (PENDING, REJECTED, SUSPENDED) so the
+ * frontend can show an "awaiting approval" screen.
+ */
+export function requireAuth(role = null, { approved = false } = {}) {
   return async (req, res, next) => {
     try {
       const authHeader = req.headers.authorization;
@@ -13,14 +41,16 @@ export function requireAuth(role = null) {
       const token = authHeader.split(' ')[1];
       const decoded = verifyToken(token);
       
-      // Get user details
-      const userResult = await query(
-        'SELECT id, email, role FROM users WHERE id = $1',
-        [decoded.id]
-      );
+      // Get user details; the token's session must not have been logged out or revoked
+      const userResult = await query(`
+        SELECT u.id, u.email, u.role, u.email_verified_at
+        FROM users u
+        JOIN sessions s ON s.user_id = u.id
+        WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL
+      `, [decoded.id, decoded.sid]);
       
       if (userResult.rows.length === 0) {
-        return res.status(401).json({ error: 'User not found' });
+        return res.status(401).json({ error: 'Session expired', code: 'SESSION_REVOKED' });
       }
       
       const user = userResult.rows[0];
@@ -35,6 +65,26 @@ export function requireAuth(role = null) {
       }
       
       req.user = user;
+      req.sessionId = decoded.sid;
+      
+      const profile = PROFILES[user.role];
+      if (profile) {
+        const profileResult = await query(profile.sql, [user.id]);
+        req[profile.key] = profileResult.rows[0] || null;
+      }
+      
+      if (approved && profile) {
+        const entity = req[profile.key];
+        if (!entity || entity.status !== 'APPROVED') {
+          return res.status(403).json({
+            error: entity ? `Your ${profile.key} account is ${entity.status.toLowerCase()}, approval is required` : `No ${profile.key} profile found for this account`,
+            code: 'APPROVAL_REQUIRED',
+            status: entity?.status || null,
+            remarks: entity?.remarks || null
+          });
+        }
+      }
+      
       next();
     } catch (error) {
       logger.warn('Authentication failed', { error: error.message });
@@ -42,3 +92,21 @@ export function requireAuth(role = null) {
     }
   };
 }
+
+/**
+ * Require a company team permission (see COMPANY_ROLES in services/companyTeam.js).
+ * Use after requireAuth. Only company members are checked; other roles are admitted or
+ * refused by requireAuth and the route itself.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.user?.role !== 'COMPANY') return next();
+    
+    const memberRole = req.company?.member_role;
+    if (!hasPermission(memberRole, permission)) {
+      logger.warn(`Permission denied for user ${req.user.id}`, { permission, memberRole });
+      return res.status(403).json({ error: 'Insufficient permissions', code: 'PERMISSION_REQUIRED', permission });
+    }
+    next();
+  };
+}
@@ -0,0 +1,16 @@
+import { query } from '../db.js';
+
+// Admins, members of the owning company and the assigned operator may read a shipment's
+// records. Returns null when the shipment does not exist.
+export async function canAccessShipment(user, shipmentId) {
+  const result = await query(`
+    SELECT o.user_id AS operator_user_id,
+           EXISTS (SELECT 1 FROM company_members m WHERE m.company_id = s.company_id AND m.user_id = $2) AS company_member
+    FROM shipments s
+    LEFT JOIN operators o ON o.id = s.operator_id
+    WHERE s.id = $1
+  `, [shipmentId, user.id]);
+  if (result.rows.length === 0) return null;
+  const owner = result.rows[0];
+  return user.role === 'ADMIN' || owner.company_member || user.id === owner.operator_user_id;
+}
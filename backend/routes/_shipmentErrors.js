@@ -0,0 +1,13 @@
+import { ShipmentTransitionError } from '../utils/errorTypes.js';
+
+export { ShipmentTransitionError };
+
+// Map state machine errors (illegal transition, not found, not owner) to HTTP responses
+export function sendTransitionError(res, error) {
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    from: error.context.from,
+    to: error.context.to
+  });
+}
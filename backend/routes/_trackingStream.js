@@ -0,0 +1,45 @@
+import { subscribe } from '../services/trackingHub.js';
+import logger from '../utils/logger.js';
+
+const HEARTBEAT_MS = 25000;
+
+// The stream is public; status reasons are internal notes, as in the tracking timeline
+function formatEvent(event) {
+  const { reason, ...payload } = event.payload || {};
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Serve a shipment's tracking events as SSE (event types: location, status, eta, stop).
+ * Resumes after the Last-Event-ID header (or ?lastEventId=) when the client sends one.
+ */
+export async function openTrackingStream(req, res, shipmentId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
+  });
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  let subscription = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (subscription) subscription.unsubscribe();
+  });
+
+  try {
+    subscription = await subscribe(shipmentId, event => res.write(formatEvent(event)), {
+      lastEventId: req.get('Last-Event-ID') ?? req.query.lastEventId ?? null
+    });
+    if (closed) subscription.unsubscribe();
+  } catch (error) {
+    logger.error('SSE subscribe error:', error);
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
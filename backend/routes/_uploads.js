@@ -0,0 +1,27 @@
+import multer from 'multer';
+import { StorageError } from '../utils/errorTypes.js';
+
+export { StorageError };
+
+// Multipart parser that keeps files in memory so their content can be checked before anything is stored
+export function memoryUpload(fields, { maxFileBytes }) {
+  const maxFiles = fields.reduce((total, field) => total + field.maxCount, 0);
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileBytes, files: maxFiles }
+  }).fields(fields);
+}
+
+// Run an upload middleware inside a route handler; multer errors become StorageErrors
+export function parseUpload(upload, req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, (error) => {
+      if (!error) return resolve();
+      reject(new StorageError(error.message, null, { multerCode: error.code }, error.code === 'LIMIT_FILE_SIZE' ? 413 : 400));
+    });
+  });
+}
+
+export function sendStorageError(res, error) {
+  return res.status(error.statusCode).json({ error: error.message, code: error.code });
+}
@@ -2,15 +2,34 @@ import express from 'express';
 import { query } from '../db.js';
 import { requireAuth } from './_authMiddleware.js';
 import logger from '../utils/logger.js';
+import { getPricing, savePricing } from '../services/pricing.js';
+import { documentSlotsFor, missingDocuments, getReviewQueue, reviewDocument, reviewOwner } from '../services/documents.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { listLoginThrottles, clearLoginThrottle } from '../services/loginProtection.js';
+import { DocumentError } from '../utils/errorTypes.js';
 
 const router = express.Router();
 
+// Attach KYC document slots and the still-missing required documents to each row
+async function withDocuments(ownerType, rows) {
+  const slots = await documentSlotsFor(ownerType, rows.map(row => row.id));
+  return rows.map(row => ({ ...row, documents: slots[row.id], missing_documents: missingDocuments(slots[row.id]) }));
+}
+
 // Get pending approvals
 router.get('/pending', requireAuth('ADMIN'), async (req, res) => {
   try {
-    const companies = (await query("SELECT * FROM companies WHERE status='PENDING'")).rows;
-    const operators = (await query("SELECT * FROM operators WHERE status='PENDING'")).rows;
-    const vehicles = (await query("SELECT * FROM vehicles WHERE status='PENDING'")).rows;
+    const companies = await withDocuments('COMPANY', (await query(`
+      SELECT c.*, u.email_verified_at IS NOT NULL AS email_verified
+      FROM companies c LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.status='PENDING'
+    `)).rows);
+    const operators = await withDocuments('OPERATOR', (await query(`
+      SELECT o.*, u.email_verified_at IS NOT NULL AS email_verified
+      FROM operators o LEFT JOIN users u ON u.id = o.user_id
+      WHERE o.status='PENDING'
+    `)).rows);
+    const vehicles = await withDocuments('VEHICLE', (await query("SELECT * FROM vehicles WHERE status='PENDING'")).rows);
     res.json({ companies, operators, vehicles });
   } catch (error) {
     logger.error('Pending approvals error:', error);
@@ -18,18 +37,42 @@ router.get('/pending', requireAuth('ADMIN'), async (req, res) => {
   }
 });
 
-// Approve/reject entities
+// Documents waiting for review, oldest first
+router.get('/documents/pending', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    res.json(await getReviewQueue());
+  } catch (error) {
+    logger.error('Document queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+// Accept or reject one document: { decision: 'accept'|'reject', remarks } (remarks required to reject)
+router.post('/documents/:id/review', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    const { decision, remarks } = req.body;
+    const document = await reviewDocument(req.params.id, req.user.id, decision, remarks);
+    res.json({ success: true, document });
+  } catch (error) {
+    if (error instanceof DocumentError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Document review error:', error);
+    res.status(500).json({ error: 'Failed to review document' });
+  }
+});
+
+// Approve/reject entities: { type, id, action, remarks }. Approval needs the required
+// documents accepted; rejection needs remarks.
 router.post('/approve', requireAuth('ADMIN'), async (req, res) => {
   try {
-    const { type, id, action } = req.body;
-    const table = (type === 'company') ? 'companies' : (type === 'operator' ? 'operators' : 'vehicles');
-    const status = action === 'approve' ? 'APPROVED' : 'REJECTED';
-    
-    await query(`UPDATE ${table} SET status=$1 WHERE id=$2`, [status, id]);
+    const { type, id, action, remarks } = req.body;
+    const result = await reviewOwner(String(type || '').toUpperCase(), id, req.user.id, action, remarks);
     
     logger.info(`${type} ${action}d: ${id}`);
-    res.json({ success: true, status });
+    res.json({ success: true, status: result.status });
   } catch (error) {
+    if (error instanceof DocumentError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code, ...(error.context.missing && { missing: error.context.missing }) });
+    }
     logger.error('Approval error:', error);
     res.status(500).json({ error: 'Failed to process approval' });
   }
@@ -64,6 +107,38 @@ router.post('/commission', requireAuth('ADMIN'), async (req, res) => {
   }
 });
 
+// Get pricing rate cards
+router.get('/rate-cards', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    res.json(await getPricing());
+  } catch (error) {
+    logger.error('Rate cards fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch rate cards' });
+  }
+});
+
+// Update pricing rate cards
+router.post('/rate-cards', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    const { vehicles, urgency, handling, quote_validity_minutes } = req.body;
+    
+    const cards = Object.entries(vehicles || {});
+    const fields = ['base_fare', 'per_km', 'per_kg', 'min_charge', 'volumetric_factor'];
+    const invalid = cards.find(([, card]) => !fields.every(f => typeof card[f] === 'number' && card[f] >= 0));
+    if (cards.length === 0 || invalid) {
+      return res.status(400).json({ error: `Each vehicle rate card needs non-negative ${fields.join(', ')}` });
+    }
+    
+    await savePricing({ vehicles, urgency, handling, quote_validity_minutes });
+    
+    logger.info('Rate cards updated', { vehicleTypes: cards.map(([type]) => type) });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Rate cards update error:', error);
+    res.status(500).json({ error: 'Failed to update rate cards' });
+  }
+});
+
 // Get all payouts
 router.get('/payouts', requireAuth('ADMIN'), async (req, res) => {
   try {
@@ -95,6 +170,46 @@ router.post('/payouts/:id/release', requireAuth('ADMIN'), async (req, res) => {
   }
 });
 
+// Kill every session of a user; their access tokens stop working immediately
+router.post('/users/:id/sessions/revoke', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id, 'ADMIN_REVOKED');
+    
+    logger.logSecurityEvent('sessions_revoked_by_admin', 'account_access', { userId: req.params.id, adminId: req.user.id, revoked });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Failed-login counters inside the counting window, locked ones first
+router.get('/lockouts', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    res.json(await listLoginThrottles());
+  } catch (error) {
+    logger.error('Lockout list error:', error);
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+});
+
+// Lift a login delay or lockout: { scope: 'ACCOUNT'|'IP', key: email or IP }
+router.post('/lockouts/clear', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    const scope = String(req.body.scope || '').toUpperCase();
+    if (!['ACCOUNT', 'IP'].includes(scope) || !req.body.key) {
+      return res.status(400).json({ error: "scope ('ACCOUNT' or 'IP') and key are required" });
+    }
+    
+    const cleared = await clearLoginThrottle(scope, req.body.key, req.user.id);
+    if (!cleared) return res.status(404).json({ error: 'No lockout found' });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Lockout clear error:', error);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
 // Get dashboard statistics
 router.get('/stats', requireAuth('ADMIN'), async (req, res) => {
   try {
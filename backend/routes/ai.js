@@ -1,8 +1,10 @@
 import express from 'express';
 import { query } from '../db.js';
 import { requireAuth } from './_authMiddleware.js';
+import { canAccessShipment } from './_shipmentAccess.js';
 import aiBotService from '../services/ai_bot.js';
 import logger from '../utils/logger.js';
+import { hasCoordinates } from '../utils/geo.js';
 
 const router = express.Router();
 
@@ -42,15 +44,37 @@ router.post('/chat', requireAuth(), async (req, res) => {
 });
 
 // Get route optimization
+// Accepts a shipment_id (uses its stops), an explicit stops array, or pickup/destination coordinates
 router.post('/optimize-route', requireAuth(), async (req, res) => {
   try {
-    const { pickup, destination } = req.body;
+    const { shipment_id, stops, start, pickup, destination } = req.body;
     
-    if (!pickup || !destination) {
-      return res.status(400).json({ error: 'Pickup and destination are required' });
+    let routeStops = stops;
+    if (shipment_id) {
+      const allowed = await canAccessShipment(req.user, shipment_id);
+      if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+      if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+      
+      const result = await query(
+        'SELECT id, shipment_id, kind, address, lat, lng, order_index FROM stops WHERE shipment_id = $1 ORDER BY order_index ASC',
+        [shipment_id]
+      );
+      routeStops = result.rows;
+    } else if (!routeStops && pickup && destination) {
+      routeStops = [
+        { ...pickup, id: 'pickup', kind: 'PICKUP' },
+        { ...destination, id: 'destination', kind: 'DROP' }
+      ];
+    }
+    
+    if (!Array.isArray(routeStops) || routeStops.length < 2) {
+      return res.status(400).json({ error: 'At least a pickup and one destination with coordinates are required' });
+    }
+    if (!routeStops.every(hasCoordinates)) {
+      return res.status(400).json({ error: 'Every stop needs lat and lng' });
     }
 
-    const optimization = await aiBotService.getRouteOptimization(pickup, destination);
+    const optimization = await aiBotService.getRouteOptimization(routeStops, { start });
     
     res.json({
       success: true,
@@ -65,13 +89,20 @@ router.post('/optimize-route', requireAuth(), async (req, res) => {
 // Get delivery estimate
 router.post('/delivery-estimate', requireAuth(), async (req, res) => {
   try {
-    const { route, weight, urgency } = req.body;
+    const { route, weight, urgency, shipment_id } = req.body;
     
-    if (!route || !weight) {
-      return res.status(400).json({ error: 'Route and weight are required' });
+    if (!shipment_id && (!route || !weight)) {
+      return res.status(400).json({ error: 'shipment_id, or route and weight, are required' });
     }
+    if (shipment_id) {
+      const allowed = await canAccessShipment(req.user, shipment_id);
+      if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+      if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const companyId = req.company?.id || null;
 
-    const estimate = await aiBotService.getDeliveryEstimate(route, weight, urgency);
+    const estimate = await aiBotService.getDeliveryEstimate(route, weight, urgency, { shipmentId: shipment_id, companyId });
     
     res.json({
       success: true,
@@ -1,30 +1,295 @@
 import express from 'express';
 import { query } from '../db.js';
-import { authenticateUser, generateToken } from '../utils/auth.js';
-import { validateLogin, validateCompanyRegistration, validateDriverRegistration, validateRequest } from '../utils/validation.js';
+import { authenticateUser, verifyChallengeToken } from '../utils/auth.js';
+import { validateLogin, validateForgotPassword, validatePasswordReset, validateInvitationAcceptance, validateCompanyRegistration, validateDriverRegistration, validateRequest } from '../utils/validation.js';
 import { hashPassword } from '../utils/auth.js';
+import { requireAuth } from './_authMiddleware.js';
+import { createSession, refreshSession, revokeSession, revokeUserSessions, listSessions, sessionMetaFromRequest } from '../services/sessions.js';
+import { requestPasswordReset, resetPassword, sendEmailVerification, resendEmailVerification, verifyEmail } from '../services/accountTokens.js';
+import { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginProtection.js';
+import { getInvitation, acceptInvitation } from '../services/companyTeam.js';
+import { loginChallengeFor, beginEnrollment, confirmEnrollment, verifySecondFactor, regenerateBackupCodes, disableTwoFactor, twoFactorStatus } from '../services/twoFactor.js';
+import { SessionError, AccountError, AuthenticationError, LoginThrottleError, TwoFactorError, TeamError } from '../utils/errorTypes.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// Login endpoint
+// A failed verification email must not fail the registration; the user can resend it
+async function sendVerificationSafely(user) {
+  try {
+    await sendEmailVerification(user);
+  } catch (error) {
+    logger.error('Verification email error:', error);
+  }
+}
+
+function sendThrottled(res, error) {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    locked: Boolean(error.context.locked),
+    retry_after: error.retryAfterSeconds
+  });
+}
+
+// Login endpoint. Failed attempts are counted per account and per IP; too many of
+// them delay, then lock out, further attempts (429 with Retry-After).
 router.post('/login', validateLogin, validateRequest, async (req, res) => {
   try {
     const { email, password } = req.body;
+    await assertLoginAllowed(email, req.ip);
+    
     const user = await authenticateUser(email, password);
-    const token = generateToken({ id: user.id, role: user.role });
+    
+    // Two-factor users get a challenge token instead of a session until /2fa/verify
+    const challenge = await loginChallengeFor(user);
+    if (challenge) {
+      logger.logAuthEvent('login_password_verified', user.id, true, { ip: req.ip, enrollmentRequired: challenge.enrollment_required });
+      return res.json({ success: true, role: user.role, ...challenge });
+    }
+    
+    await recordLoginSuccess(user, req.ip);
+    const session = await createSession(user, sessionMetaFromRequest(req));
     
     logger.info(`User login: ${email}`, { userId: user.id, role: user.role });
     
     res.json({ 
       success: true,
-      token, 
+      ...session,
       role: user.role,
       user: { id: user.id, email: user.email, role: user.role }
     });
   } catch (error) {
-    logger.warn(`Login failed for email: ${req.body.email}`, { error: error.message });
-    res.status(401).json({ error: 'Invalid credentials' });
+    if (error instanceof LoginThrottleError) return sendThrottled(res, error);
+    if (error instanceof AuthenticationError) {
+      await recordLoginFailure(req.body.email, req.ip);
+      logger.warn(`Login failed for email: ${req.body.email}`, { error: error.message });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    logger.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Second login step, enrollment: a new secret to scan when 2FA is mandatory but not set
+// up yet: { challenge_token } -> { secret, otpauth_uri }
+router.post('/2fa/enroll', async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.challenge_token);
+    res.json({ success: true, ...(await beginEnrollment(challenge.id)) });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('2FA enrollment error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+// Second login step: { challenge_token, code } with a TOTP or backup code. Completes a
+// pending enrollment (returning backup_codes once) and starts the session. Wrong codes
+// count towards the login lockout.
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.challenge_token);
+    const user = { id: challenge.id, email: challenge.email, role: challenge.role };
+    await assertLoginAllowed(user.email, req.ip);
+    
+    let backupCodes = null;
+    try {
+      const { enabled } = await twoFactorStatus(user.id);
+      if (enabled) await verifySecondFactor(user.id, req.body.code);
+      else backupCodes = await confirmEnrollment(user.id, req.body.code);
+    } catch (error) {
+      if (error instanceof TwoFactorError && error.statusCode === 401) await recordLoginFailure(user.email, req.ip);
+      throw error;
+    }
+    
+    await recordLoginSuccess(user, req.ip);
+    const session = await createSession(user, sessionMetaFromRequest(req));
+    
+    logger.info(`User login: ${user.email}`, { userId: user.id, role: user.role, twoFactor: true });
+    res.json({
+      success: true,
+      ...session,
+      role: user.role,
+      user,
+      ...(backupCodes && { backup_codes: backupCodes })
+    });
+  } catch (error) {
+    if (error instanceof LoginThrottleError) return sendThrottled(res, error);
+    if (error instanceof TwoFactorError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('2FA verification error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
+// Two-factor settings of the signed-in user
+router.get('/2fa', requireAuth(), async (req, res) => {
+  try {
+    res.json(await twoFactorStatus(req.user.id));
+  } catch (error) {
+    logger.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Optional enrollment from the dashboard: setup returns the secret, enable confirms it
+router.post('/2fa/setup', requireAuth(), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await beginEnrollment(req.user.id)) });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+router.post('/2fa/enable', requireAuth(), async (req, res) => {
+  try {
+    const backupCodes = await confirmEnrollment(req.user.id, req.body.code);
+    res.json({ success: true, backup_codes: backupCodes });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// { code }: a current TOTP or backup code
+router.post('/2fa/disable', requireAuth(), async (req, res) => {
+  try {
+    await disableTwoFactor(req.user.id, req.body.code);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+router.post('/2fa/backup-codes', requireAuth(), async (req, res) => {
+  try {
+    const backupCodes = await regenerateBackupCodes(req.user.id, req.body.code);
+    res.json({ success: true, backup_codes: backupCodes });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Backup code error:', error);
+    res.status(500).json({ error: 'Failed to generate backup codes' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair: { refresh_token }
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await refreshSession(req.body.refresh_token, sessionMetaFromRequest(req));
+    res.json({ success: true, ...session });
+  } catch (error) {
+    if (error instanceof SessionError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// End the current session
+router.post('/logout', requireAuth(), async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'LOGOUT');
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Log out all devices, including this one
+router.post('/logout-all', requireAuth(), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'LOGOUT_ALL');
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Signed-in devices of the current user
+router.get('/sessions', requireAuth(), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    logger.error('Session list error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Mail a password reset link: { email }. Answers the same whether or not the account exists.
+router.post('/forgot-password', validateForgotPassword, validateRequest, async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.json({ success: true, message: 'If an account exists for this email, a reset link has been sent.' });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset link' });
+  }
+});
+
+// Set a new password from a reset link: { token, password }. Logs out every session.
+router.post('/reset-password', validatePasswordReset, validateRequest, async (req, res) => {
+  try {
+    await resetPassword(req.body.token, req.body.password);
+    res.json({ success: true, message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    if (error instanceof AccountError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address from a verification link: { token }
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+    res.json({ success: true, role: user.role });
+  } catch (error) {
+    if (error instanceof AccountError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification link to the signed-in user
+router.post('/verify-email/resend', requireAuth(), async (req, res) => {
+  try {
+    await resendEmailVerification(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof AccountError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Verification resend error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Company, email and role of a team invitation, for the accept page: { token }
+router.post('/invitations/lookup', async (req, res) => {
+  try {
+    res.json(await getInvitation(req.body.token));
+  } catch (error) {
+    if (error instanceof TeamError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Invitation lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitation' });
+  }
+});
+
+// Join a company from an invitation, choosing a password: { token, password }
+router.post('/invitations/accept', validateInvitationAcceptance, validateRequest, async (req, res) => {
+  try {
+    await acceptInvitation(req.body.token, req.body.password);
+    res.json({ success: true, message: 'Your login is ready. Please log in with your email and new password.' });
+  } catch (error) {
+    if (error instanceof TeamError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Invitation accept error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
   }
 });
 
@@ -50,18 +315,24 @@ router.post('/register/company', validateCompanyRegistration, validateRequest, a
     
     const userId = userResult.rows[0].id;
     
-    // Create company
-    await query(
+    // Create company; the registering user is its first owner
+    const companyResult = await query(
       `INSERT INTO companies (user_id, name, email, address, tin, bank_account_number, bank_ifsc, bank_name, account_holder, status) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'PENDING')`,
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'PENDING') RETURNING id`,
       [userId, name, email, address, tin, bank_account_number, bank_ifsc, bank_name, account_holder]
     );
+    await query(
+      "INSERT INTO company_members (company_id, user_id, role) VALUES ($1, $2, 'OWNER')",
+      [companyResult.rows[0].id, userId]
+    );
+    
+    await sendVerificationSafely({ id: userId, email, role: 'COMPANY' });
     
     logger.info(`Company registered: ${email}`, { userId, companyName: name });
     
     res.json({ 
       success: true, 
-      message: 'Company registered successfully. Awaiting admin approval.' 
+      message: 'Company registered successfully. Confirm your email address, then await admin approval.' 
     });
   } catch (error) {
     logger.error('Company registration error:', error);
@@ -98,11 +369,13 @@ router.post('/register/operator', validateDriverRegistration, validateRequest, a
       [userId, name, mobile, license_no, bank_account_number, bank_ifsc, bank_name, account_holder]
     );
     
+    await sendVerificationSafely({ id: userId, email, role: 'OPERATOR' });
+    
     logger.info(`Driver registered: ${email}`, { userId, driverName: name });
     
     res.json({ 
       success: true, 
-      message: 'Driver registered successfully. Awaiting admin approval.' 
+      message: 'Driver registered successfully. Confirm your email address, then await admin approval.' 
     });
   } catch (error) {
     logger.error('Driver registration error:', error);
@@ -1,11 +1,36 @@
 import express from 'express';
-import { requireAuth } from './_authMiddleware.js';
-import { query } from '../db.js';
+import { requireAuth, requirePermission } from './_authMiddleware.js';
+import { query, withTransaction } from '../db.js';
+import { recordShipmentCreated, actorFromRequest } from '../services/shipmentStateMachine.js';
+import { redeemQuote, markQuoteUsed } from '../services/pricing.js';
+import { promisedDeliveryAt } from '../services/eta.js';
+import { uploadDocument, listDocumentSlots } from '../services/documents.js';
+import { fleetRoster, inviteDriver, removeDriver, assignVehicle } from '../services/fleet.js';
+import { planConsolidation } from '../services/consolidation.js';
+import { createTrip, getTrip, listTrips, assignTrip, cancelTrip } from '../services/trips.js';
+import { permissionsFor, listMembers, listInvitations, inviteMember, revokeInvitation, updateMemberRole, removeMember } from '../services/companyTeam.js';
+import { UPLOAD_POLICIES } from '../services/storage/index.js';
+import { memoryUpload, parseUpload, StorageError, sendStorageError } from './_uploads.js';
+import { ShipmentTransitionError, sendTransitionError } from './_shipmentErrors.js';
+import { QuoteError, DocumentError, TeamError, FleetError, TripError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
 const router = express.Router();
+const documentUpload = memoryUpload([{ name: 'file', maxCount: 1 }], { maxFileBytes: UPLOAD_POLICIES.document.maxBytes });
+
+// The vehicle if it belongs to the calling user's company
+async function ownedVehicle(vehicleId, companyId) {
+  const r = await query('SELECT v.id FROM vehicles v WHERE v.id=$1 AND v.company_id=$2', [vehicleId, companyId]);
+  return r.rows[0] || null;
+}
 
 router.get('/me', requireAuth('COMPANY'), async (req,res)=>{
-  const r = await query('SELECT id, name, email FROM companies WHERE user_id=$1', [req.user.id]);
-  res.json(r.rows[0] || {});
+  const c = req.company;
+  res.json(c ? {
+    id: c.id, name: c.name, email: c.email, status: c.status, remarks: c.remarks,
+    email_verified: Boolean(req.user.email_verified_at),
+    member_role: c.member_role,
+    permissions: permissionsFor(c.member_role)
+  } : {});
 });
 
 router.get('/profile', requireAuth('COMPANY'), async (req,res)=>{
@@ -14,52 +39,300 @@ router.get('/profile', requireAuth('COMPANY'), async (req,res)=>{
       SELECT c.*, u.email as user_email 
       FROM companies c 
       JOIN users u ON c.user_id = u.id 
-      WHERE c.user_id = $1
-    `, [req.user.id]);
+      WHERE c.id = $1
+    `, [req.company?.id]);
     res.json(r.rows[0] || {});
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch profile' });
   }
 });
 
-router.post('/vehicles', requireAuth('COMPANY'), async (req,res)=>{
+router.post('/vehicles', requireAuth('COMPANY'), requirePermission('vehicles.manage'), async (req,res)=>{
   const { type, reg_no, capacity_weight, capacity_volume } = req.body;
-  const r = await query('INSERT INTO vehicles(company_id,type,reg_no,capacity_weight,capacity_volume,status) SELECT c.id,$1,$2,$3,$4,\'PENDING\' FROM companies c WHERE c.user_id=$5 RETURNING *',
-    [type, reg_no, capacity_weight, capacity_volume, req.user.id]);
+  const r = await query('INSERT INTO vehicles(company_id,type,reg_no,capacity_weight,capacity_volume,status) VALUES($1,$2,$3,$4,$5,\'PENDING\') RETURNING *',
+    [req.company.id, type, reg_no, capacity_weight, capacity_volume]);
   res.json(r.rows[0]);
 });
 
-router.post('/shipments', requireAuth('COMPANY'), async (req,res)=>{
+// Upload or resubmit the GST / TIN certificate (multipart: file, doc_type, expires_on)
+router.post('/documents', requireAuth('COMPANY'), requirePermission('company.manage'), async (req,res)=>{
+  try {
+    await parseUpload(documentUpload, req, res);
+    const company = req.company;
+    if (!company) return res.status(404).json({ error: 'Company not found' });
+    const document = await uploadDocument('COMPANY', company.id, req.body.doc_type || 'GST_CERTIFICATE', req.files?.file?.[0], req.user.id, { expiresOn: req.body.expires_on });
+    res.status(201).json(document);
+  } catch (error) {
+    if (error instanceof StorageError) return sendStorageError(res, error);
+    if (error instanceof DocumentError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Company document upload error:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+router.get('/documents', requireAuth('COMPANY'), async (req,res)=>{
+  try {
+    const company = req.company;
+    if (!company) return res.status(404).json({ error: 'Company not found' });
+    res.json(await listDocumentSlots('COMPANY', company.id));
+  } catch (error) {
+    logger.error('Company document list error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+router.get('/vehicles', requireAuth('COMPANY'), requirePermission('vehicles.view'), async (req,res)=>{
+  const r = await query('SELECT v.* FROM vehicles v WHERE v.company_id=$1 ORDER BY v.created_at DESC', [req.company.id]);
+  res.json(r.rows);
+});
+
+// Upload or resubmit an RC book, insurance, fitness certificate or permit (multipart: file, doc_type, expires_on)
+router.post('/vehicles/:id/documents', requireAuth('COMPANY'), requirePermission('vehicles.manage'), async (req,res)=>{
+  try {
+    await parseUpload(documentUpload, req, res);
+    const vehicle = await ownedVehicle(req.params.id, req.company.id);
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+    const document = await uploadDocument('VEHICLE', vehicle.id, req.body.doc_type, req.files?.file?.[0], req.user.id, { expiresOn: req.body.expires_on });
+    res.status(201).json(document);
+  } catch (error) {
+    if (error instanceof StorageError) return sendStorageError(res, error);
+    if (error instanceof DocumentError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Vehicle document upload error:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+router.get('/vehicles/:id/documents', requireAuth('COMPANY'), requirePermission('vehicles.view'), async (req,res)=>{
+  try {
+    const vehicle = await ownedVehicle(req.params.id, req.company.id);
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+    res.json(await listDocumentSlots('VEHICLE', vehicle.id));
+  } catch (error) {
+    logger.error('Vehicle document list error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+router.post('/shipments', requireAuth('COMPANY', { approved: true }), requirePermission('shipments.manage'), async (req,res)=>{
   const s = req.body;
-  // Insert shipment
-  const ins = await query('INSERT INTO shipments(company_id,title,urgency,goods_description,weight,length,width,height,volume,handling_flags,goods_value,status,shipment_cost,payment_mode) SELECT c.id,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,\'CREATED\',$11,$12 FROM companies c WHERE c.user_id=$13 RETURNING id',
-    [s.title||null, s.urgency||'NORMAL', s.goods_description||'', s.weight||0, s.length||0, s.width||0, s.height||0, s.volume||0, s.handling_flags||[], s.goods_value||0, s.shipment_cost||0, s.payment_mode||'online', req.user.id])
-  const shipmentId = ins.rows[0].id
-  // Pickup stop
-  await query('INSERT INTO stops(shipment_id,kind,address,lat,lng,contact_name,contact_phone,contact_email,order_index) VALUES($1,\'PICKUP\',$2,$3,$4,$5,$6,$7,0)',
-    [shipmentId, s.pickup.address, s.pickup.lat, s.pickup.lng, s.pickup.contact_name, s.pickup.contact_phone, s.pickup.contact_email])
-  // Drop stops
-  for (let i=0;i<(s.drops||[]).length;i++) {
-    const d = s.drops[i];
-    await query('INSERT INTO stops(shipment_id,kind,address,lat,lng,contact_name,contact_phone,contact_email,order_index) VALUES($1,\'DROP\',$2,$3,$4,$5,$6,$7,$8)',
-      [shipmentId, d.address, d.lat, d.lng, d.contact_name, d.contact_phone, d.contact_email, i+1])
-  }
-  // Create payment record
-  const settings = (await query('SELECT key,value FROM settings')).rows;
-  const map = Object.fromEntries(settings.map(x=>[x.key,x.value]));
-  const enabled = (map['COMMISSION_ENABLED'] ?? 'true') === 'true';
-  const rate = Number(map['COMMISSION_RATE'] ?? 2);
-  const mode = map['COMMISSION_MODE'] ?? 'postpaid';
-  const commission_amount = enabled ? (Number(s.shipment_cost||0) * rate / 100) : 0;
-  const net_payout = Number(s.shipment_cost||0) - commission_amount;
-  await query('INSERT INTO payments(shipment_id,company_id,payment_mode,shipment_cost,commission_rate,commission_amount,net_payout,commission_status,payout_status) SELECT $1,c.id,$2,$3,$4,$5,$6,$7,$8 FROM companies c WHERE c.user_id=$9',
-    [shipmentId, s.payment_mode||'online', s.shipment_cost||0, rate, commission_amount, net_payout, mode==='prepaid'?'deducted':'pending','pending', req.user.id]);
-  res.json({ id: shipmentId });
-});
-
-router.get('/shipments', requireAuth('COMPANY'), async (req,res)=>{
-  const r = await query('SELECT s.*, p.commission_amount, p.net_payout FROM shipments s JOIN companies c ON s.company_id=c.id LEFT JOIN payments p ON p.shipment_id=s.id WHERE c.user_id=$1 ORDER BY s.created_at DESC', [req.user.id]);
+  if (!s.quote_id) return res.status(400).json({ error: 'quote_id required' });
+  // Stops are inserted from the body, so they must be the located stops the quote compares
+  if (!s.pickup || typeof s.pickup !== 'object' || !Array.isArray(s.drops) || !s.drops.length) {
+    return res.status(400).json({ error: 'pickup and drops with coordinates required' });
+  }
+  const company = req.company;
+  try {
+    const { shipmentId, shipmentCost } = await withTransaction(async (client) => {
+      // Cost is taken from the locked-in quote, never from the request body
+      const quote = await redeemQuote(client, s.quote_id, company.id, s);
+      const cost = Number(quote.total);
+      // Insert shipment
+      const ins = await client.query('INSERT INTO shipments(company_id,title,urgency,goods_description,weight,length,width,height,volume,handling_flags,goods_value,status,shipment_cost,payment_mode,quote_id,vehicle_type,promised_delivery_at) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,\'CREATED\',$12,$13,$14,$15,$16) RETURNING id',
+        [company.id, s.title||null, s.urgency||'NORMAL', s.goods_description||'', s.weight||0, s.length||0, s.width||0, s.height||0, s.volume||0, s.handling_flags||[], s.goods_value||0, cost, s.payment_mode||'online', quote.id, quote.vehicle_type, promisedDeliveryAt(quote, s.urgency, s.promised_delivery_at)])
+      const id = ins.rows[0].id
+      await markQuoteUsed(client, quote.id, id)
+      await recordShipmentCreated(id, actorFromRequest(req), { client })
+      // Pickup stop
+      await client.query('INSERT INTO stops(shipment_id,kind,address,lat,lng,contact_name,contact_phone,contact_email,order_index,geofence_radius_m) VALUES($1,\'PICKUP\',$2,$3,$4,$5,$6,$7,0,$8)',
+        [id, s.pickup.address, s.pickup.lat, s.pickup.lng, s.pickup.contact_name, s.pickup.contact_phone, s.pickup.contact_email, s.pickup.geofence_radius_m || null])
+      // Drop stops
+      for (let i=0;i<(s.drops||[]).length;i++) {
+        const d = s.drops[i];
+        await client.query('INSERT INTO stops(shipment_id,kind,address,lat,lng,contact_name,contact_phone,contact_email,order_index,geofence_radius_m) VALUES($1,\'DROP\',$2,$3,$4,$5,$6,$7,$8,$9)',
+          [id, d.address, d.lat, d.lng, d.contact_name, d.contact_phone, d.contact_email, i+1, d.geofence_radius_m || null])
+      }
+      return { shipmentId: id, shipmentCost: cost };
+    });
+    // Create payment record
+    const settings = (await query('SELECT key,value FROM settings')).rows;
+    const map = Object.fromEntries(settings.map(x=>[x.key,x.value]));
+    const enabled = (map['COMMISSION_ENABLED'] ?? 'true') === 'true';
+    const rate = Number(map['COMMISSION_RATE'] ?? 2);
+    const mode = map['COMMISSION_MODE'] ?? 'postpaid';
+    const commission_amount = enabled ? (shipmentCost * rate / 100) : 0;
+    const net_payout = shipmentCost - commission_amount;
+    await query('INSERT INTO payments(shipment_id,company_id,payment_mode,shipment_cost,commission_rate,commission_amount,net_payout,commission_status,payout_status) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9)',
+      [shipmentId, company.id, s.payment_mode||'online', shipmentCost, rate, commission_amount, net_payout, mode==='prepaid'?'deducted':'pending','pending']);
+    res.json({ id: shipmentId, shipment_cost: shipmentCost });
+  } catch (error) {
+    if (error instanceof QuoteError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Company shipment creation error:', error);
+    res.status(500).json({ error: 'Failed to create shipment' });
+  }
+});
+
+router.get('/shipments', requireAuth('COMPANY'), requirePermission('shipments.view'), async (req,res)=>{
+  const r = await query('SELECT s.*, p.commission_amount, p.net_payout FROM shipments s LEFT JOIN payments p ON p.shipment_id=s.id WHERE s.company_id=$1 ORDER BY s.created_at DESC', [req.company.id]);
   res.json(r.rows);
 });
 
+// Fleet roster: the company's drivers with their vehicle, current trip and last position
+router.get('/fleet', requireAuth('COMPANY'), requirePermission('vehicles.view'), async (req,res)=>{
+  try {
+    res.json(await fleetRoster(req.company.id));
+  } catch (error) {
+    logger.error('Fleet roster error:', error);
+    res.status(500).json({ error: 'Failed to fetch fleet' });
+  }
+});
+
+// Invite a registered driver to the fleet: { email }. The driver accepts from their dashboard.
+router.post('/fleet/invitations', requireAuth('COMPANY'), requirePermission('vehicles.manage'), async (req,res)=>{
+  try {
+    res.status(201).json(await inviteDriver(req.company, req.body.email, req.user.id));
+  } catch (error) {
+    if (error instanceof FleetError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Fleet invitation error:', error);
+    res.status(500).json({ error: 'Failed to invite driver' });
+  }
+});
+
+// Put a fleet driver on one of the company's vehicles: { vehicle_id } (null to take it away)
+router.put('/fleet/:operatorId/vehicle', requireAuth('COMPANY'), requirePermission('vehicles.manage'), async (req,res)=>{
+  try {
+    await assignVehicle(req.company.id, req.params.operatorId, req.body.vehicle_id || null, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof FleetError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Fleet vehicle assignment error:', error);
+    res.status(500).json({ error: 'Failed to assign vehicle' });
+  }
+});
+
+// Remove a driver from the fleet or withdraw their invitation
+router.delete('/fleet/:operatorId', requireAuth('COMPANY'), requirePermission('vehicles.manage'), async (req,res)=>{
+  try {
+    await removeDriver(req.company.id, req.params.operatorId, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof FleetError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Fleet removal error:', error);
+    res.status(500).json({ error: 'Failed to remove driver' });
+  }
+});
+
+// Consolidation plans: waiting shipments packed onto free vehicles, not yet saved
+router.get('/consolidation/plan', requireAuth('COMPANY'), requirePermission('shipments.manage'), async (req,res)=>{
+  try {
+    res.json(await planConsolidation(req.company.id));
+  } catch (error) {
+    logger.error('Consolidation plan error:', error);
+    res.status(500).json({ error: 'Failed to plan consolidation' });
+  }
+});
+
+// Accept a plan as a trip: { vehicle_id, shipment_ids }
+router.post('/trips', requireAuth('COMPANY', { approved: true }), requirePermission('shipments.manage'), async (req,res)=>{
+  try {
+    res.status(201).json(await createTrip(req.company, req.body, req.user.id));
+  } catch (error) {
+    if (error instanceof TripError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Trip creation error:', error);
+    res.status(500).json({ error: 'Failed to create trip' });
+  }
+});
+
+router.get('/trips', requireAuth('COMPANY'), requirePermission('shipments.view'), async (req,res)=>{
+  try {
+    res.json(await listTrips(req.company.id));
+  } catch (error) {
+    logger.error('Trip list error:', error);
+    res.status(500).json({ error: 'Failed to fetch trips' });
+  }
+});
+
+router.get('/trips/:id', requireAuth('COMPANY'), requirePermission('shipments.view'), async (req,res)=>{
+  try {
+    res.json(await getTrip(req.company.id, req.params.id));
+  } catch (error) {
+    if (error instanceof TripError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Trip fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip' });
+  }
+});
+
+// Give a trip to a fleet driver: { operator_id }. All its shipments are assigned to them.
+router.post('/trips/:id/assign', requireAuth('COMPANY', { approved: true }), requirePermission('shipments.manage'), async (req,res)=>{
+  try {
+    await assignTrip(req.company.id, req.params.id, req.body.operator_id, actorFromRequest(req));
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof TripError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Trip assignment error:', error);
+    res.status(500).json({ error: 'Failed to assign trip' });
+  }
+});
+
+// Cancel a trip before pickup; its shipments go back to waiting
+router.post('/trips/:id/cancel', requireAuth('COMPANY'), requirePermission('shipments.manage'), async (req,res)=>{
+  try {
+    await cancelTrip(req.company.id, req.params.id, actorFromRequest(req));
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof TripError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Trip cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel trip' });
+  }
+});
+
+// Team members and open invitations; any member may look, owners manage
+router.get('/team', requireAuth('COMPANY'), async (req,res)=>{
+  try {
+    if (!req.company) return res.status(404).json({ error: 'Company not found' });
+    const [members, invitations] = await Promise.all([listMembers(req.company.id), listInvitations(req.company.id)]);
+    res.json({ members: members.map(m => ({ ...m, current: m.user_id === req.user.id })), invitations });
+  } catch (error) {
+    logger.error('Team list error:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+// Invite a member by email: { email, role }
+router.post('/team/invitations', requireAuth('COMPANY'), requirePermission('team.manage'), async (req,res)=>{
+  try {
+    const invitation = await inviteMember(req.company, req.body, req.user.id);
+    res.status(201).json(invitation);
+  } catch (error) {
+    if (error instanceof TeamError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Team invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+router.delete('/team/invitations/:id', requireAuth('COMPANY'), requirePermission('team.manage'), async (req,res)=>{
+  try {
+    await revokeInvitation(req.company.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof TeamError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Team invitation revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Change a member's team role: { role }
+router.patch('/team/members/:id', requireAuth('COMPANY'), requirePermission('team.manage'), async (req,res)=>{
+  try {
+    res.json(await updateMemberRole(req.company.id, req.params.id, req.body.role, req.user.id));
+  } catch (error) {
+    if (error instanceof TeamError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Team role change error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Remove a member; their sessions are logged out
+router.delete('/team/members/:id', requireAuth('COMPANY'), requirePermission('team.manage'), async (req,res)=>{
+  try {
+    await removeMember(req.company.id, req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof TeamError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Team member removal error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
 export default router;
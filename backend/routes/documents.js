@@ -0,0 +1,29 @@
+import express from 'express';
+import { requireAuth } from './_authMiddleware.js';
+import { getDocument, documentDownloadUrl } from '../services/documents.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Short-lived signed download URL for a document; owners (any member of the owning
+// company) and admins only
+router.get('/:id/download', requireAuth(), async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const companyMember = Boolean(req.company) && req.company.id === document.owner_company_id;
+    if (req.user.role !== 'ADMIN' && req.user.id !== document.owner_user_id && !companyMember) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json(await documentDownloadUrl(document));
+  } catch (error) {
+    logger.error('Document download error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+export default router;
@@ -5,6 +5,8 @@ import express from 'express';
 import errorManager from '../utils/errorManager.js';
 import circuitBreakerManager from '../utils/circuitBreaker.js';
 import logger from '../utils/logger.js';
+import { getHubStats } from '../services/trackingHub.js';
+import { requireAuth } from './_authMiddleware.js';
 
 const router = express.Router();
 
@@ -15,6 +17,8 @@ router.get('/health', async (req, res) => {
   try {
     const healthStatus = errorManager.getHealthStatus();
     const circuitBreakerStatus = circuitBreakerManager.getStatistics();
+    // Totals only: watched shipment ids would unlock their public tracking pages
+    const { listening, subscribers } = getHubStats();
     
     const status = {
       status: healthStatus.status,
@@ -31,7 +35,8 @@ router.get('/health', async (req, res) => {
         open: circuitBreakerStatus.summary.open,
         halfOpen: circuitBreakerStatus.summary.halfOpen,
         closed: circuitBreakerStatus.summary.closed
-      }
+      },
+      tracking: { listening, subscribers }
     };
 
     const statusCode = healthStatus.status === 'healthy' ? 200 : 503;
@@ -46,6 +51,16 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * Tracking hub subscribers per shipment (admins only)
+ */
+router.get('/health/tracking', requireAuth('ADMIN'), (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    tracking: getHubStats()
+  });
+});
+
 /**
  * Detailed health check with dependencies
  */
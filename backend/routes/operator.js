@@ -2,19 +2,32 @@ import express from 'express';
 import { query } from '../db.js';
 import { requireAuth } from './_authMiddleware.js';
 import logger from '../utils/logger.js';
+import { respondToOffer } from '../services/dispatch.js';
+import { ingestPings } from '../services/pingIngestion.js';
+import { uploadDocument, listDocumentSlots } from '../services/documents.js';
+import { operatorFleet, acceptFleetInvitation, leaveFleet } from '../services/fleet.js';
+import { operatorTrips, updateTripStatus, ingestTripPings } from '../services/trips.js';
+import { TrackingError, DocumentError, FleetError, TripError } from '../utils/errorTypes.js';
+import { actorFromRequest } from '../services/shipmentStateMachine.js';
+import { ShipmentTransitionError, sendTransitionError } from './_shipmentErrors.js';
+import { memoryUpload, parseUpload, StorageError, sendStorageError } from './_uploads.js';
+import { UPLOAD_POLICIES } from '../services/storage/index.js';
 
 const router = express.Router();
+const documentUpload = memoryUpload([{ name: 'file', maxCount: 1 }], { maxFileBytes: UPLOAD_POLICIES.document.maxBytes });
 
 // Get operator profile
 router.get('/profile', requireAuth('OPERATOR'), async (req, res) => {
   try {
     const result = await query(`
-      SELECT o.*, u.email as user_email 
+      SELECT o.*, u.email as user_email, c.name as fleet_company_name, v.reg_no as vehicle_reg_no, v.type as vehicle_type
       FROM operators o 
       JOIN users u ON o.user_id = u.id 
+      LEFT JOIN companies c ON c.id = o.company_id
+      LEFT JOIN vehicles v ON v.id = o.vehicle_id
       WHERE o.user_id = $1
     `, [req.user.id]);
-    res.json(result.rows[0] || {});
+    res.json(result.rows[0] ? { ...result.rows[0], email_verified: Boolean(req.user.email_verified_at) } : {});
   } catch (error) {
     logger.error('Profile fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch profile' });
@@ -22,13 +35,17 @@ router.get('/profile', requireAuth('OPERATOR'), async (req, res) => {
 });
 
 // Get available shipments for driver
-router.get('/shipments/available', requireAuth('OPERATOR'), async (req, res) => {
+router.get('/shipments/available', requireAuth('OPERATOR', { approved: true }), async (req, res) => {
   try {
+    if (req.operator.vehicle_status === 'SUSPENDED') {
+      return res.status(403).json({ error: 'Your vehicle is suspended', code: 'VEHICLE_SUSPENDED' });
+    }
+    
     const result = await query(`
       SELECT s.*, c.name as company_name, c.email as company_email
       FROM shipments s
       JOIN companies c ON s.company_id = c.id
-      WHERE s.status = 'CREATED' AND s.operator_id IS NULL
+      WHERE s.status = 'CREATED' AND s.operator_id IS NULL AND s.trip_id IS NULL
       ORDER BY s.created_at DESC
     `);
     res.json(result.rows);
@@ -41,16 +58,16 @@ router.get('/shipments/available', requireAuth('OPERATOR'), async (req, res) =>
 // Get driver's assigned shipments
 router.get('/shipments', requireAuth('OPERATOR'), async (req, res) => {
   try {
-    const opResult = await query('SELECT id FROM operators WHERE user_id = $1', [req.user.id]);
-    if (opResult.rows.length === 0) {
+    if (!req.operator) {
       return res.status(404).json({ error: 'Operator not found' });
     }
     
-    const operator_id = opResult.rows[0].id;
+    const operator_id = req.operator.id;
     const result = await query(`
-      SELECT s.*, c.name as company_name, c.email as company_email
+      SELECT s.*, c.name as company_name, c.email as company_email, v.reg_no as vehicle_reg_no
       FROM shipments s
       JOIN companies c ON s.company_id = c.id
+      LEFT JOIN vehicles v ON v.id = s.vehicle_id
       WHERE s.operator_id = $1
       ORDER BY s.created_at DESC
     `, [operator_id]);
@@ -61,8 +78,138 @@ router.get('/shipments', requireAuth('OPERATOR'), async (req, res) => {
   }
 });
 
-// Update operator online status
-router.post('/status', requireAuth('OPERATOR'), async (req, res) => {
+// Fleet the driver belongs to or is invited to (null when independent)
+router.get('/fleet', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    if (!req.operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    res.json(await operatorFleet(req.operator.id));
+  } catch (error) {
+    logger.error('Fleet fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch fleet' });
+  }
+});
+
+// Accept a fleet invitation, or leave the fleet (also declines an invitation)
+router.post('/fleet/:decision(accept|leave)', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    if (!req.operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    if (req.params.decision === 'accept') await acceptFleetInvitation(req.operator.id);
+    else await leaveFleet(req.operator.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof FleetError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Fleet response error:', error);
+    res.status(500).json({ error: 'Failed to update fleet' });
+  }
+});
+
+// Trips assigned to the driver or under way, with their stops in visiting order
+router.get('/trips', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    if (!req.operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    res.json(await operatorTrips(req.operator.id));
+  } catch (error) {
+    logger.error('Driver trips error:', error);
+    res.status(500).json({ error: 'Failed to fetch trips' });
+  }
+});
+
+// Move every shipment of the trip that can: { status: PICKUP|IN_TRANSIT, reason, lat, lng }.
+// Drops are delivered one by one through the shipment's stop and POD routes.
+router.post('/trips/:id/status', requireAuth('OPERATOR', { approved: true }), async (req, res) => {
+  try {
+    const { status, reason, lat, lng } = req.body || {};
+    if (!['PICKUP', 'IN_TRANSIT'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    if (!req.operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    const result = await updateTripStatus(req.params.id, req.operator.id, status, {
+      actor: actorFromRequest(req),
+      reason,
+      location: typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null
+    });
+    
+    logger.info(`Trip status updated: ${req.params.id}`, { status, shipments: result.shipment_ids.length });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof TripError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Trip status error:', error);
+    res.status(500).json({ error: 'Failed to update trip status' });
+  }
+});
+
+// Location fixes for a whole trip: { points: [{ lat, lng, timestamp, accuracy, speed, heading }] }.
+// Stored on each shipment of the trip that is still being tracked.
+router.post('/trips/:id/pings', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const { points } = req.body || {};
+    if (!Array.isArray(points)) {
+      return res.status(400).json({ error: 'points required' });
+    }
+    if (!req.operator) {
+      return res.status(400).json({ error: 'Operator not found' });
+    }
+    
+    res.json({ success: true, ...await ingestTripPings(req.params.id, req.operator.id, points) });
+  } catch (error) {
+    if (error instanceof TripError || error instanceof TrackingError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Trip ping error:', error);
+    res.status(500).json({ error: 'Failed to add pings' });
+  }
+});
+
+// Get open dispatch offers for driver
+router.get('/offers', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT d.id, d.shipment_id, d.distance_km, d.expires_at, s.title, s.pickup, s.destination, s.weight,
+             c.name as company_name
+      FROM dispatch_offers d
+      JOIN operators o ON d.operator_id = o.id
+      JOIN shipments s ON d.shipment_id = s.id
+      JOIN companies c ON s.company_id = c.id
+      WHERE o.user_id = $1 AND d.status = 'OFFERED' AND d.expires_at > now()
+      ORDER BY d.offered_at DESC
+    `, [req.user.id]);
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Dispatch offers error:', error);
+    res.status(500).json({ error: 'Failed to fetch offers' });
+  }
+});
+
+// Accept or decline a dispatch offer
+router.post('/offers/:id/:decision(accept|decline)', requireAuth('OPERATOR', { approved: true }), async (req, res) => {
+  try {
+    if (!req.operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    const offer = await respondToOffer(req.params.id, req.operator.id, req.params.decision === 'accept', actorFromRequest(req));
+    
+    logger.info(`Dispatch offer ${offer.status.toLowerCase()}: ${req.params.id}`, { shipment_id: offer.shipment_id });
+    res.json({ success: true, status: offer.status, shipment_id: offer.shipment_id });
+  } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Dispatch offer response error:', error);
+    res.status(500).json({ error: 'Failed to respond to offer' });
+  }
+});
+
+// Update operator online status (only approved operators can go online)
+router.post('/status', requireAuth('OPERATOR', { approved: true }), async (req, res) => {
   try {
     const { online } = req.body;
     await query('UPDATE operators SET online = $1 WHERE user_id = $2', [online, req.user.id]);
@@ -78,23 +225,79 @@ router.post('/status', requireAuth('OPERATOR'), async (req, res) => {
 // Add location ping
 router.post('/ping', requireAuth('OPERATOR'), async (req, res) => {
   try {
-    const { lat, lng, shipment_id } = req.body || {};
+    const { lat, lng, shipment_id, timestamp, accuracy, speed, heading } = req.body || {};
     if (typeof lat !== 'number' || typeof lng !== 'number' || !shipment_id) {
       return res.status(400).json({ error: 'lat, lng, shipment_id required' });
     }
     
-    const op = await query('SELECT id FROM operators WHERE user_id=$1', [req.user.id]);
-    const opId = (op.rows && op.rows[0] && op.rows[0].id) || null;
+    const opId = req.operator?.id || null;
     if (!opId) return res.status(400).json({ error: 'Operator not found' });
     
-    await query('INSERT INTO pings (shipment_id, operator_id, lat, lng) VALUES ($1,$2,$3,$4)', [shipment_id, opId, lat, lng]);
+    const result = await ingestPings(shipment_id, opId, [{ lat, lng, timestamp, accuracy, speed, heading }]);
+    if (!result.accepted) {
+      return res.status(422).json({ error: 'Ping rejected', reason: result.rejected[0]?.reason });
+    }
     
     logger.info(`Location ping added: ${shipment_id}`, { lat, lng });
-    res.json({ success: true });
+    res.json({ success: true, geofence: result.geofence, eta: result.eta });
   } catch (error) {
+    if (error instanceof TrackingError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
     logger.error('Ping error:', error);
     res.status(500).json({ error: 'Failed to add ping' });
   }
 });
 
+// Upload buffered location fixes: { shipment_id, points: [{ lat, lng, timestamp, accuracy, speed, heading }] }
+router.post('/pings', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const { shipment_id, points } = req.body || {};
+    if (!shipment_id || !Array.isArray(points)) {
+      return res.status(400).json({ error: 'shipment_id and points required' });
+    }
+    
+    const opId = req.operator?.id || null;
+    if (!opId) return res.status(400).json({ error: 'Operator not found' });
+    
+    const result = await ingestPings(shipment_id, opId, points);
+    
+    logger.info(`Location pings added: ${shipment_id}`, { received: points.length, accepted: result.accepted });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof TrackingError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Batch ping error:', error);
+    res.status(500).json({ error: 'Failed to add pings' });
+  }
+});
+
+// Upload or resubmit the driving licence (multipart: file, doc_type, expires_on)
+router.post('/documents', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    await parseUpload(documentUpload, req, res);
+    
+    if (!req.operator) return res.status(404).json({ error: 'Operator not found' });
+    
+    const document = await uploadDocument('OPERATOR', req.operator.id, req.body.doc_type || 'DRIVING_LICENSE', req.files?.file?.[0], req.user.id, {
+      expiresOn: req.body.expires_on
+    });
+    res.status(201).json(document);
+  } catch (error) {
+    if (error instanceof StorageError) return sendStorageError(res, error);
+    if (error instanceof DocumentError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Document upload error:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+// Document slots with the current upload, its review status and remarks
+router.get('/documents', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    if (!req.operator) return res.status(404).json({ error: 'Operator not found' });
+    
+    res.json(await listDocumentSlots('OPERATOR', req.operator.id));
+  } catch (error) {
+    logger.error('Document list error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
 export default router;
\ No newline at end of file
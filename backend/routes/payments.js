@@ -1,22 +1,20 @@
 import express from 'express';
 import { query } from '../db.js';
-import { requireAuth } from './_authMiddleware.js';
+import { requireAuth, requirePermission } from './_authMiddleware.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 // Create payment intent
-router.post('/create', requireAuth('COMPANY'), async (req, res) => {
+router.post('/create', requireAuth('COMPANY', { approved: true }), requirePermission('payments.manage'), async (req, res) => {
   try {
     const { shipment_id, amount } = req.body;
     
     // Verify shipment belongs to company
-    const shipmentResult = await query(`
-      SELECT s.*, c.user_id as company_user_id 
-      FROM shipments s 
-      JOIN companies c ON s.company_id = c.id 
-      WHERE s.id = $1 AND c.user_id = $2
-    `, [shipment_id, req.user.id]);
+    const shipmentResult = await query(
+      'SELECT id FROM shipments WHERE id = $1 AND company_id = $2',
+      [shipment_id, req.company.id]
+    );
     
     if (shipmentResult.rows.length === 0) {
       return res.status(404).json({ error: 'Shipment not found' });
@@ -34,26 +32,31 @@ router.post('/create', requireAuth('COMPANY'), async (req, res) => {
 });
 
 // Process payment (simulate payment gateway)
-router.post('/process', requireAuth('COMPANY'), async (req, res) => {
+router.post('/process', requireAuth('COMPANY'), requirePermission('payments.manage'), async (req, res) => {
   try {
     const { payment_id, payment_method } = req.body;
     
-    // Simulate payment processing
-    const paymentResult = await query('SELECT * FROM payments WHERE id = $1', [payment_id]);
+    // Simulate payment processing; only the company's own payments
+    const paymentResult = await query(
+      'SELECT p.* FROM payments p JOIN shipments s ON s.id = p.shipment_id WHERE p.id = $1 AND s.company_id = $2',
+      [payment_id, req.company.id]
+    );
     if (paymentResult.rows.length === 0) {
       return res.status(404).json({ error: 'Payment not found' });
     }
     
     const payment = paymentResult.rows[0];
+    // Payments of cancelled shipments are cancelled and must not be captured any more
+    if (payment.status === 'CANCELLED') {
+      return res.status(409).json({ error: 'Payment has been cancelled' });
+    }
     
     // Simulate payment success (in real implementation, integrate with Razorpay/Stripe)
     await query('UPDATE payments SET status = $1, payment_method = $2 WHERE id = $3', 
       ['COMPLETED', payment_method, payment_id]);
     
-    // Update shipment status to paid
-    await query('UPDATE shipments SET status = $1 WHERE id = $2', ['ASSIGNED', payment.shipment_id]);
-    
-    logger.info(`Payment processed: ${payment_id}`, { payment_method });
+    // Payment does not move the shipment lifecycle; status changes go through the shipment state machine
+    logger.info(`Payment processed: ${payment_id}`, { payment_method, shipment_id: payment.shipment_id });
     res.json({ success: true, status: 'COMPLETED' });
   } catch (error) {
     logger.error('Payment processing error:', error);
@@ -62,16 +65,15 @@ router.post('/process', requireAuth('COMPANY'), async (req, res) => {
 });
 
 // Get payment history
-router.get('/history', requireAuth('COMPANY'), async (req, res) => {
+router.get('/history', requireAuth('COMPANY'), requirePermission('payments.view'), async (req, res) => {
   try {
     const result = await query(`
       SELECT p.*, s.pickup, s.destination, s.cost
       FROM payments p
       JOIN shipments s ON p.shipment_id = s.id
-      JOIN companies c ON s.company_id = c.id
-      WHERE c.user_id = $1
+      WHERE s.company_id = $1
       ORDER BY p.created_at DESC
-    `, [req.user.id]);
+    `, [req.company.id]);
     res.json(result.rows);
   } catch (error) {
     logger.error('Payment history error:', error);
@@ -1,43 +1,90 @@
 import express from 'express';
-import { query } from '../db.js';
-import multer from 'multer';
+import { query, withTransaction } from '../db.js';
 import { v4 as uuidv4 } from 'uuid';
-import { requireAuth } from './_authMiddleware.js';
-import { validateShipment, validateRequest } from '../utils/validation.js';
+import { requireAuth, requirePermission } from './_authMiddleware.js';
+import { validateShipment, validateQuote, validateRequest } from '../utils/validation.js';
 import logger from '../utils/logger.js';
+import { ShipmentTransitionError, sendTransitionError } from './_shipmentErrors.js';
+import { canAccessShipment } from './_shipmentAccess.js';
+import { transitionShipment, recordShipmentCreated, getShipmentEvents, actorFromRequest } from '../services/shipmentStateMachine.js';
+import { reverseShipmentPayments } from '../services/refunds.js';
+import { startDispatch, getDispatchStatus } from '../services/dispatch.js';
+import { createQuote, redeemQuote, quotedStops, markQuoteUsed } from '../services/pricing.js';
+import { getStopsWithDwell } from '../services/geofence.js';
+import { markStopArrived, completePickup, failStop, finishDelivery } from '../services/stops.js';
+import { ingestPings } from '../services/pingIngestion.js';
+import { getTrail, toGeoJSON, toGPX } from '../services/routeReplay.js';
+import { POD_CONFIG, sendDeliveryOtp, submitProofOfDelivery, getProofOfDelivery, getPodFile } from '../services/pod.js';
+import { signedDownloadUrl } from '../services/storage/index.js';
+import { promisedDeliveryAt } from '../services/eta.js';
+import { openTrackingStream } from './_trackingStream.js';
+import { memoryUpload, parseUpload, StorageError, sendStorageError } from './_uploads.js';
+import { QuoteError, TrackingError, ProofOfDeliveryError, StopError } from '../utils/errorTypes.js';
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/' });
+const STOP_ACTIONS = { arrive: markStopArrived, complete: completePickup, fail: failStop };
+const podUpload = memoryUpload(
+  [{ name: 'photos', maxCount: POD_CONFIG.maxPhotos }, { name: 'signature', maxCount: 1 }],
+  { maxFileBytes: POD_CONFIG.maxFileBytes }
+);
 
-// Create shipment with proper validation
-router.post('/', requireAuth('COMPANY'), validateShipment, validateRequest, async (req, res) => {
+// Price a shipment; the returned quote_id must be used to create it
+router.post('/quote', requireAuth('COMPANY', { approved: true }), requirePermission('shipments.manage'), validateQuote, validateRequest, async (req, res) => {
   try {
-    const { pickup, destination, length, width, height, weight, instructions, customer_name, customer_phone, customer_email, cost } = req.body;
-    
-    // Get company ID from authenticated user
-    const companyResult = await query('SELECT id FROM companies WHERE user_id = $1', [req.user.id]);
-    if (companyResult.rows.length === 0) {
+    if (!req.company) {
       return res.status(404).json({ error: 'Company not found' });
     }
     
-    const company_id = companyResult.rows[0].id;
+    const quote = await createQuote(req.company.id, req.body);
+    res.json({ success: true, ...quote });
+  } catch (error) {
+    if (error instanceof QuoteError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Quote error:', error);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
+// Create shipment with proper validation; cost comes from the locked-in quote
+router.post('/', requireAuth('COMPANY', { approved: true }), requirePermission('shipments.manage'), validateShipment, validateRequest, async (req, res) => {
+  try {
+    const { pickup, destination, length, width, height, weight, instructions, customer_name, customer_phone, customer_email, quote_id, urgency, promised_delivery_at } = req.body;
+    
+    const company_id = req.company.id;
     const id = uuidv4();
     const commission_pct = parseFloat(process.env.DEFAULT_COMMISSION || '5');
-    const commission_amount = Math.round(cost * commission_pct / 100);
     
-    await query(`
-      INSERT INTO shipments(id, company_id, pickup, destination, length, width, height, weight, instructions, customer_name, customer_phone, customer_email, cost, commission_amount, status) 
-      VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'CREATED')
-    `, [id, company_id, pickup, destination, length, width, height, weight, instructions, customer_name, customer_phone, customer_email, cost, commission_amount]);
+    const { cost, commission_amount } = await withTransaction(async (client) => {
+      const quote = await redeemQuote(client, quote_id, company_id, req.body, { quotedRoute: true });
+      const cost = Number(quote.total);
+      const commission_amount = Math.round(cost * commission_pct / 100);
+      
+      await client.query(`
+        INSERT INTO shipments(id, company_id, pickup, destination, length, width, height, weight, instructions, customer_name, customer_phone, customer_email, cost, commission_amount, status, quote_id, vehicle_type, promised_delivery_at) 
+        VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'CREATED', $15, $16, $17)
+      `, [id, company_id, pickup, destination, length, width, height, weight, instructions, customer_name, customer_phone, customer_email, cost, commission_amount, quote.id, quote.vehicle_type, promisedDeliveryAt(quote, urgency, promised_delivery_at)]);
+      // The shipment travels the quoted route; the addresses only label its stops
+      for (const stop of quotedStops(quote, { pickup, destination })) {
+        const contact = stop.kind === 'DROP' ? [customer_name, customer_phone, customer_email] : [null, null, null];
+        await client.query(
+          'INSERT INTO stops(shipment_id, kind, address, lat, lng, contact_name, contact_phone, contact_email, order_index) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+          [id, stop.kind, stop.address, stop.lat, stop.lng, ...contact, stop.order_index]
+        );
+      }
+      await markQuoteUsed(client, quote.id, id);
+      await recordShipmentCreated(id, actorFromRequest(req), { client });
+      return { cost, commission_amount };
+    });
     
-    logger.info(`Shipment created: ${id}`, { company_id, cost, commission_amount });
+    logger.info(`Shipment created: ${id}`, { company_id, cost, commission_amount, quote_id });
     
     res.json({ 
       success: true, 
       shipment_id: id, 
+      cost,
       commission: commission_amount 
     });
   } catch (error) {
+    if (error instanceof QuoteError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
     logger.error('Shipment creation error:', error);
     res.status(500).json({ error: 'Failed to create shipment' });
   }
@@ -45,66 +92,345 @@ router.post('/', requireAuth('COMPANY'), validateShipment, validateRequest, asyn
 // Assign driver to shipment
 router.post('/:id/assign', requireAuth('ADMIN'), async (req, res) => {
   try {
-    const { operator_id } = req.body;
+    const { operator_id, reason } = req.body;
     const { id } = req.params;
     
-    await query('UPDATE shipments SET operator_id=$1, status=$2 WHERE id=$3', [operator_id, 'ASSIGNED', id]);
+    if (!operator_id) {
+      return res.status(400).json({ error: 'operator_id required' });
+    }
+    
+    await transitionShipment(id, 'ASSIGNED', {
+      actor: actorFromRequest(req),
+      reason,
+      changes: { operator_id },
+      from: ['CREATED']
+    });
     
     logger.info(`Shipment assigned: ${id}`, { operator_id });
     res.json({ success: true });
   } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
     logger.error('Shipment assignment error:', error);
     res.status(500).json({ error: 'Failed to assign shipment' });
   }
 });
 
 // Driver accept shipment
-router.post('/:id/accept', requireAuth('OPERATOR'), async (req, res) => {
+router.post('/:id/accept', requireAuth('OPERATOR', { approved: true }), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get operator ID
-    const opResult = await query('SELECT id FROM operators WHERE user_id = $1', [req.user.id]);
-    if (opResult.rows.length === 0) {
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
       return res.status(404).json({ error: 'Operator not found' });
     }
     
-    const operator_id = opResult.rows[0].id;
-    await query('UPDATE shipments SET operator_id=$1, status=$2 WHERE id=$3', [operator_id, 'ASSIGNED', id]);
+    await transitionShipment(id, 'ASSIGNED', {
+      actor: actorFromRequest(req),
+      changes: { operator_id },
+      from: ['CREATED']
+    });
     
     logger.info(`Shipment accepted: ${id}`, { operator_id });
     res.json({ success: true });
   } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
     logger.error('Shipment acceptance error:', error);
     res.status(500).json({ error: 'Failed to accept shipment' });
   }
 });
 
-// Update shipment status
+// Update shipment status. Delivery is only recorded through POST /:id/pod, which
+// verifies the recipient's OTP.
 router.post('/:id/status', requireAuth('OPERATOR'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason, lat, lng } = req.body;
     const { id } = req.params;
     
-    const validStatuses = ['PICKUP', 'IN_TRANSIT', 'DELIVERED'];
+    const validStatuses = ['PICKUP', 'IN_TRANSIT'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
     
-    await query('UPDATE shipments SET status=$1 WHERE id=$2', [status, id]);
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    await transitionShipment(id, status, {
+      actor: actorFromRequest(req),
+      reason,
+      location: typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null,
+      operatorId: operator_id
+    });
     
     logger.info(`Shipment status updated: ${id}`, { status });
     res.json({ success: true });
   } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
     logger.error('Status update error:', error);
     res.status(500).json({ error: 'Failed to update status' });
   }
 });
 
+// Company cancels a shipment before pickup; payments are refunded and commission reversed
+router.post('/:id/cancel', requireAuth('COMPANY'), requirePermission('shipments.manage'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const { id } = req.params;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'Cancellation reason required' });
+    }
+    
+    const owned = await query('SELECT s.id FROM shipments s WHERE s.id = $1 AND s.company_id = $2', [id, req.company.id]);
+    if (owned.rows.length === 0) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+    
+    const refund = await withTransaction(async (client) => {
+      await transitionShipment(id, 'CANCELLED', {
+        actor: actorFromRequest(req),
+        reason: reason.trim(),
+        changes: { operator_id: null },
+        client
+      });
+      return reverseShipmentPayments(id, { client });
+    });
+    
+    logger.info(`Shipment cancelled: ${id}`, { refunded: refund.refunded });
+    res.json({ success: true, refunded: refund.refunded });
+  } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Shipment cancellation error:', error);
+    res.status(500).json({ error: 'Failed to cancel shipment' });
+  }
+});
+
+// Driver releases an assigned shipment back to the available pool
+router.post('/:id/release', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const { id } = req.params;
+    
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    await transitionShipment(id, 'CREATED', {
+      actor: actorFromRequest(req),
+      reason,
+      changes: { operator_id: null },
+      operatorId: operator_id
+    });
+    
+    logger.info(`Shipment released: ${id}`, { operator_id });
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Shipment release error:', error);
+    res.status(500).json({ error: 'Failed to release shipment' });
+  }
+});
+
+// Admin force-reassigns an assigned shipment to another operator
+router.post('/:id/reassign', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    const { operator_id, reason } = req.body;
+    const { id } = req.params;
+    
+    if (!operator_id || !reason || !reason.trim()) {
+      return res.status(400).json({ error: 'operator_id and reason required' });
+    }
+    
+    const opResult = await query("SELECT id FROM operators WHERE id = $1 AND status = 'APPROVED'", [operator_id]);
+    if (opResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Approved operator not found' });
+    }
+    
+    const current = await query('SELECT operator_id FROM shipments WHERE id = $1', [id]);
+    if (current.rows[0]?.operator_id === operator_id) {
+      return res.status(400).json({ error: 'Shipment is already assigned to this operator' });
+    }
+    
+    const { event } = await transitionShipment(id, 'ASSIGNED', {
+      actor: actorFromRequest(req),
+      reason: reason.trim(),
+      changes: { operator_id },
+      from: ['ASSIGNED']
+    });
+    
+    logger.info(`Shipment reassigned: ${id}`, { from: event.from_operator_id, to: operator_id });
+    res.json({ success: true, from_operator_id: event.from_operator_id, to_operator_id: operator_id });
+  } catch (error) {
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Shipment reassignment error:', error);
+    res.status(500).json({ error: 'Failed to reassign shipment' });
+  }
+});
+
+// Start automatic dispatch: offer the job to ranked nearby operators in turn
+router.post('/:id/dispatch', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const current = await query('SELECT status, trip_id FROM shipments WHERE id = $1', [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+    if (current.rows[0].status !== 'CREATED') {
+      return res.status(409).json({ error: `Cannot dispatch a shipment in status ${current.rows[0].status}` });
+    }
+    if (current.rows[0].trip_id) {
+      return res.status(409).json({ error: 'Shipment is part of a planned trip' });
+    }
+    
+    const offer = await startDispatch(id);
+    
+    logger.info(`Dispatch started: ${id}`, { offered: !!offer });
+    res.json({ success: true, offer });
+  } catch (error) {
+    logger.error('Dispatch start error:', error);
+    res.status(500).json({ error: 'Failed to start dispatch' });
+  }
+});
+
+// Dispatch offers made so far and the current candidate ranking
+router.get('/:id/dispatch', requireAuth('ADMIN'), async (req, res) => {
+  try {
+    res.json(await getDispatchStatus(req.params.id));
+  } catch (error) {
+    logger.error('Dispatch status error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispatch status' });
+  }
+});
+
+// Get shipment status history
+router.get('/:id/events', requireAuth(), async (req, res) => {
+  try {
+    const allowed = await canAccessShipment(req.user, req.params.id);
+    if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    
+    const events = await getShipmentEvents(req.params.id);
+    res.json(events);
+  } catch (error) {
+    logger.error('Shipment events error:', error);
+    res.status(500).json({ error: 'Failed to fetch shipment events' });
+  }
+});
+
+// Get stops with geofence arrival/departure times and dwell
+router.get('/:id/stops', requireAuth(), async (req, res) => {
+  try {
+    const allowed = await canAccessShipment(req.user, req.params.id);
+    if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    
+    const stops = await getStopsWithDwell(req.params.id);
+    res.json(stops);
+  } catch (error) {
+    logger.error('Shipment stops error:', error);
+    res.status(500).json({ error: 'Failed to fetch shipment stops' });
+  }
+});
+
+// Driver works one stop: arrive, complete (pickups; drops complete with POD) or fail
+// (drops): { reason, lat, lng }
+router.post('/:id/stops/:stopId/:action(arrive|complete|fail)', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const { reason, lat, lng } = req.body || {};
+    const { id, stopId, action } = req.params;
+    
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    const result = await STOP_ACTIONS[action](id, stopId, operator_id, {
+      actor: actorFromRequest(req),
+      reason,
+      location: typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null
+    });
+    
+    logger.info(`Stop updated: ${stopId}`, { shipmentId: id, action });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof StopError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Stop update error:', error);
+    res.status(500).json({ error: 'Failed to update stop' });
+  }
+});
+
+// Driver closes a shipment whose remaining drops failed: partially delivered, or
+// undelivered when no drop was completed: { lat, lng }
+router.post('/:id/finish', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const { lat, lng } = req.body || {};
+    const { id } = req.params;
+    
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    const result = await finishDelivery(id, operator_id, {
+      actor: actorFromRequest(req),
+      location: typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null
+    });
+    
+    logger.info(`Shipment finished: ${id}`, { status: result.shipment_status });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof StopError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
+    logger.error('Shipment finish error:', error);
+    res.status(500).json({ error: 'Failed to finish shipment' });
+  }
+});
+
+// Breadcrumb trail for route replay and audits: ?from=&to=&tolerance=<metres>&format=json|geojson|gpx
+router.get('/:id/trail', requireAuth(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, tolerance, format = 'json' } = req.query;
+    
+    const allowed = await canAccessShipment(req.user, id);
+    if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    
+    for (const value of [from, to]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+    }
+    if (tolerance && !(Number(tolerance) >= 0)) {
+      return res.status(400).json({ error: 'tolerance must be a non-negative number of metres' });
+    }
+    
+    const trail = await getTrail(id, { from: from || null, to: to || null, tolerance });
+    
+    if (format === 'geojson') {
+      res.setHeader('Content-Disposition', `attachment; filename="shipment-${id}.geojson"`);
+      return res.type('application/geo+json').send(JSON.stringify(toGeoJSON(trail)));
+    }
+    if (format === 'gpx') {
+      res.setHeader('Content-Disposition', `attachment; filename="shipment-${id}.gpx"`);
+      return res.type('application/gpx+xml').send(toGPX(trail));
+    }
+    res.json(trail);
+  } catch (error) {
+    logger.error('Shipment trail error:', error);
+    res.status(500).json({ error: 'Failed to fetch shipment trail' });
+  }
+});
+
 // Add location ping
 router.post('/:id/ping', requireAuth('OPERATOR'), async (req, res) => {
   try {
-    const { lat, lng } = req.body;
+    const { lat, lng, timestamp, accuracy, speed, heading } = req.body;
     const { id } = req.params;
     
     if (typeof lat !== 'number' || typeof lng !== 'number') {
@@ -112,41 +438,113 @@ router.post('/:id/ping', requireAuth('OPERATOR'), async (req, res) => {
     }
     
     // Get operator ID
-    const opResult = await query('SELECT id FROM operators WHERE user_id = $1', [req.user.id]);
-    if (opResult.rows.length === 0) {
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
       return res.status(404).json({ error: 'Operator not found' });
     }
     
-    const operator_id = opResult.rows[0].id;
-    await query('INSERT INTO pings(shipment_id, operator_id, lat, lng) VALUES($1, $2, $3, $4)', [id, operator_id, lat, lng]);
+    const result = await ingestPings(id, operator_id, [{ lat, lng, timestamp, accuracy, speed, heading }]);
+    if (!result.accepted) {
+      return res.status(422).json({ error: 'Ping rejected', reason: result.rejected[0]?.reason });
+    }
     
-    res.json({ success: true });
+    res.json({ success: true, geofence: result.geofence, eta: result.eta });
   } catch (error) {
+    if (error instanceof TrackingError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
     logger.error('Ping error:', error);
     res.status(500).json({ error: 'Failed to add ping' });
   }
 });
 
-// Upload proof of delivery
-router.post('/:id/pod', requireAuth('OPERATOR'), upload.single('pod'), async (req, res) => {
+// Send the delivery OTP to the recipient's phone: { stop_id } picks the drop when
+// several are open
+router.post('/:id/pod/otp', requireAuth('OPERATOR'), async (req, res) => {
+  try {
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    const otp = await sendDeliveryOtp(req.params.id, operator_id, req.body?.stop_id || null);
+    res.json({ success: true, ...otp });
+  } catch (error) {
+    if (error instanceof ProofOfDeliveryError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    logger.error('Delivery OTP error:', error);
+    res.status(500).json({ error: 'Failed to send delivery OTP' });
+  }
+});
+
+// Submit proof of delivery for a drop (multipart: photos[], signature, stop_id, recipient_name, otp, lat, lng, captured_at)
+router.post('/:id/pod', requireAuth('OPERATOR'), async (req, res) => {
   try {
     const { id } = req.params;
-    const file = req.file;
+    await parseUpload(podUpload, req, res);
     
-    if (!file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const operator_id = req.operator?.id;
+    if (!operator_id) {
+      return res.status(404).json({ error: 'Operator not found' });
     }
     
-    await query('INSERT INTO proof_of_delivery(shipment_id, path) VALUES($1, $2)', [id, file.path]);
-    await query("UPDATE shipments SET status='DELIVERED' WHERE id=$1", [id]);
+    const { stop_id, recipient_name, otp, lat, lng, captured_at } = req.body;
+    const pod = await submitProofOfDelivery(id, operator_id, actorFromRequest(req), {
+      stopId: stop_id,
+      recipientName: recipient_name,
+      otp,
+      lat,
+      lng,
+      capturedAt: captured_at,
+      photos: req.files?.photos || [],
+      signature: req.files?.signature?.[0] || null
+    });
     
-    logger.info(`POD uploaded: ${id}`, { file: file.path });
-    res.json({ success: true });
+    logger.info(`POD uploaded: ${id}`, { podId: pod.id, files: pod.files.length });
+    res.json({ success: true, pod });
   } catch (error) {
+    if (error instanceof ProofOfDeliveryError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    if (error instanceof StorageError) return sendStorageError(res, error);
+    if (error instanceof ShipmentTransitionError) return sendTransitionError(res, error);
     logger.error('POD upload error:', error);
     res.status(500).json({ error: 'Failed to upload POD' });
   }
 });
-router.get('/company/:companyId/enriched', async (req,res)=>{ const companyId=req.params.companyId; const shipmentsQ=`SELECT s.*, op.id as operator_id, op.name as operator_name, op.mobile as operator_mobile, (SELECT reg_no FROM vehicles v WHERE v.company_id = s.company_id LIMIT 1) as vehicle_reg_no, lp.lat as last_lat, lp.lng as last_lng, lp.ts as last_ping_at FROM shipments s LEFT JOIN operators op ON s.operator_id = op.id LEFT JOIN LATERAL ( SELECT lat,lng,ts FROM pings p WHERE p.shipment_id = s.id ORDER BY ts DESC LIMIT 1 ) lp ON true WHERE s.company_id=$1 ORDER BY s.created_at DESC`; const { rows } = await query(shipmentsQ,[companyId]); res.json(rows); });
-router.get('/:id/stream', async (req,res)=>{ const id=req.params.id; res.writeHead(200,{'Content-Type':'text/event-stream','Cache-Control':'no-cache','Connection':'keep-alive'}); const interval=setInterval(()=>res.write(': ping\n\n'),25000); let lastTs=null; const timer=setInterval(async ()=>{ try{ const r=await query('SELECT lat,lng,ts FROM pings WHERE shipment_id=$1 ORDER BY ts DESC LIMIT 1',[id]); if (r.rows.length){ const p=r.rows[0]; const t=p.ts.toISOString(); if (t!==lastTs){ lastTs=t; const payload=JSON.stringify({lat:p.lat,lng:p.lng,ts:t}); res.write(`data: ${payload}\n\n`); } } }catch(e){console.error(e);} },3000); req.on('close',()=>{ clearInterval(interval); clearInterval(timer); }); });
+
+// Proof of delivery details
+router.get('/:id/pod', requireAuth(), async (req, res) => {
+  try {
+    const allowed = await canAccessShipment(req.user, req.params.id);
+    if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    
+    const pods = await getProofOfDelivery(req.params.id);
+    res.json(pods.map(pod => ({
+      ...pod,
+      files: pod.files.map(file => ({ ...file, url: `/api/shipments/${req.params.id}/pod/files/${file.id}` }))
+    })));
+  } catch (error) {
+    logger.error('POD fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch proof of delivery' });
+  }
+});
+
+// Short-lived signed download URL for a POD photo or signature
+router.get('/:id/pod/files/:fileId', requireAuth(), async (req, res) => {
+  try {
+    const allowed = await canAccessShipment(req.user, req.params.id);
+    if (allowed === null) return res.status(404).json({ error: 'Shipment not found' });
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    
+    const file = await getPodFile(req.params.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json(await signedDownloadUrl(file.path, { contentType: file.content_type }));
+  } catch (error) {
+    logger.error('POD download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+router.get('/company/:companyId/enriched', async (req,res)=>{ const companyId=req.params.companyId; const shipmentsQ=`SELECT s.*, op.id as operator_id, op.name as operator_name, op.mobile as operator_mobile, v.reg_no as vehicle_reg_no, v.type as vehicle_type, lp.lat as last_lat, lp.lng as last_lng, lp.ts as last_ping_at FROM shipments s LEFT JOIN operators op ON s.operator_id = op.id LEFT JOIN vehicles v ON v.id = s.vehicle_id LEFT JOIN LATERAL ( SELECT lat,lng,ts FROM pings p WHERE p.shipment_id = s.id ORDER BY ts DESC LIMIT 1 ) lp ON true WHERE s.company_id=$1 ORDER BY s.created_at DESC`; const { rows } = await query(shipmentsQ,[companyId]); res.json(rows); });
+router.get('/:id/stream', (req,res)=>openTrackingStream(req,res,req.params.id));
 export default router;
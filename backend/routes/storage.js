@@ -0,0 +1,36 @@
+import express from 'express';
+import { getStorage } from '../services/storage/index.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Serve a file from the local-disk adapter. The signed, expiring URL is the credential,
+// so there is no bearer token here (browsers open these links directly).
+router.get('/file', async (req, res) => {
+  try {
+    const storage = getStorage();
+    if (!storage.verifySignedRequest) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const file = storage.verifySignedRequest(req.query);
+    if (!file) {
+      logger.logSecurityEvent('storage_signature_rejected', 'invalid_or_expired_url', { key: req.query.key, ip: req.ip });
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (file.contentType) res.type(file.contentType);
+    if (file.filename) res.attachment(file.filename);
+    res.sendFile(file.filePath, (error) => {
+      if (!error || res.headersSent) return;
+      res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: error.code === 'ENOENT' ? 'File not found' : 'Failed to download file' });
+    });
+  } catch (error) {
+    logger.error('Storage download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+export default router;
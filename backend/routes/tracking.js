@@ -1,9 +1,81 @@
 import express from 'express';
 import { query } from '../db.js';
 import logger from '../utils/logger.js';
+import { getShipmentEvents } from '../services/shipmentStateMachine.js';
+import { etaPayload } from '../services/eta.js';
+import { dropProgress } from '../services/stops.js';
+import { openTrackingStream } from './_trackingStream.js';
 
 const router = express.Router();
 
+const TIMELINE_STEPS = [
+  { status: 'CREATED', description: 'Shipment created' },
+  { status: 'ASSIGNED', description: 'Driver assigned' },
+  { status: 'PICKUP', description: 'Picked up' },
+  { status: 'IN_TRANSIT', description: 'In transit' },
+  { status: 'DELIVERED', description: 'Delivered' }
+];
+
+const CLOSING_STEPS = {
+  UNDELIVERED: 'Not delivered',
+  CANCELLED: 'Shipment cancelled'
+};
+
+// Build the customer timeline from recorded transitions; steps not reached yet are pending.
+// Event reasons are internal notes (cancellations, reassignments, system messages) and
+// stay out of this public payload.
+function buildTimeline(shipment, events) {
+  const latestByStatus = {};
+  for (const event of events) {
+    // Stop arrivals and departures do not change the status
+    if (event.stop_id) continue;
+    // A release back to the pool is not the creation step
+    if (event.to_status === 'CREATED' && event.from_status) continue;
+    latestByStatus[event.to_status] = event;
+  }
+
+  // Shipments created before event recording only know their creation time
+  if (!latestByStatus.CREATED) {
+    latestByStatus.CREATED = { to_status: 'CREATED', created_at: shipment.created_at, actor_role: 'COMPANY' };
+  }
+
+  const toEntry = (step, event) => ({
+    status: step.status,
+    description: step.description,
+    state: 'completed',
+    timestamp: event.created_at,
+    actor_role: event.actor_role || null,
+    location: event.lat != null && event.lng != null ? { lat: event.lat, lng: event.lng } : null
+  });
+
+  // Shipments that ended without delivery show the steps they reached, then the end
+  const ending = CLOSING_STEPS[shipment.status];
+  if (ending) {
+    const reached = TIMELINE_STEPS.filter(step => latestByStatus[step.status]);
+    return [
+      ...reached.map(step => toEntry(step, latestByStatus[step.status])),
+      toEntry({ status: shipment.status, description: ending }, latestByStatus[shipment.status] || { created_at: null })
+    ];
+  }
+
+  // Steps reached without a recorded event (legacy data) are completed but undated
+  const currentIndex = TIMELINE_STEPS.findIndex(step => step.status === shipment.status);
+  return TIMELINE_STEPS.map((step, index) => {
+    const reached = index <= currentIndex;
+    if (reached && latestByStatus[step.status]) {
+      return toEntry(step, latestByStatus[step.status]);
+    }
+    return {
+      status: step.status,
+      description: step.description,
+      state: reached ? 'completed' : 'pending',
+      timestamp: null,
+      actor_role: null,
+      location: null
+    };
+  });
+}
+
 // Public tracking endpoint - no authentication required
 router.get('/:shipmentId', async (req, res) => {
   try {
@@ -26,6 +98,13 @@ router.get('/:shipmentId', async (req, res) => {
         s.width,
         s.height,
         s.weight,
+        s.promised_delivery_at,
+        s.eta_at,
+        s.eta_remaining_km,
+        s.eta_speed_kmh,
+        s.eta_updated_at,
+        s.eta_delayed,
+        s.partial_delivery,
         op.name as driver_name,
         op.mobile as driver_mobile,
         v.reg_no as vehicle_reg,
@@ -34,7 +113,7 @@ router.get('/:shipmentId', async (req, res) => {
         c.email as company_email
       FROM shipments s
       LEFT JOIN operators op ON s.operator_id = op.id
-      LEFT JOIN vehicles v ON v.company_id = s.company_id
+      LEFT JOIN vehicles v ON v.id = s.vehicle_id
       LEFT JOIN companies c ON s.company_id = c.id
       WHERE s.id = $1
     `, [shipmentId]);
@@ -54,26 +133,16 @@ router.get('/:shipmentId', async (req, res) => {
       LIMIT 1
     `, [shipmentId]);
     
-    // Get status timeline
-    const timeline = [
-      { status: 'CREATED', timestamp: shipment.created_at, description: 'Shipment created' }
-    ];
-    
-    if (shipment.status === 'ASSIGNED' || shipment.status === 'PICKUP' || shipment.status === 'IN_TRANSIT' || shipment.status === 'DELIVERED') {
-      timeline.push({ status: 'ASSIGNED', timestamp: shipment.created_at, description: 'Driver assigned' });
-    }
-    
-    if (shipment.status === 'PICKUP' || shipment.status === 'IN_TRANSIT' || shipment.status === 'DELIVERED') {
-      timeline.push({ status: 'PICKUP', timestamp: shipment.created_at, description: 'Picked up' });
-    }
-    
-    if (shipment.status === 'IN_TRANSIT' || shipment.status === 'DELIVERED') {
-      timeline.push({ status: 'IN_TRANSIT', timestamp: shipment.created_at, description: 'In transit' });
-    }
+    // Per-stop progress; recipients' contact details stay private
+    const stopsResult = await query(`
+      SELECT id, kind, address, status, order_index, arrived_at, completed_at, failed_at
+      FROM stops
+      WHERE shipment_id = $1
+      ORDER BY order_index ASC
+    `, [shipmentId]);
     
-    if (shipment.status === 'DELIVERED') {
-      timeline.push({ status: 'DELIVERED', timestamp: shipment.created_at, description: 'Delivered' });
-    }
+    // Get status timeline from recorded transitions
+    const timeline = buildTimeline(shipment, await getShipmentEvents(shipmentId));
     
     const response = {
       shipment: {
@@ -92,15 +161,16 @@ router.get('/:shipmentId', async (req, res) => {
           height: shipment.height,
           weight: shipment.weight
         },
+        partial_delivery: shipment.partial_delivery,
         created_at: shipment.created_at
       },
       driver: shipment.driver_name ? {
         name: shipment.driver_name,
         mobile: shipment.driver_mobile,
-        vehicle: {
+        vehicle: shipment.vehicle_reg ? {
           reg_no: shipment.vehicle_reg,
           type: shipment.vehicle_type
-        }
+        } : null
       } : null,
       company: {
         name: shipment.company_name,
@@ -111,6 +181,9 @@ router.get('/:shipmentId', async (req, res) => {
         lng: pingResult.rows[0].lng,
         timestamp: pingResult.rows[0].ts
       } : null,
+      eta: etaPayload(shipment),
+      stops: stopsResult.rows,
+      drops: dropProgress(stopsResult.rows),
       timeline
     };
     
@@ -122,45 +195,7 @@ router.get('/:shipmentId', async (req, res) => {
   }
 });
 
-// Get live location updates via SSE
-router.get('/:shipmentId/stream', async (req, res) => {
-  const { shipmentId } = req.params;
-  
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
-  });
-  
-  const interval = setInterval(async () => {
-    try {
-      const result = await query(`
-        SELECT lat, lng, ts
-        FROM pings 
-        WHERE shipment_id = $1 
-        ORDER BY ts DESC 
-        LIMIT 1
-      `, [shipmentId]);
-      
-      if (result.rows.length > 0) {
-        const ping = result.rows[0];
-        const data = JSON.stringify({
-          lat: ping.lat,
-          lng: ping.lng,
-          timestamp: ping.ts
-        });
-        res.write(`data: ${data}\n\n`);
-      }
-    } catch (error) {
-      logger.error('SSE error:', error);
-    }
-  }, 5000); // Update every 5 seconds
-  
-  req.on('close', () => {
-    clearInterval(interval);
-  });
-});
+// Live location, status, ETA and stop updates via SSE
+router.get('/:shipmentId/stream', (req, res) => openTrackingStream(req, res, req.params.shipmentId));
 
 export default router;
@@ -0,0 +1,82 @@
+import { query } from '../db.js';
+import { hashPassword } from '../utils/auth.js';
+import { findCandidates } from '../services/dispatch.js';
+
+// Fake drivers around Delhi: [name, lat, lng, capacity kg, capacity m3]
+const DRIVERS = [
+  ['Ravi Singh', 28.6315, 77.2167, 1000, 8],
+  ['Sunil Yadav', 28.5355, 77.3910, 5000, 20],
+  ['Imran Khan', 28.4595, 77.0266, 800, 5],
+  ['Deepak Rawat', 28.7041, 77.1025, 200, 2]
+];
+
+(async () => {
+  try {
+    const password = await hashPassword('driver123');
+
+    const company = await query("SELECT id FROM companies WHERE email='company1@trackas.local' LIMIT 1");
+    if (company.rows.length === 0) {
+      throw new Error('Run scripts/seed.js first');
+    }
+    const companyId = company.rows[0].id;
+
+    for (let i = 0; i < DRIVERS.length; i++) {
+      const [name, lat, lng, capacityWeight, capacityVolume] = DRIVERS[i];
+      const email = `dispatch${i + 1}@trackas.local`;
+
+      const user = await query(`
+        INSERT INTO users(email,password,role) VALUES($1,$2,'OPERATOR')
+        ON CONFLICT (email) DO UPDATE SET password = EXCLUDED.password
+        RETURNING id
+      `, [email, password]);
+
+      const vehicle = await query(`
+        INSERT INTO vehicles(company_id,type,reg_no,capacity_weight,capacity_volume,status)
+        VALUES($1,'Truck',$2,$3,$4,'APPROVED')
+        ON CONFLICT (reg_no) DO UPDATE SET capacity_weight = EXCLUDED.capacity_weight, capacity_volume = EXCLUDED.capacity_volume
+        RETURNING id
+      `, [companyId, `DL01DS${1000 + i}`, capacityWeight, capacityVolume]);
+
+      // operators.user_id is not unique, so re-runs update the existing row instead of upserting
+      const existing = await query('SELECT id FROM operators WHERE user_id = $1 LIMIT 1', [user.rows[0].id]);
+      const operator = existing.rows.length
+        ? await query(`
+            UPDATE operators SET online = true, status = 'APPROVED', vehicle_id = $2, company_id = $3, fleet_status = 'ACTIVE'
+            WHERE id = $1
+            RETURNING id
+          `, [existing.rows[0].id, vehicle.rows[0].id, companyId])
+        : await query(`
+            INSERT INTO operators(user_id,name,license_no,online,status,mobile,vehicle_id,company_id,fleet_status)
+            VALUES($1,$2,$3,true,'APPROVED',$4,$5,$6,'ACTIVE')
+            RETURNING id
+          `, [user.rows[0].id, name, `DL-DISP-${1000 + i}`, `98100000${10 + i}`, vehicle.rows[0].id, companyId]);
+
+      await query('INSERT INTO pings(operator_id,lat,lng) VALUES($1,$2,$3)', [operator.rows[0].id, lat, lng]);
+    }
+
+    // Shipment picked up at Connaught Place
+    const shipment = await query(`
+      INSERT INTO shipments(company_id,title,weight,length,width,height,volume,status)
+      VALUES($1,'Dispatch test load',600,2,1.5,1,3,'CREATED')
+      RETURNING id
+    `, [companyId]);
+    const shipmentId = shipment.rows[0].id;
+    await query(`
+      INSERT INTO stops(shipment_id,kind,address,lat,lng,order_index)
+      VALUES($1,'PICKUP','Connaught Place, New Delhi',28.6304,77.2177,0),
+            ($1,'DROP','Sector 18, Noida',28.5708,77.3261,1)
+    `, [shipmentId]);
+
+    const { candidates } = await findCandidates(shipmentId);
+    console.log('Dispatch seed completed');
+    console.log('Test shipment ID:', shipmentId);
+    console.log('Candidate ranking:');
+    candidates.forEach((c, i) => {
+      console.log(`${i + 1}. ${c.name} - ${c.distance_km == null ? 'no position' : c.distance_km.toFixed(2) + ' km'} (score ${c.score.toFixed(2)})`);
+    });
+    process.exit(0);
+  } catch (e) {
+    console.error('Dispatch seed error:', e);
+    process.exit(1);
+  }
+})();
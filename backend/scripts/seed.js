@@ -28,6 +28,11 @@ import { hashPassword } from '../utils/auth.js';
       VALUES ('00000000-0000-0000-0000-000000000002','FastMove Logistics','company1@trackas.local','Delhi Warehouse','APPROVED','TIN123456789','1234567890123456','HDFC0001234','HDFC Bank','FastMove Logistics') 
       ON CONFLICT (user_id) DO NOTHING
     `);
+    await query(`
+      INSERT INTO company_members(company_id,user_id,role)
+      SELECT id, user_id, 'OWNER' FROM companies WHERE user_id = '00000000-0000-0000-0000-000000000002'
+      ON CONFLICT (user_id) DO NOTHING
+    `);
     
     // Create driver user
     await query(`
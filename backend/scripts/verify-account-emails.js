@@ -0,0 +1,99 @@
+// End-to-end check of the account emails against a running backend and the Mailpit
+// catch-all (docker-compose). Registers a throwaway driver, follows the verification
+// link, then resets the password from the reset link, reading both links out of Mailpit.
+// Exits non-zero on the first failed check.
+
+const API_URL = (process.env.API_URL || 'http://localhost:4000').replace(/\/$/, '');
+const MAILPIT_URL = (process.env.MAILPIT_URL || 'http://localhost:8025').replace(/\/$/, '');
+
+async function api(path, body, token) {
+  const res = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body || {})
+  });
+  return { status: res.status, body: await res.json().catch(() => ({})) };
+}
+
+function expect(condition, message, detail) {
+  if (!condition) throw new Error(`${message}${detail ? `: ${JSON.stringify(detail)}` : ''}`);
+  console.log(`ok - ${message}`);
+}
+
+// Token of the newest mail to the address whose subject matches; mails are sent after
+// the API responds, so Mailpit is polled for a few seconds
+async function tokenFromMail(email, subject, seenIds) {
+  const search = `${MAILPIT_URL}/api/v1/search?query=${encodeURIComponent(`to:"${email}"`)}`;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const { messages = [] } = await (await fetch(search)).json();
+    const message = messages.find(m => m.Subject.includes(subject) && !seenIds.has(m.ID));
+    if (message) {
+      seenIds.add(message.ID);
+      const { Text } = await (await fetch(`${MAILPIT_URL}/api/v1/message/${message.ID}`)).json();
+      const match = Text.match(/[?&]token=([^\s&]+)/);
+      if (!match) throw new Error(`No token link in "${message.Subject}"`);
+      return decodeURIComponent(match[1]);
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error(`No "${subject}" email for ${email} in Mailpit`);
+}
+
+(async () => {
+  try {
+    const email = `email-check-${Date.now()}@trackas.local`;
+    const password = 'check-pass-1';
+    const newPassword = 'check-pass-2';
+    const seenIds = new Set();
+
+    const registered = await api('/api/auth/register/operator', {
+      email,
+      password,
+      name: 'Email Check',
+      mobile: '9876500000',
+      license_no: 'DL0000000001',
+      bank_account_number: '000000000000',
+      bank_ifsc: 'HDFC0000001',
+      bank_name: 'HDFC Bank',
+      account_holder: 'Email Check'
+    });
+    expect(registered.status === 200, 'driver registered', registered.body);
+
+    // Email verification
+    const verifyToken = await tokenFromMail(email, 'Confirm your TrackAS email address', seenIds);
+    const verified = await api('/api/auth/verify-email', { token: verifyToken });
+    expect(verified.status === 200 && verified.body.role === 'OPERATOR', 'verification link confirms the email', verified.body);
+    const verifiedAgain = await api('/api/auth/verify-email', { token: verifyToken });
+    expect(verifiedAgain.status === 400, 'verification link is single-use', verifiedAgain.body);
+
+    const login = await api('/api/auth/login', { email, password });
+    expect(login.status === 200 && login.body.token, 'driver logs in', login.body);
+    const resend = await api('/api/auth/verify-email/resend', {}, login.body.token);
+    expect(resend.status === 409, 'no new verification link once verified', resend.body);
+
+    // Password reset
+    const forgot = await api('/api/auth/forgot-password', { email });
+    expect(forgot.status === 200, 'reset link requested', forgot.body);
+    const resetToken = await tokenFromMail(email, 'Reset your TrackAS password', seenIds);
+    const reset = await api('/api/auth/reset-password', { token: resetToken, password: newPassword });
+    expect(reset.status === 200, 'reset link sets the new password', reset.body);
+    const resetAgain = await api('/api/auth/reset-password', { token: resetToken, password: 'check-pass-3' });
+    expect(resetAgain.status === 400, 'reset link is single-use', resetAgain.body);
+
+    const oldSession = await api('/api/auth/verify-email/resend', {}, login.body.token);
+    expect(oldSession.status === 401, 'reset logs out existing sessions', oldSession.body);
+    const oldLogin = await api('/api/auth/login', { email, password });
+    expect(oldLogin.status === 401, 'old password is rejected', oldLogin.body);
+    const newLogin = await api('/api/auth/login', { email, password: newPassword });
+    expect(newLogin.status === 200 && newLogin.body.token, 'new password logs in', newLogin.body);
+
+    const unknown = await api('/api/auth/forgot-password', { email: `nobody-${Date.now()}@trackas.local` });
+    expect(unknown.status === 200, 'unknown addresses get the same answer', unknown.body);
+
+    console.log('Account email checks passed');
+    process.exit(0);
+  } catch (e) {
+    console.error('Account email check failed:', e.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,140 @@
+// Account Tokens
+// Single-use, expiring links mailed to the user for password reset and email
+// verification. Only a hash of each token is stored.
+
+import crypto from 'crypto';
+import { query, withTransaction } from '../db.js';
+import { hashPassword } from '../utils/auth.js';
+import { revokeUserSessions } from './sessions.js';
+import notificationService from './notifications.js';
+import { AccountError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const ACCOUNT_TOKEN_CONFIG = {
+  resetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+  verificationTtlMinutes: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '2880', 10),
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+};
+
+// Frontend portal of each role; every portal has its own reset and verification pages
+export const PORTALS = { ADMIN: 'admin', COMPANY: 'company', OPERATOR: 'driver' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export function accountLink(role, page, token) {
+  return `${ACCOUNT_TOKEN_CONFIG.frontendUrl}/${PORTALS[role]}/${page}?token=${encodeURIComponent(token)}`;
+}
+
+// Issuing a token retires the user's earlier unused tokens for the same purpose
+async function issueToken(userId, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await withTransaction(async (client) => {
+    await client.query(
+      'UPDATE account_tokens SET used_at = now() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+    await client.query(`
+      INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, now() + make_interval(mins => $4))
+    `, [userId, purpose, hashToken(token), ttlMinutes]);
+  });
+  return token;
+}
+
+// Marks the token used and returns its user id; the UPDATE makes it single-use under concurrency
+async function consumeToken(client, token, purpose) {
+  if (!token) throw new AccountError('token is required');
+  const result = await client.query(`
+    UPDATE account_tokens SET used_at = now()
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > now()
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+  if (!result.rows.length) throw new AccountError('This link is invalid or has expired', null, { purpose });
+  return result.rows[0].user_id;
+}
+
+/**
+ * Mail a password reset link. Unknown addresses are ignored without telling the
+ * caller, so the endpoint does not reveal which emails have accounts.
+ */
+export async function requestPasswordReset(email) {
+  const result = await query('SELECT id, email, role FROM users WHERE email = $1', [email]);
+  const user = result.rows[0];
+  if (!user) {
+    logger.logAuthEvent('password_reset_requested', null, false, { email });
+    return;
+  }
+
+  const { resetTtlMinutes } = ACCOUNT_TOKEN_CONFIG;
+  const token = await issueToken(user.id, 'PASSWORD_RESET', resetTtlMinutes);
+  await notificationService.notifyPasswordReset(user, accountLink(user.role, 'reset-password', token), resetTtlMinutes);
+  logger.logAuthEvent('password_reset_requested', user.id, true);
+}
+
+/**
+ * Set a new password from a reset link. Every session of the user is logged out, and
+ * the email counts as verified since the link reached its inbox.
+ */
+export async function resetPassword(token, password) {
+  const hashedPassword = await hashPassword(password);
+  const userId = await withTransaction(async (client) => {
+    const id = await consumeToken(client, token, 'PASSWORD_RESET');
+    await client.query(
+      'UPDATE users SET password = $2, email_verified_at = COALESCE(email_verified_at, now()) WHERE id = $1',
+      [id, hashedPassword]
+    );
+    return id;
+  });
+
+  await revokeUserSessions(userId, 'PASSWORD_RESET');
+  logger.logAuthEvent('password_reset', userId, true);
+  return userId;
+}
+
+/**
+ * Mail an email verification link to a user ({ id, email, role })
+ */
+export async function sendEmailVerification(user) {
+  const token = await issueToken(user.id, 'EMAIL_VERIFICATION', ACCOUNT_TOKEN_CONFIG.verificationTtlMinutes);
+  await notificationService.notifyEmailVerification(user, accountLink(user.role, 'verify-email', token));
+  logger.logAuthEvent('email_verification_sent', user.id, true);
+}
+
+/**
+ * Send a fresh verification link to a signed-in user who has not verified yet
+ */
+export async function resendEmailVerification(userId) {
+  const result = await query('SELECT id, email, role, email_verified_at FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user) throw new AccountError('User not found', userId, {}, 404);
+  if (user.email_verified_at) throw new AccountError('Email is already verified', userId, {}, 409);
+  await sendEmailVerification(user);
+}
+
+/**
+ * Confirm the email address from a verification link
+ */
+export async function verifyEmail(token) {
+  const user = await withTransaction(async (client) => {
+    const id = await consumeToken(client, token, 'EMAIL_VERIFICATION');
+    const result = await client.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, now()) WHERE id = $1 RETURNING id, email, role',
+      [id]
+    );
+    return result.rows[0];
+  });
+
+  logger.logAuthEvent('email_verified', user.id, true);
+  return user;
+}
+
+export default {
+  ACCOUNT_TOKEN_CONFIG,
+  PORTALS,
+  accountLink,
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  resendEmailVerification,
+  verifyEmail
+};
@@ -1,5 +1,9 @@
 import fetch from 'node-fetch';
 import logger from '../utils/logger.js';
+import { query } from '../db.js';
+import { hasCoordinates } from '../utils/geo.js';
+import { optimizeRoute, solveRoute } from './optimization.js';
+import { estimateEta, laneSpeedKmh, updateShipmentEta, etaPayload } from './eta.js';
 
 class AIBotService {
   constructor() {
@@ -104,13 +108,16 @@ Be helpful, concise, and professional. If you don't know something specific abou
     }
   }
 
-  async getRouteOptimization(pickup, destination) {
+  async getRouteOptimization(stops, options = {}) {
     try {
-      // This would integrate with Mapbox or Google Maps API
-      // For now, return basic suggestions
+      const route = await optimizeRoute(stops, options);
+      const hours = Math.floor(route.estimated_duration_minutes / 60);
+      const minutes = route.estimated_duration_minutes % 60;
+
       return {
-        estimatedDistance: "Calculating...",
-        estimatedTime: "Calculating...",
+        ...route,
+        estimatedDistance: `${route.total_distance_km} km`,
+        estimatedTime: hours ? `${hours}h ${minutes}m` : `${minutes}m`,
         suggestions: [
           "Consider traffic conditions during peak hours",
           "Plan for rest stops on long routes",
@@ -127,8 +134,34 @@ Be helpful, concise, and professional. If you don't know something specific abou
     }
   }
 
-  async getDeliveryEstimate(route, weight, urgency = 'normal') {
+  /**
+   * Delivery estimate. With a shipmentId the live ETA of that shipment is used; with a
+   * route of stops ({ kind, lat, lng }) the drive is estimated from lane history; a plain
+   * text route falls back to the rough days-based guess.
+   */
+  async getDeliveryEstimate(route, weight, urgency = 'normal', { shipmentId = null, companyId = null } = {}) {
     try {
+      if (shipmentId) {
+        const live = await this.getLiveEstimate(shipmentId);
+        if (live) return live;
+      }
+
+      if (Array.isArray(route) && route.length >= 2 && route.every(hasCoordinates)) {
+        const [origin, ...rest] = route;
+        const ordered = rest.length > 1 ? solveRoute(rest.map((stop, id) => ({ ...stop, id })), { start: origin }).stops : rest;
+        const estimate = estimateEta({
+          position: origin,
+          remainingStops: ordered,
+          laneSpeedKmh: await laneSpeedKmh(companyId, origin, ordered[ordered.length - 1])
+        });
+        return this.formatEstimate(estimate.eta_at, [
+          `Distance: ${estimate.remaining_km} km`,
+          `Speed: ${estimate.speed_kmh} km/h (${estimate.speed_source})`,
+          `Weight: ${weight}kg`,
+          `Urgency: ${urgency}`
+        ], { remainingKm: estimate.remaining_km });
+      }
+
       // Basic estimation logic
       const baseDays = urgency === 'urgent' ? 1 : 3;
       const weightFactor = weight > 100 ? 1 : 0.5;
@@ -152,6 +185,36 @@ Be helpful, concise, and professional. If you don't know something specific abou
       };
     }
   }
+
+  async getLiveEstimate(shipmentId) {
+    const result = await query(
+      'SELECT status, promised_delivery_at, eta_at, eta_remaining_km, eta_speed_kmh, eta_updated_at, eta_delayed FROM shipments WHERE id = $1',
+      [shipmentId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const eta = result.rows[0].status === 'IN_TRANSIT'
+      ? (await updateShipmentEta(shipmentId)) || etaPayload(result.rows[0])
+      : etaPayload(result.rows[0]);
+    const expected = eta?.estimated_delivery_at || eta?.promised_delivery_at;
+    if (!expected) return null;
+
+    return this.formatEstimate(expected, [
+      eta.estimated_delivery_at ? `Live ETA from current position (${eta.remaining_km} km remaining)` : 'Promised delivery time',
+      `Status: ${result.rows[0].status}`
+    ], { remainingKm: eta.remaining_km, delayed: eta.delayed, promisedDeliveryAt: eta.promised_delivery_at });
+  }
+
+  formatEstimate(etaAt, factors, extra = {}) {
+    const minutes = Math.max(0, Math.round((new Date(etaAt) - Date.now()) / 60000));
+    return {
+      estimatedDays: Math.ceil(minutes / (24 * 60)),
+      estimatedMinutes: minutes,
+      estimatedDate: new Date(etaAt).toISOString(),
+      ...extra,
+      factors
+    };
+  }
 }
 
 export default new AIBotService();
\ No newline at end of file
@@ -0,0 +1,225 @@
+// Company Team
+// Several logins per company. Each member has a team role that maps to a set of
+// permissions; new members join through an invitation mailed to them. Only a hash of
+// each invitation token is stored.
+
+import crypto from 'crypto';
+import { query, withTransaction } from '../db.js';
+import { hashPassword } from '../utils/auth.js';
+import { accountLink } from './accountTokens.js';
+import { revokeUserSessions } from './sessions.js';
+import notificationService from './notifications.js';
+import { TeamError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const TEAM_CONFIG = {
+  invitationTtlDays: parseInt(process.env.TEAM_INVITATION_TTL_DAYS || '7', 10)
+};
+
+export const COMPANY_PERMISSIONS = [
+  'shipments.view',
+  'shipments.manage',
+  'payments.view',
+  'payments.manage',
+  'vehicles.view',
+  'vehicles.manage',
+  'company.manage',
+  'team.manage'
+];
+
+export const COMPANY_ROLES = {
+  OWNER: COMPANY_PERMISSIONS,
+  DISPATCHER: ['shipments.view', 'shipments.manage', 'vehicles.view', 'vehicles.manage'],
+  FINANCE: ['shipments.view', 'payments.view', 'payments.manage', 'vehicles.view'],
+  VIEWER: ['shipments.view', 'payments.view', 'vehicles.view']
+};
+
+/**
+ * Whether a team role grants the permission. Pure function.
+ */
+export function hasPermission(memberRole, permission) {
+  return Boolean(COMPANY_ROLES[memberRole]?.includes(permission));
+}
+
+export const permissionsFor = (memberRole) => COMPANY_ROLES[memberRole] || [];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+function assertRole(role, companyId) {
+  if (!COMPANY_ROLES[role]) {
+    throw new TeamError(`role must be one of ${Object.keys(COMPANY_ROLES).join(', ')}`, companyId, { role });
+  }
+}
+
+export async function listMembers(companyId) {
+  const result = await query(`
+    SELECT m.id, m.user_id, u.email, m.role, m.created_at
+    FROM company_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.company_id = $1
+    ORDER BY (m.role = 'OWNER') DESC, m.created_at
+  `, [companyId]);
+  return result.rows;
+}
+
+export async function listInvitations(companyId) {
+  const result = await query(`
+    SELECT id, email, role, expires_at, created_at
+    FROM company_invitations
+    WHERE company_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > now()
+    ORDER BY created_at DESC
+  `, [companyId]);
+  return result.rows;
+}
+
+/**
+ * Invite someone by email. Inviting the same address again replaces the open
+ * invitation. Addresses that already have a login cannot be invited.
+ */
+export async function inviteMember(company, { email, role }, invitedBy) {
+  assertRole(role, company.id);
+  const address = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new TeamError('A valid email is required', company.id);
+
+  const existing = await query('SELECT id FROM users WHERE lower(email) = $1', [address]);
+  if (existing.rows.length) {
+    throw new TeamError('This email already has a TrackAS account', company.id, { email: address }, 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invitation = await withTransaction(async (client) => {
+    await client.query(`
+      UPDATE company_invitations SET revoked_at = now()
+      WHERE company_id = $1 AND lower(email) = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    `, [company.id, address]);
+    const result = await client.query(`
+      INSERT INTO company_invitations (company_id, email, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, now() + make_interval(days => $6))
+      RETURNING id, email, role, expires_at, created_at
+    `, [company.id, address, role, hashToken(token), invitedBy, TEAM_CONFIG.invitationTtlDays]);
+    return result.rows[0];
+  });
+
+  await notificationService.notifyTeamInvitation(invitation, company, accountLink('COMPANY', 'accept-invite', token));
+  logger.logBusinessEvent('team_member', 'company', 'invited', { companyId: company.id, email: address, role, invitedBy });
+  return invitation;
+}
+
+export async function revokeInvitation(companyId, invitationId) {
+  const result = await query(`
+    UPDATE company_invitations SET revoked_at = now()
+    WHERE id = $1 AND company_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    RETURNING id
+  `, [invitationId, companyId]);
+  if (!result.rows.length) throw new TeamError('Invitation not found', companyId, { invitationId }, 404);
+}
+
+async function openInvitation(db, token) {
+  if (!token) throw new TeamError('token is required');
+  const result = await db.query(`
+    SELECT i.id, i.company_id, i.email, i.role, i.invited_by, c.name AS company_name
+    FROM company_invitations i
+    JOIN companies c ON c.id = i.company_id
+    WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > now()
+  `, [hashToken(token)]);
+  if (!result.rows.length) throw new TeamError('This invitation is invalid or has expired', null, {}, 404);
+  return result.rows[0];
+}
+
+/**
+ * Invitation details for the accept page
+ */
+export async function getInvitation(token) {
+  const invitation = await openInvitation({ query }, token);
+  return { email: invitation.email, role: invitation.role, company_name: invitation.company_name };
+}
+
+/**
+ * Create the member's login from an invitation. The email counts as verified since
+ * the invitation reached its inbox.
+ */
+export async function acceptInvitation(token, password) {
+  const hashedPassword = await hashPassword(password);
+  const member = await withTransaction(async (client) => {
+    const invitation = await openInvitation(client, token);
+    const claimed = await client.query(
+      'UPDATE company_invitations SET accepted_at = now() WHERE id = $1 AND accepted_at IS NULL RETURNING id',
+      [invitation.id]
+    );
+    if (!claimed.rows.length) throw new TeamError('This invitation is invalid or has expired', null, {}, 404);
+
+    const user = await client.query(`
+      INSERT INTO users (email, password, role, email_verified_at) VALUES ($1, $2, 'COMPANY', now())
+      ON CONFLICT (email) DO NOTHING
+      RETURNING id
+    `, [invitation.email, hashedPassword]);
+    if (!user.rows.length) {
+      throw new TeamError('This email already has a TrackAS account', invitation.company_id, { email: invitation.email }, 409);
+    }
+
+    await client.query(
+      'INSERT INTO company_members (company_id, user_id, role, invited_by) VALUES ($1, $2, $3, $4)',
+      [invitation.company_id, user.rows[0].id, invitation.role, invitation.invited_by]
+    );
+    return { userId: user.rows[0].id, companyId: invitation.company_id, role: invitation.role };
+  });
+
+  logger.logBusinessEvent('team_member', 'company', 'joined', member);
+  return member;
+}
+
+// Locks the company's members so concurrent changes cannot remove the last owner
+async function lockedMember(client, companyId, memberId) {
+  const members = await client.query('SELECT id, user_id, role FROM company_members WHERE company_id = $1 FOR UPDATE', [companyId]);
+  const member = members.rows.find(m => m.id === memberId);
+  if (!member) throw new TeamError('Member not found', companyId, { memberId }, 404);
+  const owners = members.rows.filter(m => m.role === 'OWNER').length;
+  return { member, lastOwner: member.role === 'OWNER' && owners === 1 };
+}
+
+export async function updateMemberRole(companyId, memberId, role, actorId) {
+  assertRole(role, companyId);
+  const member = await withTransaction(async (client) => {
+    const { member: current, lastOwner } = await lockedMember(client, companyId, memberId);
+    if (lastOwner && role !== 'OWNER') throw new TeamError('A company needs at least one owner', companyId, {}, 409);
+    const result = await client.query('UPDATE company_members SET role = $2 WHERE id = $1 RETURNING id, user_id, role', [current.id, role]);
+    return result.rows[0];
+  });
+
+  logger.logBusinessEvent('team_member', 'company', 'role_changed', { companyId, memberId, role, actorId });
+  return member;
+}
+
+/**
+ * Remove a member from the company and log out their sessions. The login itself is
+ * kept, without access to any company.
+ */
+export async function removeMember(companyId, memberId, actorId) {
+  const member = await withTransaction(async (client) => {
+    const { member: current, lastOwner } = await lockedMember(client, companyId, memberId);
+    if (lastOwner) throw new TeamError('A company needs at least one owner', companyId, {}, 409);
+    await client.query('DELETE FROM company_members WHERE id = $1', [current.id]);
+    return current;
+  });
+
+  await revokeUserSessions(member.user_id, 'REMOVED_FROM_COMPANY');
+  logger.logBusinessEvent('team_member', 'company', 'removed', { companyId, memberId, userId: member.user_id, actorId });
+}
+
+export default {
+  TEAM_CONFIG,
+  COMPANY_PERMISSIONS,
+  COMPANY_ROLES,
+  hasPermission,
+  permissionsFor,
+  listMembers,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
@@ -0,0 +1,250 @@
+// Load Consolidation
+// Packs a company's waiting (CREATED) shipments that head the same way onto its free
+// vehicles, within each vehicle's weight and volume capacity and keeping incompatible
+// handling flags apart. Each resulting plan is one vehicle with two or more shipments
+// and a combined stop sequence; accepting a plan creates a trip (see trips.js).
+
+import { query } from '../db.js';
+import { shipmentLoad } from './dispatch.js';
+import { solveRoute } from './optimization.js';
+import { haversineKm, bearingDeg, hasCoordinates } from '../utils/geo.js';
+
+export const CONSOLIDATION_CONFIG = {
+  // Shipments whose pickup-to-drop directions differ by more than this do not share a vehicle
+  maxBearingDifferenceDeg: parseInt(process.env.CONSOLIDATION_MAX_BEARING_DIFF_DEG || '45', 10),
+  maxPickupDistanceKm: parseInt(process.env.CONSOLIDATION_MAX_PICKUP_DISTANCE_KM || '25', 10),
+  // Below this pickup-to-drop distance a shipment has no meaningful direction
+  shortTripKm: 1,
+  // Shipments with these flags always travel alone
+  exclusiveFlags: ['HAZMAT'],
+  // Flag pairs that may not share a vehicle
+  incompatibleFlags: [['FRAGILE', 'OVERSIZED']]
+};
+
+const ACTIVE_STATUSES = ['ASSIGNED', 'PICKUP', 'IN_TRANSIT'];
+const OPEN_TRIP_STATUSES = ['PLANNED', 'ASSIGNED', 'IN_PROGRESS'];
+
+const flagsOf = (shipment) => (shipment.handling_flags || []).map(flag => String(flag).toUpperCase());
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether two shipments' handling flags allow them in the same vehicle. Pure function.
+ */
+export function flagsCompatible(a, b, config = CONSOLIDATION_CONFIG) {
+  const flagsA = flagsOf(a);
+  const flagsB = flagsOf(b);
+  if ([...flagsA, ...flagsB].some(flag => config.exclusiveFlags.includes(flag))) return false;
+  return !config.incompatibleFlags.some(([x, y]) =>
+    (flagsA.includes(x) && flagsB.includes(y)) || (flagsA.includes(y) && flagsB.includes(x))
+  );
+}
+
+// Pickup, direction (bearing towards the farthest drop) and load of a shipment
+function describe(shipment) {
+  const stops = shipment.stops || [];
+  const pickup = stops.find(stop => stop.kind === 'PICKUP');
+  const drops = stops.filter(stop => stop.kind === 'DROP');
+  if (!pickup || !drops.length || !stops.every(hasCoordinates)) return null;
+
+  const farthest = drops.reduce((best, drop) => (haversineKm(pickup, drop) > haversineKm(pickup, best) ? drop : best));
+  return {
+    shipment,
+    load: shipmentLoad(shipment),
+    pickup,
+    distanceKm: haversineKm(pickup, farthest),
+    bearing: bearingDeg(pickup, farthest)
+  };
+}
+
+function sameDirection(a, b, config) {
+  if (haversineKm(a.pickup, b.pickup) > config.maxPickupDistanceKm) return false;
+  if (a.distanceKm < config.shortTripKm || b.distanceKm < config.shortTripKm) return true;
+  const difference = Math.abs(a.bearing - b.bearing) % 360;
+  return Math.min(difference, 360 - difference) <= config.maxBearingDifferenceDeg;
+}
+
+// A null capacity does not limit the load, as in dispatch matching
+const fits = (vehicle, load) =>
+  (vehicle.capacity_weight == null || Number(vehicle.capacity_weight) >= load.weight) &&
+  (vehicle.capacity_volume == null || Number(vehicle.capacity_volume) >= load.volume);
+
+const hasCapacity = (vehicle) => vehicle.capacity_weight != null || vehicle.capacity_volume != null;
+
+// Largest vehicle first; weight capacity decides, volume breaks ties
+const byCapacity = (a, b) =>
+  (Number(a.capacity_weight ?? Infinity) - Number(b.capacity_weight ?? Infinity)) ||
+  (Number(a.capacity_volume ?? Infinity) - Number(b.capacity_volume ?? Infinity));
+
+const addLoads = (loads) => loads.reduce((sum, load) => ({ weight: sum.weight + load.weight, volume: sum.volume + load.volume }), { weight: 0, volume: 0 });
+
+/**
+ * Why a set of shipments cannot share the vehicle, or null when they can. Used to
+ * re-check a plan when it is accepted. Pure function.
+ */
+export function tripProblem(shipments, vehicle, config = CONSOLIDATION_CONFIG) {
+  const described = shipments.map(describe);
+  const missing = shipments.find((shipment, i) => !described[i]);
+  if (missing) return `Shipment ${missing.id} has no located pickup and drop`;
+  if (!hasCapacity(vehicle)) return 'Vehicle has no recorded capacity';
+  if (!fits(vehicle, addLoads(described.map(d => d.load)))) return 'Shipments exceed the vehicle capacity';
+
+  for (let i = 0; i < described.length; i++) {
+    for (let k = i + 1; k < described.length; k++) {
+      if (!flagsCompatible(described[i].shipment, described[k].shipment, config)) return 'Handling flags do not allow these shipments together';
+      if (!sameDirection(described[i], described[k], config)) return 'Shipments do not head in the same direction';
+    }
+  }
+  return null;
+}
+
+/**
+ * Pack shipments onto vehicles. Pure function.
+ *
+ * Heaviest shipments go first into the first trip they fit, share a direction with
+ * and are flag-compatible with; a new trip takes the largest free vehicle. Each trip
+ * then moves to the smallest free vehicle that still carries its load, so large
+ * vehicles stay free for large loads.
+ *
+ * shipments: [{ id, weight, volume, length, width, height, handling_flags, stops: [{ id, kind, lat, lng }] }]
+ * vehicles: [{ id, capacity_weight, capacity_volume }]
+ * Returns { plans: [{ vehicle, shipments, load, stops, ... }], unplanned: [{ shipment_id, reason }], skipped_vehicles }
+ */
+export function planLoads(shipments, vehicles, { config = CONSOLIDATION_CONFIG } = {}) {
+  const unplanned = [];
+  const candidates = [];
+  for (const shipment of shipments) {
+    const described = describe(shipment);
+    if (!described) unplanned.push({ shipment_id: shipment.id, reason: 'Pickup or drop has no coordinates' });
+    else if (flagsOf(shipment).some(flag => config.exclusiveFlags.includes(flag))) {
+      unplanned.push({ shipment_id: shipment.id, reason: 'Handling flags require a dedicated vehicle' });
+    } else candidates.push(described);
+  }
+  candidates.sort((a, b) => (b.load.weight - a.load.weight) || (b.load.volume - a.load.volume));
+
+  const skipped_vehicles = vehicles.filter(vehicle => !hasCapacity(vehicle)).map(vehicle => vehicle.id);
+  const free = vehicles.filter(hasCapacity).sort(byCapacity).reverse();
+  const trips = [];
+
+  for (const candidate of candidates) {
+    const trip = trips.find(t =>
+      fits(t.vehicle, addLoads([t.load, candidate.load])) &&
+      t.members.every(member => flagsCompatible(member.shipment, candidate.shipment, config) && sameDirection(member, candidate, config))
+    );
+    if (trip) {
+      trip.members.push(candidate);
+      trip.load = addLoads([trip.load, candidate.load]);
+      continue;
+    }
+
+    const vehicle = free.find(v => fits(v, candidate.load));
+    if (!vehicle) {
+      unplanned.push({ shipment_id: candidate.shipment.id, reason: free.length ? 'Too large for any free vehicle' : 'No free vehicle' });
+      continue;
+    }
+    free.splice(free.indexOf(vehicle), 1);
+    trips.push({ vehicle, members: [candidate], load: candidate.load });
+  }
+
+  // A trip with a single shipment is not a consolidation; its vehicle goes back to the pool
+  const consolidated = trips.filter(trip => {
+    if (trip.members.length > 1) return true;
+    unplanned.push({ shipment_id: trip.members[0].shipment.id, reason: 'No compatible shipment to share a vehicle with' });
+    free.push(trip.vehicle);
+    return false;
+  });
+
+  // Swapping frees vehicles a heavier trip may want, so repeat until nothing moves
+  consolidated.sort((a, b) => (b.load.weight - a.load.weight) || (b.load.volume - a.load.volume));
+  let moved = true;
+  while (moved) {
+    moved = false;
+    for (const trip of consolidated) {
+      const smallest = [...free, trip.vehicle].sort(byCapacity).find(v => fits(v, trip.load));
+      if (byCapacity(smallest, trip.vehicle) < 0) {
+        free.splice(free.indexOf(smallest), 1);
+        free.push(trip.vehicle);
+        trip.vehicle = smallest;
+        moved = true;
+      }
+    }
+  }
+
+  const plans = consolidated.map(trip => {
+    const stops = trip.members.flatMap(member => member.shipment.stops.map(stop => ({ ...stop, shipment_id: member.shipment.id })));
+    const route = solveRoute(stops);
+    const { vehicle, load } = trip;
+    return {
+      vehicle,
+      shipment_ids: trip.members.map(member => member.shipment.id),
+      shipments: trip.members.map(({ shipment: { stops: _stops, ...shipment } }) => shipment),
+      total_weight: round(load.weight),
+      total_volume: round(load.volume),
+      utilization: {
+        weight: vehicle.capacity_weight ? round(load.weight / Number(vehicle.capacity_weight)) : null,
+        volume: vehicle.capacity_volume ? round(load.volume / Number(vehicle.capacity_volume)) : null
+      },
+      stops: route.stops,
+      total_distance_km: route.total_distance_km,
+      estimated_duration_minutes: route.estimated_duration_minutes
+    };
+  });
+
+  return { plans, unplanned, skipped_vehicles };
+}
+
+/**
+ * CREATED shipments of the company that are not yet on a trip, with their stops
+ */
+export async function consolidationCandidates(db, companyId, shipmentIds = null) {
+  const result = await db.query(`
+    SELECT s.id, s.title, s.weight, s.volume, s.length, s.width, s.height, s.handling_flags, s.urgency, s.created_at,
+           json_agg(json_build_object('id', st.id, 'kind', st.kind, 'address', st.address, 'lat', st.lat, 'lng', st.lng)
+                    ORDER BY st.order_index) AS stops
+    FROM shipments s
+    JOIN stops st ON st.shipment_id = s.id
+    WHERE s.company_id = $1 AND s.status = 'CREATED' AND s.operator_id IS NULL AND s.trip_id IS NULL
+      AND ($2::uuid[] IS NULL OR s.id = ANY($2))
+    GROUP BY s.id
+    ORDER BY s.created_at
+  `, [companyId, shipmentIds]);
+  return result.rows;
+}
+
+/**
+ * Approved company vehicles that are neither on an open trip nor carrying a shipment
+ */
+export async function freeVehicles(db, companyId, vehicleId = null) {
+  const result = await db.query(`
+    SELECT v.id, v.reg_no, v.type, v.capacity_weight, v.capacity_volume
+    FROM vehicles v
+    WHERE v.company_id = $1 AND v.status = 'APPROVED'
+      AND ($3::uuid IS NULL OR v.id = $3)
+      AND NOT EXISTS (SELECT 1 FROM trips t WHERE t.vehicle_id = v.id AND t.status = ANY($4))
+      AND NOT EXISTS (SELECT 1 FROM shipments s WHERE s.vehicle_id = v.id AND s.status = ANY($2))
+    ORDER BY v.reg_no
+  `, [companyId, ACTIVE_STATUSES, vehicleId, OPEN_TRIP_STATUSES]);
+  return result.rows;
+}
+
+/**
+ * Consolidation plans for the company's waiting shipments and free vehicles
+ */
+export async function planConsolidation(companyId) {
+  const db = { query };
+  const [shipments, vehicles] = await Promise.all([
+    consolidationCandidates(db, companyId),
+    freeVehicles(db, companyId)
+  ]);
+  return planLoads(shipments, vehicles);
+}
+
+export default {
+  CONSOLIDATION_CONFIG,
+  flagsCompatible,
+  tripProblem,
+  planLoads,
+  consolidationCandidates,
+  freeVehicles,
+  planConsolidation
+};
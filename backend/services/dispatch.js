@@ -0,0 +1,308 @@
+// Dispatch Engine
+// Ranks nearby operators for a shipment and offers the job to them one at a time
+
+import { query, withTransaction } from '../db.js';
+import { haversineKm, hasCoordinates } from '../utils/geo.js';
+import { transitionShipment } from './shipmentStateMachine.js';
+import notificationService from './notifications.js';
+import { ShipmentTransitionError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const DISPATCH_CONFIG = {
+  offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || '60', 10),
+  // Pings older than this no longer count as the operator's position
+  maxPingAgeMinutes: parseInt(process.env.DISPATCH_MAX_PING_AGE_MINUTES || '30', 10),
+  sweepIntervalMs: parseInt(process.env.DISPATCH_SWEEP_INTERVAL_MS || '15000', 10),
+  // Each rating star above/below the neutral rating is worth this many km
+  ratingKmPerStar: 2,
+  neutralRating: 3,
+  // Penalty (km) for a completely unused vehicle, to keep big trucks for big loads
+  spareCapacityKm: 5
+};
+
+/**
+ * Weight and volume a vehicle must carry for this shipment
+ */
+export function shipmentLoad(shipment) {
+  const weight = Number(shipment.weight) || 0;
+  const volume = Number(shipment.volume) ||
+    (Number(shipment.length) || 0) * (Number(shipment.width) || 0) * (Number(shipment.height) || 0);
+  return { weight, volume };
+}
+
+/**
+ * Rank candidate operators for a pickup point. Pure function so it can be
+ * exercised with fake operators and pings.
+ *
+ * candidates: [{ id, lat, lng, last_ping_at, capacity_weight, capacity_volume, avg_rating }]
+ * Returns candidates that can carry the load, best first, with distance_km and score.
+ */
+export function rankCandidates(pickup, load, candidates, { now = new Date(), config = DISPATCH_CONFIG } = {}) {
+  const maxPingAgeMs = config.maxPingAgeMinutes * 60 * 1000;
+
+  return candidates
+    .filter(c => c.capacity_weight == null || Number(c.capacity_weight) >= load.weight)
+    .filter(c => c.capacity_volume == null || Number(c.capacity_volume) >= load.volume)
+    .map(c => {
+      const fresh = c.last_ping_at && (now - new Date(c.last_ping_at)) <= maxPingAgeMs;
+      const distance_km = fresh && hasCoordinates(c) && hasCoordinates(pickup)
+        ? haversineKm(c, pickup)
+        : null;
+
+      const rating = c.avg_rating != null ? Number(c.avg_rating) : config.neutralRating;
+      const spare = c.capacity_weight ? 1 - load.weight / Number(c.capacity_weight) : 0;
+
+      // Operators without a usable position are kept but ranked after everyone else
+      const score = distance_km == null
+        ? Number.POSITIVE_INFINITY
+        : distance_km - config.ratingKmPerStar * (rating - config.neutralRating) + config.spareCapacityKm * spare;
+
+      return { ...c, distance_km, score };
+    })
+    .sort((a, b) => a.score - b.score);
+}
+
+async function loadShipment(db, shipmentId) {
+  const result = await db.query(`
+    SELECT s.*, st.lat AS pickup_lat, st.lng AS pickup_lng, st.address AS pickup_address
+    FROM shipments s
+    LEFT JOIN LATERAL (
+      SELECT lat, lng, address FROM stops
+      WHERE shipment_id = s.id AND kind = 'PICKUP'
+      ORDER BY order_index ASC LIMIT 1
+    ) st ON true
+    WHERE s.id = $1
+  `, [shipmentId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Online, approved operators not yet offered this shipment and not holding another open
+ * offer. Only operators on an approved vehicle are matched, so capacity is always known.
+ */
+export async function findCandidates(shipmentId, { db = { query } } = {}) {
+  const shipment = await loadShipment(db, shipmentId);
+  if (!shipment) return { shipment: null, candidates: [] };
+
+  const result = await db.query(`
+    SELECT o.id, o.name, o.mobile, o.vehicle_id,
+           v.capacity_weight, v.capacity_volume,
+           lp.lat, lp.lng, lp.ts AS last_ping_at,
+           r.avg_rating, r.rating_count
+    FROM operators o
+    JOIN vehicles v ON v.id = o.vehicle_id AND v.status = 'APPROVED'
+    LEFT JOIN LATERAL (
+      SELECT lat, lng, ts FROM pings p WHERE p.operator_id = o.id ORDER BY ts DESC LIMIT 1
+    ) lp ON true
+    LEFT JOIN LATERAL (
+      SELECT AVG(stars) AS avg_rating, COUNT(*) AS rating_count FROM ratings WHERE to_operator_id = o.id
+    ) r ON true
+    WHERE o.online = true AND o.status = 'APPROVED'
+      AND NOT EXISTS (SELECT 1 FROM dispatch_offers d WHERE d.shipment_id = $1 AND d.operator_id = o.id)
+      AND NOT EXISTS (SELECT 1 FROM dispatch_offers d WHERE d.operator_id = o.id AND d.status = 'OFFERED')
+  `, [shipmentId]);
+
+  const pickup = { lat: shipment.pickup_lat, lng: shipment.pickup_lng };
+  return {
+    shipment,
+    candidates: rankCandidates(pickup, shipmentLoad(shipment), result.rows)
+  };
+}
+
+/**
+ * Offer the shipment to the best remaining candidate.
+ * Returns the new offer, or null when the shipment is no longer open or nobody is left.
+ */
+export async function offerNext(shipmentId) {
+  const offer = await withTransaction(async (client) => {
+    // Serialise dispatch per shipment
+    const locked = await client.query('SELECT status, trip_id FROM shipments WHERE id = $1 FOR UPDATE', [shipmentId]);
+    if (!locked.rows.length || locked.rows[0].status !== 'CREATED' || locked.rows[0].trip_id) return null;
+
+    const open = await client.query(
+      "SELECT id FROM dispatch_offers WHERE shipment_id = $1 AND status = 'OFFERED'",
+      [shipmentId]
+    );
+    if (open.rows.length) return null;
+
+    const { candidates } = await findCandidates(shipmentId, { db: client });
+    if (!candidates.length) return null;
+
+    const best = candidates[0];
+    const rankResult = await client.query('SELECT COUNT(*) FROM dispatch_offers WHERE shipment_id = $1', [shipmentId]);
+    const inserted = await client.query(`
+      INSERT INTO dispatch_offers (shipment_id, operator_id, rank, score, distance_km, expires_at)
+      VALUES ($1, $2, $3, $4, $5, now() + make_interval(secs => $6))
+      RETURNING *
+    `, [
+      shipmentId,
+      best.id,
+      Number(rankResult.rows[0].count) + 1,
+      Number.isFinite(best.score) ? best.score : null,
+      best.distance_km,
+      DISPATCH_CONFIG.offerTimeoutSeconds
+    ]);
+    return { ...inserted.rows[0], operator: best };
+  });
+
+  if (!offer) {
+    logger.info(`Dispatch found no further candidate: ${shipmentId}`);
+    return null;
+  }
+
+  logger.logBusinessEvent('dispatch_offer', 'shipment', 'offered', {
+    shipmentId,
+    operatorId: offer.operator_id,
+    rank: offer.rank,
+    distanceKm: offer.distance_km
+  });
+
+  if (offer.operator.mobile) {
+    const distance = offer.distance_km != null ? ` (${Number(offer.distance_km).toFixed(1)} km away)` : '';
+    await notificationService.sendSMS(
+      offer.operator.mobile,
+      `New TrackAS job offer${distance}. Accept within ${DISPATCH_CONFIG.offerTimeoutSeconds} seconds in your dashboard.`
+    );
+  }
+
+  const { operator, ...row } = offer;
+  return row;
+}
+
+/**
+ * Begin dispatching a CREATED shipment
+ */
+export async function startDispatch(shipmentId) {
+  return offerNext(shipmentId);
+}
+
+/**
+ * Operator accepts or declines an offer. Accepting assigns the shipment through the
+ * state machine; declining moves on to the next candidate.
+ */
+export async function respondToOffer(offerId, operatorId, accept, actor = {}) {
+  const offer = await withTransaction(async (client) => {
+    const result = await client.query(
+      "SELECT * FROM dispatch_offers WHERE id = $1 AND operator_id = $2 FOR UPDATE",
+      [offerId, operatorId]
+    );
+    const row = result.rows[0];
+    if (!row) {
+      throw new ShipmentTransitionError('Offer not found', null, null, { offerId }, 404);
+    }
+    if (row.status !== 'OFFERED' || new Date(row.expires_at) <= new Date()) {
+      throw new ShipmentTransitionError('Offer is no longer open', null, 'ASSIGNED', { offerId, status: row.status });
+    }
+
+    if (!accept) {
+      await client.query("UPDATE dispatch_offers SET status = 'DECLINED', responded_at = now() WHERE id = $1", [offerId]);
+      return { ...row, status: 'DECLINED' };
+    }
+
+    await transitionShipment(row.shipment_id, 'ASSIGNED', {
+      actor,
+      reason: 'Accepted dispatch offer',
+      changes: { operator_id: operatorId },
+      from: ['CREATED'],
+      client
+    });
+    await client.query("UPDATE dispatch_offers SET status = 'ACCEPTED', responded_at = now() WHERE id = $1", [offerId]);
+    return { ...row, status: 'ACCEPTED' };
+  });
+
+  logger.logBusinessEvent('dispatch_offer', 'shipment', offer.status.toLowerCase(), {
+    shipmentId: offer.shipment_id,
+    operatorId
+  });
+
+  if (offer.status === 'DECLINED') {
+    await offerNext(offer.shipment_id);
+  }
+  return offer;
+}
+
+/**
+ * Expire timed-out offers and fall back to the next candidate for each shipment
+ */
+export async function expireOffers() {
+  const expired = await query(`
+    UPDATE dispatch_offers SET status = 'EXPIRED', responded_at = now()
+    WHERE status = 'OFFERED' AND expires_at <= now()
+    RETURNING shipment_id, operator_id
+  `);
+
+  for (const row of expired.rows) {
+    logger.logBusinessEvent('dispatch_offer', 'shipment', 'expired', {
+      shipmentId: row.shipment_id,
+      operatorId: row.operator_id
+    });
+    // One failing shipment must not leave the rest of the batch without a new offer
+    try {
+      await offerNext(row.shipment_id);
+    } catch (error) {
+      logger.error(`Dispatch re-offer failed: ${row.shipment_id}`, error);
+    }
+  }
+  return expired.rows.length;
+}
+
+/**
+ * Offers and ranking snapshot for a shipment (admin view)
+ */
+export async function getDispatchStatus(shipmentId) {
+  const offers = await query(`
+    SELECT d.*, o.name AS operator_name
+    FROM dispatch_offers d
+    JOIN operators o ON o.id = d.operator_id
+    WHERE d.shipment_id = $1
+    ORDER BY d.rank ASC
+  `, [shipmentId]);
+  const { candidates } = await findCandidates(shipmentId);
+  return {
+    offers: offers.rows,
+    candidates: candidates.map(({ id, name, distance_km, score, avg_rating, capacity_weight, capacity_volume }) => ({
+      id,
+      name,
+      distance_km,
+      score: Number.isFinite(score) ? score : null,
+      avg_rating,
+      capacity_weight,
+      capacity_volume
+    }))
+  };
+}
+
+let sweepTimer = null;
+
+/**
+ * Periodically expire offers inside this backend process
+ */
+export function startDispatchSweeper() {
+  if (sweepTimer) return sweepTimer;
+  sweepTimer = setInterval(async () => {
+    try {
+      await expireOffers();
+    } catch (error) {
+      logger.error('Dispatch sweep error:', error);
+    }
+  }, DISPATCH_CONFIG.sweepIntervalMs);
+  sweepTimer.unref();
+  return sweepTimer;
+}
+
+export function stopDispatchSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+export default {
+  rankCandidates,
+  findCandidates,
+  startDispatch,
+  offerNext,
+  respondToOffer,
+  expireOffers,
+  getDispatchStatus,
+  startDispatchSweeper,
+  stopDispatchSweeper
+};
@@ -0,0 +1,152 @@
+// Document Expiry Monitor
+// Warns owners before a licence, insurance or fitness certificate lapses and suspends
+// the operator or vehicle once it has
+
+import { query } from '../db.js';
+import { DOCUMENT_SLOTS, OWNER_TABLES } from './documents.js';
+import notificationService from './notifications.js';
+import logger from '../utils/logger.js';
+
+export const EXPIRY_CONFIG = {
+  // Days before expiry at which a warning goes out, largest first
+  warningDays: (process.env.DOCUMENT_EXPIRY_WARNING_DAYS || '30,7,1').split(',').map(Number).sort((a, b) => b - a),
+  scanIntervalMs: parseInt(process.env.DOCUMENT_EXPIRY_SCAN_INTERVAL_MS || '3600000', 10)
+};
+
+// Documents whose expiry takes an operator or vehicle off the road
+export const MONITORED_DOCUMENTS = {
+  OPERATOR: ['DRIVING_LICENSE'],
+  VEHICLE: ['INSURANCE', 'FITNESS']
+};
+
+/**
+ * Smallest warning threshold the document has reached, or null when it is not due yet.
+ * Pure function.
+ */
+export function warningThreshold(daysLeft, warningDays = EXPIRY_CONFIG.warningDays) {
+  const reached = warningDays.filter(days => daysLeft <= days);
+  return reached.length ? Math.min(...reached) : null;
+}
+
+const labelFor = (ownerType, docType) =>
+  DOCUMENT_SLOTS[ownerType].find(slot => slot.doc_type === docType)?.label || docType;
+
+// Accepted monitored documents expiring within the largest warning window (or already expired)
+async function dueDocuments() {
+  const slots = Object.entries(MONITORED_DOCUMENTS).flatMap(([ownerType, docTypes]) => docTypes.map(docType => `${ownerType}:${docType}`));
+  const result = await query(`
+    SELECT d.id, d.owner_type, d.owner_id, d.doc_type, d.expires_on::text AS expires_on,
+           d.expires_on - CURRENT_DATE AS days_left,
+           COALESCE(o.name, v.reg_no) AS owner_name,
+           o.mobile,
+           COALESCE(ou.email, c.email, cu.email) AS email
+    FROM documents d
+    LEFT JOIN operators o ON d.owner_type = 'OPERATOR' AND o.id = d.owner_id
+    LEFT JOIN users ou ON ou.id = o.user_id
+    LEFT JOIN vehicles v ON d.owner_type = 'VEHICLE' AND v.id = d.owner_id
+    LEFT JOIN companies c ON c.id = v.company_id
+    LEFT JOIN users cu ON cu.id = c.user_id
+    WHERE d.status = 'ACCEPTED'
+      AND d.owner_type || ':' || d.doc_type = ANY($1)
+      AND d.expires_on <= CURRENT_DATE + $2::int
+    ORDER BY d.expires_on ASC
+  `, [slots, Math.max(...EXPIRY_CONFIG.warningDays)]);
+
+  return result.rows.map(row => ({ ...row, days_left: Number(row.days_left), label: labelFor(row.owner_type, row.doc_type) }));
+}
+
+async function warn(document) {
+  const threshold = warningThreshold(document.days_left);
+  if (threshold === null) return false;
+
+  // Claim the warning first so concurrent scans (or backend instances) send it once
+  const claimed = await query(
+    'INSERT INTO document_expiry_notices (document_id, threshold_days) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING document_id',
+    [document.id, threshold]
+  );
+  if (!claimed.rows.length) return false;
+
+  await notificationService.notifyDocumentExpiring(document, document.days_left);
+  logger.logBusinessEvent('document_expiry', document.owner_type.toLowerCase(), 'warned', {
+    documentId: document.id,
+    ownerId: document.owner_id,
+    docType: document.doc_type,
+    daysLeft: document.days_left
+  });
+  return true;
+}
+
+// Suspended operators also go offline; jobs already in progress are left to finish
+async function suspend(document) {
+  const table = OWNER_TABLES[document.owner_type];
+  const goOffline = document.owner_type === 'OPERATOR' ? ', online = false' : '';
+  const result = await query(`
+    UPDATE ${table} SET status = 'SUSPENDED', suspended_at = now(), remarks = $2${goOffline}
+    WHERE id = $1 AND status = 'APPROVED'
+    RETURNING id
+  `, [document.owner_id, `${document.label} expired on ${document.expires_on}`]);
+  if (!result.rows.length) return false;
+
+  await notificationService.notifyOwnerSuspended(document);
+  logger.logBusinessEvent('document_expiry', document.owner_type.toLowerCase(), 'suspended', {
+    documentId: document.id,
+    ownerId: document.owner_id,
+    docType: document.doc_type,
+    expiresOn: document.expires_on
+  });
+  return true;
+}
+
+/**
+ * One pass over the monitored documents. Returns { warned, suspended }.
+ */
+export async function scanDocumentExpiry() {
+  const summary = { warned: 0, suspended: 0 };
+  for (const document of await dueDocuments()) {
+    try {
+      if (document.days_left < 0) {
+        if (await suspend(document)) summary.suspended += 1;
+      } else if (await warn(document)) {
+        summary.warned += 1;
+      }
+    } catch (error) {
+      logger.error(`Document expiry check failed for ${document.id}`, { error: error.message });
+    }
+  }
+  if (summary.warned || summary.suspended) logger.info('Document expiry scan', summary);
+  return summary;
+}
+
+let scanTimer = null;
+
+/**
+ * Scan now and then periodically inside this backend process
+ */
+export function startExpiryMonitor() {
+  if (scanTimer) return scanTimer;
+  const run = async () => {
+    try {
+      await scanDocumentExpiry();
+    } catch (error) {
+      logger.error('Document expiry scan error:', error);
+    }
+  };
+  run();
+  scanTimer = setInterval(run, EXPIRY_CONFIG.scanIntervalMs);
+  scanTimer.unref();
+  return scanTimer;
+}
+
+export function stopExpiryMonitor() {
+  clearInterval(scanTimer);
+  scanTimer = null;
+}
+
+export default {
+  EXPIRY_CONFIG,
+  MONITORED_DOCUMENTS,
+  warningThreshold,
+  scanDocumentExpiry,
+  startExpiryMonitor,
+  stopExpiryMonitor
+};
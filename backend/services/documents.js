@@ -0,0 +1,275 @@
+// Documents
+// KYC document slots for companies, operators and vehicles, stored through the storage
+// adapter and reviewed one by one by an admin
+
+import { query, withTransaction } from '../db.js';
+import { storeUpload, deleteObject, signedDownloadUrl } from './storage/index.js';
+import { DocumentError, StorageError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Document slots per owner. Required slots must hold an accepted, unexpired document
+ * before the owner can be approved.
+ */
+export const DOCUMENT_SLOTS = {
+  COMPANY: [
+    { doc_type: 'GST_CERTIFICATE', label: 'GST / TIN certificate', required: true }
+  ],
+  OPERATOR: [
+    { doc_type: 'DRIVING_LICENSE', label: 'Driving licence', required: true }
+  ],
+  VEHICLE: [
+    { doc_type: 'RC_BOOK', label: 'RC book', required: true },
+    { doc_type: 'INSURANCE', label: 'Insurance', required: true },
+    { doc_type: 'FITNESS', label: 'Fitness certificate', required: false },
+    { doc_type: 'PERMIT', label: 'Permit', required: false }
+  ]
+};
+
+export const OWNER_TABLES = { COMPANY: 'companies', OPERATOR: 'operators', VEHICLE: 'vehicles' };
+
+const PUBLIC_COLUMNS = `id, owner_type, owner_id, doc_type, content_type, size_bytes, original_name,
+  expires_on::text AS expires_on, status, remarks, reviewed_at, created_at`;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Expiry dates are calendar days (YYYY-MM-DD) and must lie in the future
+function parseExpiry(expiresOn) {
+  const value = String(expiresOn || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new DocumentError('expires_on is required as YYYY-MM-DD', null, { expiresOn });
+  }
+  if (value <= today()) {
+    throw new DocumentError('The document has already expired', null, { expiresOn: value });
+  }
+  return value;
+}
+
+function slotFor(ownerType, docType) {
+  const slot = DOCUMENT_SLOTS[ownerType].find(s => s.doc_type === String(docType || '').toUpperCase());
+  if (!slot) {
+    throw new DocumentError(`doc_type must be one of ${DOCUMENT_SLOTS[ownerType].map(s => s.doc_type).join(', ')}`, null, { ownerType, docType });
+  }
+  return slot;
+}
+
+/**
+ * Upload a document into its slot. A pending or rejected document in the slot is
+ * superseded; an accepted one stays in force until the new upload is accepted. A
+ * rejected or suspended owner goes back to PENDING so the resubmission reaches review.
+ */
+export async function uploadDocument(ownerType, ownerId, docType, file, uploadedBy, { expiresOn } = {}) {
+  const slot = slotFor(ownerType, docType);
+  const expiry = parseExpiry(expiresOn);
+  if (!file) throw new StorageError('A file is required', null, { ownerType, docType: slot.doc_type });
+
+  const stored = await storeUpload('document', `documents/${ownerType.toLowerCase()}/${ownerId}`, file);
+  try {
+    const document = await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE documents SET status = 'SUPERSEDED' WHERE owner_type = $1 AND owner_id = $2 AND doc_type = $3 AND status IN ('PENDING', 'REJECTED')",
+        [ownerType, ownerId, slot.doc_type]
+      );
+      const inserted = await client.query(`
+        INSERT INTO documents (owner_type, owner_id, doc_type, storage_key, content_type, size_bytes, original_name, uploaded_by, expires_on)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING ${PUBLIC_COLUMNS}
+      `, [ownerType, ownerId, slot.doc_type, stored.key, stored.contentType, stored.size, stored.originalName, uploadedBy, expiry]);
+      await client.query(
+        `UPDATE ${OWNER_TABLES[ownerType]} SET status = 'PENDING' WHERE id = $1 AND status IN ('REJECTED', 'SUSPENDED')`,
+        [ownerId]
+      );
+      return inserted.rows[0];
+    });
+
+    logger.logBusinessEvent('document', ownerType.toLowerCase(), 'uploaded', { ownerId, docType: slot.doc_type, documentId: document.id });
+    return document;
+  } catch (error) {
+    await deleteObject(stored.key);
+    throw error;
+  }
+}
+
+/**
+ * Current documents of several owners of one type, as slots: { ownerId: [slot] }.
+ * `document` is the latest upload, `accepted` the document in force (the same one
+ * unless a renewal is waiting for review).
+ */
+export async function documentSlotsFor(ownerType, ownerIds) {
+  const result = ownerIds.length
+    ? await query(
+        `SELECT ${PUBLIC_COLUMNS} FROM documents WHERE owner_type = $1 AND owner_id = ANY($2) AND status <> 'SUPERSEDED'`,
+        [ownerType, ownerIds]
+      )
+    : { rows: [] };
+
+  return Object.fromEntries(ownerIds.map(ownerId => [
+    ownerId,
+    DOCUMENT_SLOTS[ownerType].map(slot => {
+      const documents = result.rows
+        .filter(row => row.owner_id === ownerId && row.doc_type === slot.doc_type)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      return {
+        ...slot,
+        document: documents[0] || null,
+        accepted: documents.find(row => row.status === 'ACCEPTED') || null
+      };
+    })
+  ]));
+}
+
+export async function listDocumentSlots(ownerType, ownerId) {
+  return (await documentSlotsFor(ownerType, [ownerId]))[ownerId];
+}
+
+/**
+ * Required slots without an accepted, unexpired document
+ */
+export function missingDocuments(slots) {
+  return slots
+    .filter(slot => slot.required)
+    .filter(slot => !slot.accepted || slot.accepted.expires_on < today())
+    .map(slot => slot.doc_type);
+}
+
+/**
+ * A document together with the user who owns it (the operator's or company's user, or
+ * the user of the company the vehicle belongs to) and, for company and vehicle
+ * documents, the owning company
+ */
+export async function getDocument(documentId) {
+  const result = await query(`
+    SELECT d.*,
+           CASE d.owner_type
+             WHEN 'COMPANY' THEN (SELECT user_id FROM companies WHERE id = d.owner_id)
+             WHEN 'OPERATOR' THEN (SELECT user_id FROM operators WHERE id = d.owner_id)
+             WHEN 'VEHICLE' THEN (SELECT c.user_id FROM vehicles v JOIN companies c ON c.id = v.company_id WHERE v.id = d.owner_id)
+           END AS owner_user_id,
+           CASE d.owner_type
+             WHEN 'COMPANY' THEN d.owner_id
+             WHEN 'VEHICLE' THEN (SELECT company_id FROM vehicles WHERE id = d.owner_id)
+           END AS owner_company_id
+    FROM documents d
+    WHERE d.id = $1
+  `, [documentId]);
+  return result.rows[0] || null;
+}
+
+export async function documentDownloadUrl(document) {
+  return signedDownloadUrl(document.storage_key, {
+    contentType: document.content_type,
+    filename: document.original_name || `${document.doc_type.toLowerCase()}`
+  });
+}
+
+/**
+ * Documents waiting for review, oldest first, with the owner's name
+ */
+export async function getReviewQueue({ limit = 100 } = {}) {
+  const result = await query(`
+    SELECT d.*, COALESCE(c.name, o.name, v.reg_no) AS owner_name
+    FROM (
+      SELECT ${PUBLIC_COLUMNS} FROM documents WHERE status = 'PENDING' ORDER BY created_at ASC LIMIT $1
+    ) d
+    LEFT JOIN companies c ON d.owner_type = 'COMPANY' AND c.id = d.owner_id
+    LEFT JOIN operators o ON d.owner_type = 'OPERATOR' AND o.id = d.owner_id
+    LEFT JOIN vehicles v ON d.owner_type = 'VEHICLE' AND v.id = d.owner_id
+    ORDER BY d.created_at ASC
+  `, [limit]);
+  return result.rows;
+}
+
+/**
+ * Accept or reject a single pending document. Rejections need remarks, which the owner
+ * sees next to the slot when resubmitting.
+ */
+export async function reviewDocument(documentId, reviewerId, decision, remarks) {
+  const accept = decision === 'accept';
+  if (!accept && decision !== 'reject') throw new DocumentError("decision must be 'accept' or 'reject'", documentId);
+  const note = String(remarks || '').trim();
+  if (!accept && !note) throw new DocumentError('Remarks are required when rejecting a document', documentId);
+
+  const document = await withTransaction(async (client) => {
+    const result = await client.query(
+      'SELECT id, owner_type, owner_id, doc_type, status, expires_on::text AS expires_on FROM documents WHERE id = $1 FOR UPDATE',
+      [documentId]
+    );
+    const row = result.rows[0];
+    if (!row) throw new DocumentError('Document not found', documentId, {}, 404);
+    if (row.status !== 'PENDING') {
+      throw new DocumentError(`Document is ${row.status.toLowerCase()}, only pending documents can be reviewed`, documentId, { status: row.status }, 409);
+    }
+    if (accept && row.expires_on < today()) {
+      throw new DocumentError('Document has expired and cannot be accepted', documentId, { expiresOn: row.expires_on }, 409);
+    }
+
+    // Accepting a renewal retires the document it replaces
+    if (accept) {
+      await client.query(
+        "UPDATE documents SET status = 'SUPERSEDED' WHERE owner_type = $1 AND owner_id = $2 AND doc_type = $3 AND status = 'ACCEPTED'",
+        [row.owner_type, row.owner_id, row.doc_type]
+      );
+    }
+
+    const updated = await client.query(`
+      UPDATE documents SET status = $2, remarks = $3, reviewed_by = $4, reviewed_at = now()
+      WHERE id = $1
+      RETURNING ${PUBLIC_COLUMNS}
+    `, [documentId, accept ? 'ACCEPTED' : 'REJECTED', note || null, reviewerId]);
+    return updated.rows[0];
+  });
+
+  logger.logBusinessEvent('document', document.owner_type.toLowerCase(), accept ? 'accepted' : 'rejected', {
+    documentId,
+    ownerId: document.owner_id,
+    docType: document.doc_type,
+    reviewerId
+  });
+  return document;
+}
+
+/**
+ * Approve or reject a company, operator or vehicle. Approval needs a verified email
+ * (companies and operators) and every required document accepted; rejection needs
+ * remarks. Remarks are stored on the owner.
+ */
+export async function reviewOwner(ownerType, ownerId, reviewerId, action, remarks) {
+  const table = OWNER_TABLES[ownerType];
+  if (!table) throw new DocumentError('type must be company, operator or vehicle', null, { ownerType });
+  if (action !== 'approve' && action !== 'reject') throw new DocumentError("action must be 'approve' or 'reject'", null, { action });
+  const note = String(remarks || '').trim();
+  if (action === 'reject' && !note) throw new DocumentError('Remarks are required when rejecting', null, { ownerType, ownerId });
+
+  if (action === 'approve') {
+    if (ownerType !== 'VEHICLE') {
+      const owner = await query(`SELECT u.email_verified_at FROM ${table} t JOIN users u ON u.id = t.user_id WHERE t.id = $1`, [ownerId]);
+      if (owner.rows.length && !owner.rows[0].email_verified_at) {
+        throw new DocumentError('The account email address has not been verified yet', null, { ownerType, ownerId }, 409);
+      }
+    }
+    const missing = missingDocuments(await listDocumentSlots(ownerType, ownerId));
+    if (missing.length) {
+      throw new DocumentError(`Required documents are not accepted yet: ${missing.join(', ')}`, null, { ownerType, ownerId, missing }, 409);
+    }
+  }
+
+  const status = action === 'approve' ? 'APPROVED' : 'REJECTED';
+  const result = await query(`UPDATE ${table} SET status = $1, remarks = $2 WHERE id = $3 RETURNING id, status, remarks`, [status, note || null, ownerId]);
+  if (!result.rows.length) throw new DocumentError(`${ownerType.toLowerCase()} not found`, null, { ownerId }, 404);
+
+  logger.logBusinessEvent('kyc_review', ownerType.toLowerCase(), action === 'approve' ? 'approved' : 'rejected', { ownerId, reviewerId });
+  return result.rows[0];
+}
+
+export default {
+  DOCUMENT_SLOTS,
+  uploadDocument,
+  documentSlotsFor,
+  listDocumentSlots,
+  missingDocuments,
+  getDocument,
+  documentDownloadUrl,
+  getReviewQueue,
+  reviewDocument,
+  reviewOwner
+};
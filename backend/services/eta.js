@@ -0,0 +1,227 @@
+// Live ETA
+// Rolling delivery estimate for in-transit shipments from pings, remaining stops and lane history
+
+import { query } from '../db.js';
+import { haversineKm, hasCoordinates } from '../utils/geo.js';
+import { solveRoute, ROUTING_CONFIG } from './optimization.js';
+import logger from '../utils/logger.js';
+
+export const ETA_CONFIG = {
+  // Pings in this window make up the "recent" speed
+  recentWindowMinutes: parseInt(process.env.ETA_RECENT_WINDOW_MINUTES || '15', 10),
+  // Below this the vehicle is treated as stopped and recent speed is ignored
+  minMovingSpeedKmh: 5,
+  // Share of the recent speed when blended with the lane speed
+  recentWeight: 0.6,
+  historyDays: parseInt(process.env.ETA_HISTORY_DAYS || '90', 10),
+  // Pickup/drop coordinates rounded to this many decimals identify a lane (~11 km cells)
+  laneGridDecimals: 1,
+  // Slack added to the planned driving time when no promised delivery time is given
+  promiseBufferMinutes: { NORMAL: 24 * 60, EXPRESS: 8 * 60, URGENT: 4 * 60 }
+};
+
+const MINUTE_MS = 60 * 1000;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Average speed (km/h) over consecutive pings, oldest first. Null when it cannot be measured.
+ */
+export function averageSpeedKmh(pings) {
+  if (pings.length < 2) return null;
+  let distance = 0;
+  for (let i = 1; i < pings.length; i++) {
+    distance += haversineKm(pings[i - 1], pings[i]);
+  }
+  const hours = (new Date(pings[pings.length - 1].ts) - new Date(pings[0].ts)) / (60 * MINUTE_MS);
+  return hours > 0 ? distance * ROUTING_CONFIG.roadFactor / hours : null;
+}
+
+/**
+ * Estimate arrival at the last outstanding drop. Pure function.
+ *
+ * position: current { lat, lng }
+ * remainingStops: outstanding drops in visiting order
+ * recentSpeedKmh / laneSpeedKmh: measured speeds, either may be null
+ */
+export function estimateEta({ position, remainingStops, recentSpeedKmh = null, laneSpeedKmh = null, now = new Date(), config = ETA_CONFIG }) {
+  let remainingKm = 0;
+  let previous = position;
+  for (const stop of remainingStops) {
+    remainingKm += haversineKm(previous, stop);
+    previous = stop;
+  }
+  remainingKm *= ROUTING_CONFIG.roadFactor;
+
+  const moving = recentSpeedKmh != null && recentSpeedKmh >= config.minMovingSpeedKmh;
+  let speedKmh;
+  let source;
+  if (moving && laneSpeedKmh) {
+    speedKmh = config.recentWeight * recentSpeedKmh + (1 - config.recentWeight) * laneSpeedKmh;
+    source = 'recent+lane';
+  } else if (moving) {
+    speedKmh = recentSpeedKmh;
+    source = 'recent';
+  } else if (laneSpeedKmh) {
+    speedKmh = laneSpeedKmh;
+    source = 'lane';
+  } else {
+    speedKmh = ROUTING_CONFIG.averageSpeedKmh;
+    source = 'default';
+  }
+
+  const minutes = (remainingKm / speedKmh) * 60 + ROUTING_CONFIG.serviceMinutesPerStop * remainingStops.length;
+  return {
+    eta_at: new Date(now.getTime() + Math.round(minutes) * MINUTE_MS),
+    remaining_km: round2(remainingKm),
+    speed_kmh: round2(speedKmh),
+    speed_source: source
+  };
+}
+
+/**
+ * Historical IN_TRANSIT -> DELIVERED speed of the company's delivered shipments, for the
+ * same lane when there is history on it and company-wide otherwise
+ */
+export async function laneSpeedKmh(companyId, pickup, drop) {
+  if (!companyId) return null;
+  const decimals = ETA_CONFIG.laneGridDecimals;
+  const result = await query(`
+    SELECT AVG(speed) FILTER (WHERE same_lane) AS lane_speed,
+           COUNT(*) FILTER (WHERE same_lane) AS lane_samples,
+           AVG(speed) AS company_speed
+    FROM (
+      SELECT q.distance_km / (EXTRACT(EPOCH FROM (d.created_at - t.created_at)) / 3600) AS speed,
+             (ROUND(p.lat, $5) = ROUND($2::numeric, $5) AND ROUND(p.lng, $5) = ROUND($3::numeric, $5)
+              AND ROUND(x.lat, $5) = ROUND($4::numeric, $5) AND ROUND(x.lng, $5) = ROUND($6::numeric, $5)) AS same_lane
+      FROM shipments s
+      JOIN quotes q ON q.id = s.quote_id
+      JOIN LATERAL (
+        SELECT created_at FROM shipment_events WHERE shipment_id = s.id AND to_status = 'IN_TRANSIT' AND stop_id IS NULL ORDER BY created_at DESC LIMIT 1
+      ) t ON true
+      JOIN LATERAL (
+        SELECT created_at FROM shipment_events WHERE shipment_id = s.id AND to_status = 'DELIVERED' ORDER BY created_at DESC LIMIT 1
+      ) d ON true
+      JOIN LATERAL (
+        SELECT lat, lng FROM stops WHERE shipment_id = s.id AND kind = 'PICKUP' ORDER BY order_index ASC LIMIT 1
+      ) p ON true
+      JOIN LATERAL (
+        SELECT lat, lng FROM stops WHERE shipment_id = s.id AND kind = 'DROP' ORDER BY order_index DESC LIMIT 1
+      ) x ON true
+      WHERE s.company_id = $1 AND s.status = 'DELIVERED'
+        AND d.created_at > t.created_at
+        AND d.created_at > now() - make_interval(days => $7)
+    ) history
+  `, [companyId, pickup?.lat ?? null, pickup?.lng ?? null, drop?.lat ?? null, decimals, drop?.lng ?? null, ETA_CONFIG.historyDays]);
+
+  const row = result.rows[0];
+  if (row && Number(row.lane_samples) > 0) return Number(row.lane_speed);
+  return row && row.company_speed != null ? Number(row.company_speed) : null;
+}
+
+/**
+ * Default promised delivery time for a new shipment: planned driving time from the
+ * quote plus the urgency buffer. An explicit, valid `requested` time wins.
+ */
+export function promisedDeliveryAt(quote, urgency = 'NORMAL', requested = null, now = new Date()) {
+  if (requested && !Number.isNaN(new Date(requested).getTime())) return new Date(requested);
+  const stops = quote.inputs?.stops?.length || 2;
+  const drivingMinutes = (Number(quote.distance_km) / ROUTING_CONFIG.averageSpeedKmh) * 60;
+  const buffer = ETA_CONFIG.promiseBufferMinutes[String(urgency).toUpperCase()] ?? ETA_CONFIG.promiseBufferMinutes.NORMAL;
+  const minutes = drivingMinutes + ROUTING_CONFIG.serviceMinutesPerStop * stops + buffer;
+  return new Date(now.getTime() + Math.round(minutes) * MINUTE_MS);
+}
+
+/**
+ * Recompute and store the ETA of an IN_TRANSIT shipment. Returns the updated ETA
+ * fields, or null when the shipment is not in transit, has no position yet or has no
+ * outstanding drop with coordinates.
+ */
+export async function updateShipmentEta(shipmentId) {
+  const shipmentResult = await query(
+    'SELECT id, company_id, status, promised_delivery_at, eta_delayed FROM shipments WHERE id = $1',
+    [shipmentId]
+  );
+  const shipment = shipmentResult.rows[0];
+  if (!shipment || shipment.status !== 'IN_TRANSIT') return null;
+
+  const [pingsResult, stopsResult] = await Promise.all([
+    query(`
+      SELECT lat, lng, ts FROM pings
+      WHERE shipment_id = $1 AND ts > now() - make_interval(mins => $2)
+      ORDER BY ts ASC
+    `, [shipmentId, ETA_CONFIG.recentWindowMinutes]),
+    query('SELECT kind, status, lat, lng FROM stops WHERE shipment_id = $1 ORDER BY order_index ASC', [shipmentId])
+  ]);
+
+  let position = pingsResult.rows[pingsResult.rows.length - 1];
+  if (!position) {
+    const last = await query('SELECT lat, lng, ts FROM pings WHERE shipment_id = $1 ORDER BY ts DESC LIMIT 1', [shipmentId]);
+    position = last.rows[0];
+  }
+  if (!hasCoordinates(position)) return null;
+
+  const stops = stopsResult.rows.filter(hasCoordinates);
+  const pickup = stops.find(stop => stop.kind === 'PICKUP');
+  const drops = stops.filter(stop => stop.kind === 'DROP');
+  const outstanding = drops.filter(stop => ['PENDING', 'ARRIVED'].includes(stop.status));
+  // Nothing located left to reach: keep the stored ETA rather than claim arrival now
+  if (!outstanding.length) return null;
+
+  // Visit the outstanding drops in the order the solver would drive them
+  const ordered = outstanding.length > 1
+    ? solveRoute(outstanding.map((stop, id) => ({ ...stop, id })), { start: position }).stops
+    : outstanding;
+
+  const estimate = estimateEta({
+    position,
+    remainingStops: ordered,
+    recentSpeedKmh: averageSpeedKmh(pingsResult.rows),
+    laneSpeedKmh: await laneSpeedKmh(shipment.company_id, pickup, drops[drops.length - 1])
+  });
+
+  const updated = await query(`
+    UPDATE shipments
+    SET eta_at = $2, eta_remaining_km = $3, eta_speed_kmh = $4, eta_updated_at = now(),
+        eta_delayed = (promised_delivery_at IS NOT NULL AND $2 > promised_delivery_at)
+    WHERE id = $1
+    RETURNING status, eta_at, eta_remaining_km, eta_speed_kmh, eta_updated_at, eta_delayed, promised_delivery_at
+  `, [shipmentId, estimate.eta_at, estimate.remaining_km, estimate.speed_kmh]);
+
+  const row = updated.rows[0];
+  if (row.eta_delayed && !shipment.eta_delayed) {
+    logger.logBusinessEvent('shipment_eta', 'shipment', 'delayed', {
+      shipmentId,
+      etaAt: row.eta_at,
+      promisedDeliveryAt: row.promised_delivery_at
+    });
+  }
+  return { ...etaPayload(row), speed_source: estimate.speed_source };
+}
+
+/**
+ * ETA block shared by the tracking payload and SSE stream. A shipment past its promised
+ * time is delayed even when no fresh ping has updated the estimate.
+ */
+export function etaPayload(shipment, now = new Date()) {
+  if (!shipment.eta_at && !shipment.promised_delivery_at) return null;
+  const open = !['DELIVERED', 'UNDELIVERED', 'CANCELLED'].includes(shipment.status);
+  const overdue = open && shipment.promised_delivery_at && new Date(shipment.promised_delivery_at) < now;
+  return {
+    estimated_delivery_at: shipment.eta_at || null,
+    remaining_km: shipment.eta_remaining_km != null ? Number(shipment.eta_remaining_km) : null,
+    speed_kmh: shipment.eta_speed_kmh != null ? Number(shipment.eta_speed_kmh) : null,
+    updated_at: shipment.eta_updated_at || null,
+    promised_delivery_at: shipment.promised_delivery_at || null,
+    delayed: open && Boolean(shipment.eta_delayed || overdue)
+  };
+}
+
+export default {
+  ETA_CONFIG,
+  averageSpeedKmh,
+  estimateEta,
+  laneSpeedKmh,
+  promisedDeliveryAt,
+  updateShipmentEta,
+  etaPayload
+};
@@ -0,0 +1,168 @@
+// Fleet
+// Companies that run their own drivers. A company invites a registered operator by
+// email; once the operator accepts, they are in the company's fleet and the company
+// decides which of its vehicles they drive. Operators without a fleet stay independent.
+
+import { query, withTransaction } from '../db.js';
+import notificationService from './notifications.js';
+import { FleetError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+const ACTIVE_STATUSES = ['ASSIGNED', 'PICKUP', 'IN_TRANSIT'];
+
+/**
+ * The company's drivers (invited and active). Active drivers come with their current
+ * vehicle, the company's trip they are on and their latest position; invited drivers
+ * have not joined yet, so only their name and email are shown.
+ */
+export async function fleetRoster(companyId) {
+  const result = await query(`
+    SELECT o.id, o.name, o.mobile, o.license_no, o.status, o.online, o.fleet_status, o.fleet_updated_at,
+           u.email,
+           v.id AS vehicle_id, v.reg_no AS vehicle_reg_no, v.type AS vehicle_type, v.status AS vehicle_status,
+           cs.id AS current_shipment_id, cs.status AS current_shipment_status, cv.reg_no AS current_shipment_vehicle_reg_no,
+           lp.lat AS last_lat, lp.lng AS last_lng, lp.ts AS last_ping_at
+    FROM operators o
+    JOIN users u ON u.id = o.user_id
+    LEFT JOIN vehicles v ON v.id = o.vehicle_id
+    LEFT JOIN LATERAL (
+      SELECT s.id, s.status, s.vehicle_id FROM shipments s
+      WHERE s.operator_id = o.id AND s.company_id = $1 AND s.status = ANY($2)
+      ORDER BY s.created_at DESC LIMIT 1
+    ) cs ON true
+    LEFT JOIN vehicles cv ON cv.id = cs.vehicle_id
+    LEFT JOIN LATERAL (
+      SELECT lat, lng, ts FROM pings p WHERE p.operator_id = o.id ORDER BY ts DESC LIMIT 1
+    ) lp ON true
+    WHERE o.company_id = $1
+    ORDER BY (o.fleet_status = 'ACTIVE') DESC, o.name
+  `, [companyId, ACTIVE_STATUSES]);
+  return result.rows.map(driver => (driver.fleet_status === 'ACTIVE'
+    ? driver
+    : { id: driver.id, name: driver.name, email: driver.email, fleet_status: driver.fleet_status, fleet_updated_at: driver.fleet_updated_at }));
+}
+
+/**
+ * Invite the operator registered with this email to the company's fleet
+ */
+export async function inviteDriver(company, email, actorId) {
+  const result = await query(`
+    SELECT o.id, o.name, o.company_id, u.email
+    FROM operators o
+    JOIN users u ON u.id = o.user_id
+    WHERE lower(u.email) = lower($1)
+  `, [String(email || '').trim()]);
+  const operator = result.rows[0];
+  if (!operator) throw new FleetError('No driver is registered with this email', null, { email }, 404);
+  if (operator.company_id === company.id) throw new FleetError('This driver is already in your fleet', operator.id, {}, 409);
+  if (operator.company_id) throw new FleetError('This driver belongs to another fleet', operator.id, {}, 409);
+
+  const invited = await query(`
+    UPDATE operators SET company_id = $2, fleet_status = 'INVITED', fleet_updated_at = now()
+    WHERE id = $1 AND company_id IS NULL
+    RETURNING id
+  `, [operator.id, company.id]);
+  if (!invited.rows.length) throw new FleetError('This driver belongs to another fleet', operator.id, {}, 409);
+
+  await notificationService.notifyFleetInvitation(operator, company);
+  logger.logBusinessEvent('fleet_driver', 'operator', 'invited', { operatorId: operator.id, companyId: company.id, actorId });
+  return { id: operator.id, name: operator.name, email: operator.email, fleet_status: 'INVITED' };
+}
+
+/**
+ * Fleet invitation or membership of an operator, with the company name
+ */
+export async function operatorFleet(operatorId) {
+  const result = await query(`
+    SELECT o.company_id, o.fleet_status, o.fleet_updated_at, c.name AS company_name
+    FROM operators o
+    LEFT JOIN companies c ON c.id = o.company_id
+    WHERE o.id = $1
+  `, [operatorId]);
+  const fleet = result.rows[0];
+  return fleet?.company_id ? fleet : null;
+}
+
+export async function acceptFleetInvitation(operatorId) {
+  const result = await query(`
+    UPDATE operators SET fleet_status = 'ACTIVE', fleet_updated_at = now()
+    WHERE id = $1 AND fleet_status = 'INVITED'
+    RETURNING company_id
+  `, [operatorId]);
+  if (!result.rows.length) throw new FleetError('There is no fleet invitation to accept', operatorId, {}, 404);
+  logger.logBusinessEvent('fleet_driver', 'operator', 'joined', { operatorId, companyId: result.rows[0].company_id });
+}
+
+// Leaving a fleet also hands back the company's vehicle; trips in progress keep theirs
+async function detach(operatorId, companyId) {
+  const result = await query(`
+    WITH prev AS (
+      SELECT id, company_id FROM operators
+      WHERE id = $1 AND company_id IS NOT NULL AND ($2::uuid IS NULL OR company_id = $2)
+      FOR UPDATE
+    )
+    UPDATE operators o SET
+      vehicle_id = CASE WHEN EXISTS (SELECT 1 FROM vehicles v WHERE v.id = o.vehicle_id AND v.company_id = prev.company_id)
+                        THEN NULL ELSE o.vehicle_id END,
+      company_id = NULL, fleet_status = NULL, fleet_updated_at = now()
+    FROM prev
+    WHERE o.id = prev.id
+    RETURNING prev.company_id
+  `, [operatorId, companyId]);
+  return result.rows[0]?.company_id || null;
+}
+
+/**
+ * Decline an invitation or leave the current fleet
+ */
+export async function leaveFleet(operatorId) {
+  const companyId = await detach(operatorId, null);
+  if (!companyId) throw new FleetError('You are not in a fleet', operatorId, {}, 404);
+  logger.logBusinessEvent('fleet_driver', 'operator', 'left', { operatorId, companyId });
+}
+
+/**
+ * Remove a driver from the company's fleet, or withdraw an invitation
+ */
+export async function removeDriver(companyId, operatorId, actorId) {
+  const removed = await detach(operatorId, companyId);
+  if (!removed) throw new FleetError('Driver not found in your fleet', operatorId, {}, 404);
+  logger.logBusinessEvent('fleet_driver', 'operator', 'removed', { operatorId, companyId, actorId });
+}
+
+/**
+ * Put a fleet driver on one of the company's approved vehicles (or none with null). A
+ * vehicle has one driver at a time, so it is taken off any other driver. Shipments
+ * already assigned keep the vehicle they were assigned with.
+ */
+export async function assignVehicle(companyId, operatorId, vehicleId, actorId) {
+  await withTransaction(async (client) => {
+    const operator = await client.query(
+      "SELECT id FROM operators WHERE id = $1 AND company_id = $2 AND fleet_status = 'ACTIVE' FOR UPDATE",
+      [operatorId, companyId]
+    );
+    if (!operator.rows.length) throw new FleetError('Driver not found in your fleet', operatorId, {}, 404);
+
+    if (vehicleId) {
+      const vehicle = await client.query('SELECT id, status FROM vehicles WHERE id = $1 AND company_id = $2 FOR UPDATE', [vehicleId, companyId]);
+      if (!vehicle.rows.length) throw new FleetError('Vehicle not found', operatorId, { vehicleId }, 404);
+      if (vehicle.rows[0].status !== 'APPROVED') {
+        throw new FleetError(`Vehicle is ${vehicle.rows[0].status.toLowerCase()}, only approved vehicles can be driven`, operatorId, { vehicleId }, 409);
+      }
+      await client.query('UPDATE operators SET vehicle_id = NULL WHERE vehicle_id = $1 AND id <> $2', [vehicleId, operatorId]);
+    }
+    await client.query('UPDATE operators SET vehicle_id = $2 WHERE id = $1', [operatorId, vehicleId || null]);
+  });
+
+  logger.logBusinessEvent('fleet_driver', 'operator', 'vehicle_assigned', { operatorId, companyId, vehicleId: vehicleId || null, actorId });
+}
+
+export default {
+  fleetRoster,
+  inviteDriver,
+  operatorFleet,
+  acceptFleetInvitation,
+  leaveFleet,
+  removeDriver,
+  assignVehicle
+};
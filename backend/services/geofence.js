@@ -0,0 +1,126 @@
+// Geofence Detection
+// Turns consecutive location pings into stop arrivals and departures
+
+import { query } from '../db.js';
+import { haversineKm, hasCoordinates } from '../utils/geo.js';
+import { transitionShipment, canTransition, recordStopEvent } from './shipmentStateMachine.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_RADIUS_M = Number(process.env.GEOFENCE_RADIUS_M || 150);
+// Leaving requires moving this much further out than the entry radius, so GPS jitter
+// at the boundary does not produce arrive/depart flapping
+const EXIT_HYSTERESIS = 1.2;
+
+const SYSTEM_ACTOR = { userId: null, role: 'SYSTEM' };
+
+async function getDefaultRadius() {
+  const result = await query("SELECT value FROM settings WHERE key = 'GEOFENCE_RADIUS_M'");
+  const value = Number(result.rows[0]?.value);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_RADIUS_M;
+}
+
+/**
+ * Decide which stops were entered or left between two consecutive pings.
+ * Pure function: stops are { id, status, lat, lng, geofence_radius_m }.
+ * Returns [{ stop, type: 'ARRIVED' | 'DEPARTED' }].
+ */
+export function detectCrossings(stops, previous, current, defaultRadiusM = DEFAULT_RADIUS_M) {
+  const crossings = [];
+  for (const stop of stops) {
+    if (!hasCoordinates(stop) || !hasCoordinates(current)) continue;
+    const radiusKm = (Number(stop.geofence_radius_m) || defaultRadiusM) / 1000;
+    const nowKm = haversineKm(stop, current);
+    const beforeKm = hasCoordinates(previous) ? haversineKm(stop, previous) : Number.POSITIVE_INFINITY;
+
+    if (stop.status === 'PENDING' && nowKm <= radiusKm && beforeKm > radiusKm) {
+      crossings.push({ stop, type: 'ARRIVED' });
+    } else if (stop.status === 'ARRIVED' && nowKm > radiusKm * EXIT_HYSTERESIS && beforeKm <= radiusKm * EXIT_HYSTERESIS) {
+      crossings.push({ stop, type: 'DEPARTED' });
+    }
+  }
+  return crossings;
+}
+
+// Pickup arrival means the driver is at the pickup, leaving it means the goods are moving
+const PICKUP_TRANSITIONS = { ARRIVED: 'PICKUP', DEPARTED: 'IN_TRANSIT' };
+
+// Stamped with the ping's device time so buffered uploads keep true dwell times
+async function applyCrossing(shipmentId, { stop, type }, location) {
+  const column = type === 'ARRIVED' ? 'arrived_at' : 'departed_at';
+  const updated = await query(
+    `UPDATE stops SET status = $1, ${column} = COALESCE($4::timestamptz, now()) WHERE id = $2 AND status = $3 RETURNING *`,
+    [type, stop.id, stop.status, location.ts ?? null]
+  );
+  if (updated.rows.length === 0) return null;
+
+  logger.logBusinessEvent('geofence_crossing', 'stop', type.toLowerCase(), {
+    shipmentId,
+    stopId: stop.id,
+    kind: stop.kind
+  });
+
+  // Pickup crossings move the shipment; other crossings are recorded without a status change
+  const reason = `Geofence ${type.toLowerCase()} at ${stop.kind === 'PICKUP' ? 'pickup' : 'drop'}`;
+  const to = stop.kind === 'PICKUP' ? PICKUP_TRANSITIONS[type] : null;
+  const current = await query('SELECT status FROM shipments WHERE id = $1', [shipmentId]);
+  if (to && current.rows.length && canTransition(current.rows[0].status, to)) {
+    await transitionShipment(shipmentId, to, { actor: SYSTEM_ACTOR, reason, location });
+  } else {
+    await recordStopEvent(shipmentId, stop.id, { actor: SYSTEM_ACTOR, reason, location });
+  }
+  return updated.rows[0];
+}
+
+/**
+ * Compare a new ping ({ lat, lng, ts }) with the one before it and record any geofence
+ * arrivals/departures at the ping's time (now when it has none). `previous` defaults
+ * to the ping stored before the latest one. Never throws: ping ingestion must not fail
+ * because of it.
+ */
+export async function processPing(shipmentId, location, { previous } = {}) {
+  try {
+    const [stopsResult, pingsResult, defaultRadius] = await Promise.all([
+      query(
+        "SELECT * FROM stops WHERE shipment_id = $1 AND status IN ('PENDING', 'ARRIVED') ORDER BY order_index ASC",
+        [shipmentId]
+      ),
+      previous === undefined
+        ? query('SELECT lat, lng FROM pings WHERE shipment_id = $1 ORDER BY ts DESC LIMIT 2', [shipmentId])
+        : { rows: [null, previous] },
+      getDefaultRadius()
+    ]);
+    if (stopsResult.rows.length === 0) return [];
+
+    const before = pingsResult.rows[1] || null;
+    const crossings = detectCrossings(stopsResult.rows, before, location, defaultRadius);
+
+    const applied = [];
+    for (const crossing of crossings) {
+      const stop = await applyCrossing(shipmentId, crossing, location);
+      if (stop) applied.push({ stop, type: crossing.type });
+    }
+    return applied;
+  } catch (error) {
+    logger.error('Geofence processing error:', error);
+    return [];
+  }
+}
+
+/**
+ * Stops of a shipment with dwell time (minutes between arrival and departure)
+ */
+export async function getStopsWithDwell(shipmentId) {
+  const result = await query(`
+    SELECT *,
+           ROUND(EXTRACT(EPOCH FROM (COALESCE(departed_at, now()) - arrived_at)) / 60) AS dwell_minutes
+    FROM stops
+    WHERE shipment_id = $1
+    ORDER BY order_index ASC
+  `, [shipmentId]);
+  return result.rows.map(stop => ({
+    ...stop,
+    dwell_minutes: stop.arrived_at ? Number(stop.dwell_minutes) : null
+  }));
+}
+
+export default { detectCrossings, processPing, getStopsWithDwell };
@@ -0,0 +1,145 @@
+// Login Protection
+// Failed-login counters per account and per client IP. After a few free attempts each
+// failure makes the next attempt wait longer; past the lockout threshold the account or
+// IP is locked out for a while. Counters live in the database so they hold across
+// restarts and backend instances.
+
+import { query } from '../db.js';
+import { LoginThrottleError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+const env = (name, fallback) => parseInt(process.env[name] || fallback, 10);
+
+export const LOGIN_PROTECTION_CONFIG = {
+  // A counter restarts when its last failure is older than this
+  windowMinutes: env('LOGIN_FAILURE_WINDOW_MINUTES', '15'),
+  baseDelaySeconds: env('LOGIN_BASE_DELAY_SECONDS', '1'),
+  maxDelaySeconds: env('LOGIN_MAX_DELAY_SECONDS', '60'),
+  lockoutMinutes: env('LOGIN_LOCKOUT_MINUTES', '15'),
+  scopes: {
+    ACCOUNT: { freeAttempts: env('LOGIN_ACCOUNT_FREE_ATTEMPTS', '3'), lockAfter: env('LOGIN_ACCOUNT_LOCK_AFTER', '10') },
+    // Shared networks (offices, depots, carrier NAT) legitimately send many logins from one IP
+    IP: { freeAttempts: env('LOGIN_IP_FREE_ATTEMPTS', '10'), lockAfter: env('LOGIN_IP_LOCK_AFTER', '50') }
+  }
+};
+
+/**
+ * Seconds the next attempt has to wait after `failures` consecutive failures: none for
+ * the free attempts, then doubling from the base delay up to the maximum. Pure function.
+ */
+export function throttleDelaySeconds(failures, freeAttempts, config = LOGIN_PROTECTION_CONFIG) {
+  if (failures <= freeAttempts) return 0;
+  return Math.min(config.baseDelaySeconds * 2 ** (failures - freeAttempts - 1), config.maxDelaySeconds);
+}
+
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+
+const throttleKeys = (email, ip) => [['ACCOUNT', accountKey(email)], ['IP', ip || 'unknown']];
+
+/**
+ * Throws LoginThrottleError (429) while the account or the IP has to wait or is locked.
+ * Blocked attempts are not counted as failures.
+ */
+export async function assertLoginAllowed(email, ip) {
+  const result = await query(`
+    SELECT scope, key, failures, locked_until > now() AS locked,
+           CEIL(EXTRACT(EPOCH FROM GREATEST(locked_until, next_attempt_at) - now()))::int AS retry_after
+    FROM login_throttles
+    WHERE ((scope = 'ACCOUNT' AND key = $1) OR (scope = 'IP' AND key = $2))
+      AND GREATEST(locked_until, next_attempt_at) > now()
+    ORDER BY retry_after DESC
+    LIMIT 1
+  `, [accountKey(email), ip || 'unknown']);
+
+  const block = result.rows[0];
+  if (!block) return;
+
+  logger.logAuthEvent('login_blocked', null, false, { email, ip, scope: block.scope, locked: block.locked, retryAfter: block.retry_after });
+  throw new LoginThrottleError(
+    block.locked ? 'Too many failed login attempts. Try again later.' : 'Please wait before trying again.',
+    Math.max(block.retry_after, 1),
+    { scope: block.scope, locked: block.locked }
+  );
+}
+
+/**
+ * Count a failed login against the account and the IP, and set their next delay or lockout
+ */
+export async function recordLoginFailure(email, ip) {
+  const { windowMinutes, lockoutMinutes, scopes } = LOGIN_PROTECTION_CONFIG;
+
+  for (const [scope, key] of throttleKeys(email, ip)) {
+    const counted = await query(`
+      INSERT INTO login_throttles (scope, key, failures) VALUES ($1, $2, 1)
+      ON CONFLICT (scope, key) DO UPDATE SET
+        failures = CASE WHEN login_throttles.last_failed_at < now() - make_interval(mins => $3) THEN 1 ELSE login_throttles.failures + 1 END,
+        first_failed_at = CASE WHEN login_throttles.last_failed_at < now() - make_interval(mins => $3) THEN now() ELSE login_throttles.first_failed_at END,
+        last_failed_at = now()
+      RETURNING failures
+    `, [scope, key, windowMinutes]);
+
+    const failures = counted.rows[0].failures;
+    const delay = throttleDelaySeconds(failures, scopes[scope].freeAttempts);
+    const lock = failures >= scopes[scope].lockAfter;
+    await query(`
+      UPDATE login_throttles
+      SET next_attempt_at = now() + make_interval(secs => $3),
+          locked_until = CASE WHEN $4::boolean THEN now() + make_interval(mins => $5) ELSE locked_until END
+      WHERE scope = $1 AND key = $2
+    `, [scope, key, delay, lock, lockoutMinutes]);
+
+    if (lock) {
+      logger.logSecurityEvent('login_lockout', 'brute_force', { scope, key, failures, lockoutMinutes });
+    } else if (delay) {
+      logger.logSecurityEvent('login_throttled', 'brute_force', { scope, key, failures, delaySeconds: delay });
+    }
+  }
+
+  logger.logAuthEvent('login_failed', null, false, { email, ip });
+}
+
+/**
+ * A successful login clears the account's counter. The IP counter is kept, so one valid
+ * account does not reset the count of a credential-stuffing source.
+ */
+export async function recordLoginSuccess(user, ip) {
+  await query("DELETE FROM login_throttles WHERE scope = 'ACCOUNT' AND key = $1", [accountKey(user.email)]);
+  logger.logAuthEvent('login', user.id, true, { ip, role: user.role });
+}
+
+/**
+ * Counters with failures inside the window, locked and delayed ones first
+ */
+export async function listLoginThrottles() {
+  const result = await query(`
+    SELECT scope, key, failures, first_failed_at, last_failed_at,
+           CASE WHEN next_attempt_at > now() THEN next_attempt_at END AS next_attempt_at,
+           CASE WHEN locked_until > now() THEN locked_until END AS locked_until
+    FROM login_throttles
+    WHERE last_failed_at > now() - make_interval(mins => $1) OR locked_until > now()
+    ORDER BY (locked_until > now()) DESC NULLS LAST, failures DESC, last_failed_at DESC
+  `, [LOGIN_PROTECTION_CONFIG.windowMinutes]);
+  return result.rows;
+}
+
+/**
+ * Remove a counter, lifting its delay or lockout. Returns whether one existed.
+ */
+export async function clearLoginThrottle(scope, key, adminId) {
+  const normalized = scope === 'ACCOUNT' ? accountKey(key) : key;
+  const result = await query('DELETE FROM login_throttles WHERE scope = $1 AND key = $2 RETURNING failures', [scope, normalized]);
+  if (result.rows.length) {
+    logger.logSecurityEvent('login_lockout_cleared', 'brute_force', { scope, key: normalized, adminId, failures: result.rows[0].failures });
+  }
+  return result.rows.length > 0;
+}
+
+export default {
+  LOGIN_PROTECTION_CONFIG,
+  throttleDelaySeconds,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLoginThrottles,
+  clearLoginThrottle
+};
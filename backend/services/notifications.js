@@ -1,4 +1,5 @@
 import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
 import logger from '../utils/logger.js';
 
 class NotificationService {
@@ -7,6 +8,24 @@ class NotificationService {
     this.twilioAuthToken = process.env.TWILIO_AUTH_TOKEN;
     this.twilioWhatsAppNumber = process.env.TWILIO_WHATSAPP_NUMBER;
     this.twilioSmsNumber = process.env.TWILIO_SMS_NUMBER;
+    this.smtpHost = process.env.SMTP_HOST;
+    this.smtpPort = parseInt(process.env.SMTP_PORT || '587', 10);
+    this.smtpUser = process.env.SMTP_USER;
+    this.smtpPassword = process.env.SMTP_PASSWORD;
+    this.fromEmail = process.env.FROM_EMAIL || 'noreply@trackas.com';
+    this.mailer = null;
+  }
+
+  getMailer() {
+    if (!this.mailer) {
+      this.mailer = nodemailer.createTransport({
+        host: this.smtpHost,
+        port: this.smtpPort,
+        secure: this.smtpPort === 465,
+        auth: this.smtpUser ? { user: this.smtpUser, pass: this.smtpPassword } : undefined
+      });
+    }
+    return this.mailer;
   }
 
   async sendSMS(to, message) {
@@ -81,9 +100,19 @@ class NotificationService {
 
   async sendEmail(to, subject, message) {
     try {
-      // For now, just log the email (in production, integrate with SendGrid, AWS SES, etc.)
-      logger.info(`Email would be sent to ${to}`, { subject, message });
-      return { success: true, messageId: 'logged' };
+      if (!this.smtpHost) {
+        // Emails can carry login links, so their body is only logged outside production
+        if (process.env.NODE_ENV === 'production') {
+          logger.warn('SMTP not configured, skipping email');
+          return { success: false, error: 'SMTP not configured' };
+        }
+        logger.info(`Email would be sent to ${to}`, { subject, message });
+        return { success: true, messageId: 'logged' };
+      }
+
+      const info = await this.getMailer().sendMail({ from: this.fromEmail, to, subject, text: message });
+      logger.info(`Email sent to ${to}`, { subject, messageId: info.messageId });
+      return { success: true, messageId: info.messageId };
     } catch (error) {
       logger.error('Email sending error:', error);
       return { success: false, error: error.message };
@@ -136,6 +165,66 @@ class NotificationService {
     logger.info('Shipment status notification sent', { shipmentId: shipment.id, status });
   }
 
+  // document: { id, label, owner_name, expires_on, mobile, email }
+  async notifyDocumentExpiring(document, daysLeft) {
+    const when = daysLeft <= 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    const message = `Your ${document.label} for ${document.owner_name} expires ${when} (${document.expires_on}). Upload the renewed document in your TrackAS dashboard to avoid suspension.`;
+    
+    if (document.mobile) {
+      await this.sendSMS(document.mobile, message);
+    }
+    if (document.email) {
+      await this.sendEmail(document.email, `${document.label} expires ${when}`, message);
+    }
+    
+    logger.info('Document expiry warning sent', { documentId: document.id, daysLeft });
+  }
+
+  async notifyOwnerSuspended(document) {
+    const message = `${document.owner_name} has been suspended because the ${document.label} expired on ${document.expires_on}. Upload a valid document in your TrackAS dashboard to be reviewed again.`;
+    
+    if (document.mobile) {
+      await this.sendSMS(document.mobile, message);
+    }
+    if (document.email) {
+      await this.sendEmail(document.email, `${document.owner_name} suspended: ${document.label} expired`, message);
+    }
+    
+    logger.info('Suspension notification sent', { documentId: document.id, ownerType: document.owner_type, ownerId: document.owner_id });
+  }
+
+  async notifyPasswordReset(user, link, ttlMinutes) {
+    const message = `We received a request to reset the password of your TrackAS account.\n\nReset it here within ${ttlMinutes} minutes:\n${link}\n\nIf you did not ask for this, ignore this email; your password stays unchanged.`;
+    
+    const result = await this.sendEmail(user.email, 'Reset your TrackAS password', message);
+    logger.info('Password reset email sent', { userId: user.id });
+    return result;
+  }
+
+  async notifyEmailVerification(user, link) {
+    const message = `Welcome to TrackAS!\n\nConfirm your email address so we can review your account:\n${link}`;
+    
+    const result = await this.sendEmail(user.email, 'Confirm your TrackAS email address', message);
+    logger.info('Email verification sent', { userId: user.id });
+    return result;
+  }
+
+  async notifyTeamInvitation(invitation, company, link) {
+    const message = `You have been invited to join ${company.name} on TrackAS as ${invitation.role.toLowerCase()}.\n\nSet up your login here:\n${link}\n\nThe invitation expires on ${new Date(invitation.expires_at).toDateString()}.`;
+    
+    const result = await this.sendEmail(invitation.email, `Join ${company.name} on TrackAS`, message);
+    logger.info('Team invitation sent', { invitationId: invitation.id, companyId: company.id });
+    return result;
+  }
+
+  async notifyFleetInvitation(operator, company) {
+    const message = `${company.name} has invited you to drive for their fleet on TrackAS.\n\nOpen the TrackAS driver app to accept or decline.`;
+    
+    const result = await this.sendEmail(operator.email, `${company.name} invited you to their fleet`, message);
+    logger.info('Fleet invitation sent', { operatorId: operator.id, companyId: company.id });
+    return result;
+  }
+
   async notifyDriverPayout(payout) {
     const message = `Payout released!\n\nAmount: ₹${payout.amount}\nRoute: ${payout.pickup} → ${payout.destination}\n\nThe amount will be credited to your registered bank account within 2-3 business days.`;
     
@@ -1,12 +1,169 @@
-
 import fetch from 'node-fetch';
+import { haversineKm, hasCoordinates } from '../utils/geo.js';
+import logger from '../utils/logger.js';
+
+export const ROUTING_CONFIG = {
+  averageSpeedKmh: Number(process.env.ROUTE_AVG_SPEED_KMH || 35),
+  serviceMinutesPerStop: Number(process.env.ROUTE_STOP_SERVICE_MINUTES || 10),
+  // Straight-line distances are stretched by this factor to approximate road distance for ETAs
+  roadFactor: Number(process.env.ROUTE_ROAD_FACTOR || 1.3),
+  maxTwoOptPasses: 50
+};
+
+// A drop can only be visited once the pickup of the same shipment has been visited
+function respectsPrecedence(order) {
+  const picked = new Set();
+  const pickupsByShipment = new Set(order.filter(s => s.kind === 'PICKUP').map(s => s.shipment_id ?? null));
+  for (const stop of order) {
+    const key = stop.shipment_id ?? null;
+    if (stop.kind === 'PICKUP') picked.add(key);
+    else if (stop.kind === 'DROP' && pickupsByShipment.has(key) && !picked.has(key)) return false;
+  }
+  return true;
+}
+
+function pathLength(order, start) {
+  let total = 0;
+  let previous = start;
+  for (const stop of order) {
+    if (previous) total += haversineKm(previous, stop);
+    previous = stop;
+  }
+  return total;
+}
+
+function nearestNeighbour(stops, start) {
+  const remaining = [...stops];
+  const order = [];
+  const picked = new Set();
+  const pickups = new Set(stops.filter(s => s.kind === 'PICKUP').map(s => s.shipment_id ?? null));
+  let current = start;
+
+  while (remaining.length) {
+    const feasible = remaining.filter(s =>
+      s.kind !== 'DROP' || !pickups.has(s.shipment_id ?? null) || picked.has(s.shipment_id ?? null)
+    );
+    let next = feasible[0];
+    if (current) {
+      for (const candidate of feasible) {
+        if (haversineKm(current, candidate) < haversineKm(current, next)) next = candidate;
+      }
+    }
+    order.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+    if (next.kind === 'PICKUP') picked.add(next.shipment_id ?? null);
+    current = next;
+  }
+  return order;
+}
+
+function twoOpt(order, start, maxPasses) {
+  let best = order;
+  let bestLength = pathLength(best, start);
+  let improved = true;
+  let passes = 0;
+
+  while (improved && passes < maxPasses) {
+    improved = false;
+    passes += 1;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        if (!respectsPrecedence(candidate)) continue;
+        const length = pathLength(candidate, start);
+        if (length + 1e-9 < bestLength) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
 
-export async function optimizeRoute(stops){
-  // stops = [{lat, lng}, ...]
-  const coords = stops.map(s => `${s.lng},${s.lat}`).join(';');
-  const url = `https://api.mapbox.com/optimized-trips/v1/mapbox/driving/${coords}?geometries=geojson&access_token=${process.env.MAPBOX_KEY}`;
+/**
+ * Built-in solver: nearest-neighbour construction improved with 2-opt, keeping every
+ * DROP after the PICKUP of its shipment. Works without any network access.
+ *
+ * stops: [{ id, kind: 'PICKUP'|'DROP', lat, lng, shipment_id? }]
+ * start: optional { lat, lng } the vehicle departs from (e.g. the driver's position)
+ */
+export function solveRoute(stops, { start = null, config = ROUTING_CONFIG } = {}) {
+  const routable = stops.filter(hasCoordinates);
+  if (routable.length !== stops.length) {
+    throw new Error('Every stop needs valid lat/lng coordinates');
+  }
+
+  const origin = hasCoordinates(start) ? start : null;
+  const order = routable.length > 2
+    ? twoOpt(nearestNeighbour(routable, origin), origin, config.maxTwoOptPasses)
+    : nearestNeighbour(routable, origin);
+
+  const totalKm = pathLength(order, origin);
+  const drivingMinutes = (totalKm * config.roadFactor / config.averageSpeedKmh) * 60;
+
+  return {
+    source: 'builtin',
+    stops: order.map((stop, index) => ({ ...stop, sequence: index })),
+    total_distance_km: Math.round(totalKm * 100) / 100,
+    estimated_duration_minutes: Math.round(drivingMinutes + config.serviceMinutesPerStop * order.length)
+  };
+}
+
+async function optimizeWithMapbox(stops, start) {
+  const points = start ? [{ ...start, kind: 'START' }, ...stops] : stops;
+  const coords = points.map(s => `${s.lng},${s.lat}`).join(';');
+
+  // Mapbox distributions enforce pickup-before-drop pairs (indices into the coordinate list)
+  const distributions = [];
+  points.forEach((pickup, p) => {
+    if (pickup.kind !== 'PICKUP') return;
+    points.forEach((drop, d) => {
+      if (drop.kind === 'DROP' && (drop.shipment_id ?? null) === (pickup.shipment_id ?? null)) distributions.push(`${p},${d}`);
+    });
+  });
+
+  const params = new URLSearchParams({
+    geometries: 'geojson',
+    roundtrip: 'false',
+    source: 'first',
+    destination: 'any',
+    access_token: process.env.MAPBOX_KEY
+  });
+  if (distributions.length) params.set('distributions', distributions.join(';'));
+
+  const url = `https://api.mapbox.com/optimized-trips/v1/mapbox/driving/${coords}?${params}`;
   const r = await fetch(url);
   const j = await r.json();
   if (!j.trips || !j.trips.length) throw new Error("No trip returned");
-  return j.trips[0]; // includes geometry + waypoints
+
+  const ordered = j.waypoints
+    .map((waypoint, index) => ({ point: points[index], order: waypoint.waypoint_index }))
+    .filter(w => w.point.kind !== 'START')
+    .sort((a, b) => a.order - b.order)
+    .map((w, sequence) => ({ ...w.point, sequence }));
+
+  return {
+    source: 'mapbox',
+    stops: ordered,
+    total_distance_km: Math.round(j.trips[0].distance / 10) / 100,
+    estimated_duration_minutes: Math.round(j.trips[0].duration / 60),
+    geometry: j.trips[0].geometry
+  };
+}
+
+/**
+ * Order stops for a shipment. Uses Mapbox when MAPBOX_KEY is configured and reachable,
+ * otherwise (or on any Mapbox failure) the built-in solver.
+ */
+export async function optimizeRoute(stops, { start = null } = {}) {
+  if (process.env.MAPBOX_KEY) {
+    try {
+      return await optimizeWithMapbox(stops, hasCoordinates(start) ? start : null);
+    } catch (error) {
+      logger.warn('Mapbox optimization failed, using built-in solver', { error: error.message });
+    }
+  }
+  return solveRoute(stops, { start });
 }
@@ -0,0 +1,169 @@
+// Ping Ingestion
+// Validates, dedupes and stores device location fixes for a shipment
+
+import { query, withTransaction } from '../db.js';
+import { haversineKm, hasCoordinates } from '../utils/geo.js';
+import { TrackingError } from '../utils/errorTypes.js';
+import { processPing } from './geofence.js';
+import { updateShipmentEta } from './eta.js';
+import logger from '../utils/logger.js';
+
+export const PING_CONFIG = {
+  // Implied speed between two fixes above this is treated as a GPS glitch
+  maxSpeedKmh: Number(process.env.PING_MAX_SPEED_KMH || 200),
+  // Fixes less accurate than this (metres) are dropped
+  maxAccuracyM: Number(process.env.PING_MAX_ACCURACY_M || 1000),
+  // Device clocks may run slightly ahead of the server
+  maxFutureSkewSeconds: 120,
+  maxBatchSize: 500
+};
+
+// Statuses in which the assigned operator is expected to report positions
+const TRACKED_STATUSES = ['ASSIGNED', 'PICKUP', 'IN_TRANSIT'];
+
+/**
+ * Normalise one point from the request body. Timestamp defaults to the server time,
+ * speed is metres/second and heading degrees from north, as reported by device GPS APIs.
+ */
+export function normalisePoint(point, now = new Date()) {
+  const optional = (value) => (value == null || value === '' ? null : Number(value));
+  return {
+    lat: Number(point.lat),
+    lng: Number(point.lng),
+    ts: point.timestamp != null ? new Date(point.timestamp) : now,
+    accuracy_m: optional(point.accuracy),
+    speed_mps: optional(point.speed),
+    heading: optional(point.heading)
+  };
+}
+
+/**
+ * Decide which points to keep. Pure function.
+ *
+ * points: normalised points in request order
+ * last: latest stored { lat, lng, ts } for the shipment, or null
+ * Returns { accepted (oldest first), rejected: [{ index, reason }] }
+ */
+export function filterPoints(points, last = null, { now = new Date(), config = PING_CONFIG } = {}) {
+  const rejected = [];
+  const candidates = [];
+
+  points.forEach((point, index) => {
+    if (!hasCoordinates(point)) return rejected.push({ index, reason: 'invalid_coordinates' });
+    if (Number.isNaN(point.ts.getTime())) return rejected.push({ index, reason: 'invalid_timestamp' });
+    if (point.ts - now > config.maxFutureSkewSeconds * 1000) return rejected.push({ index, reason: 'future_timestamp' });
+    if (point.accuracy_m != null && point.accuracy_m > config.maxAccuracyM) return rejected.push({ index, reason: 'low_accuracy' });
+    candidates.push({ point, index });
+  });
+
+  // Buffered uploads may arrive shuffled; only points older than what is stored are out of order
+  candidates.sort((a, b) => a.point.ts - b.point.ts);
+
+  const accepted = [];
+  let previous = last ? { ...last, ts: new Date(last.ts) } : null;
+  for (const { point, index } of candidates) {
+    if (previous && point.ts.getTime() === previous.ts.getTime()) {
+      rejected.push({ index, reason: 'duplicate' });
+      continue;
+    }
+    if (previous && point.ts < previous.ts) {
+      rejected.push({ index, reason: 'out_of_order' });
+      continue;
+    }
+    if (previous) {
+      const hours = (point.ts - previous.ts) / 3600000;
+      const impliedKmh = haversineKm(previous, point) / hours;
+      if (impliedKmh > config.maxSpeedKmh) {
+        rejected.push({ index, reason: 'impossible_jump' });
+        continue;
+      }
+    }
+    accepted.push(point);
+    previous = point;
+  }
+
+  rejected.sort((a, b) => a.index - b.index);
+  return { accepted, rejected };
+}
+
+/**
+ * Store a batch of fixes from an operator for a shipment they are assigned to, then
+ * run geofence detection over the accepted points and refresh the ETA.
+ * Throws TrackingError when the operator may not report for the shipment.
+ */
+export async function ingestPings(shipmentId, operatorId, rawPoints) {
+  if (!Array.isArray(rawPoints) || rawPoints.length === 0) {
+    throw new TrackingError('At least one point is required', shipmentId, {}, 400);
+  }
+  if (rawPoints.length > PING_CONFIG.maxBatchSize) {
+    throw new TrackingError(`At most ${PING_CONFIG.maxBatchSize} points per batch`, shipmentId, {}, 413);
+  }
+
+  const now = new Date();
+  const points = rawPoints.map(point => normalisePoint(point || {}, now));
+
+  const { accepted, rejected, last } = await withTransaction(async (client) => {
+    // Lock the shipment so concurrent uploads from the same device are applied in turn
+    const shipmentResult = await client.query('SELECT id, status, operator_id FROM shipments WHERE id = $1 FOR UPDATE', [shipmentId]);
+    const shipment = shipmentResult.rows[0];
+    if (!shipment) throw new TrackingError('Shipment not found', shipmentId, {}, 404);
+    if (shipment.operator_id !== operatorId) {
+      throw new TrackingError('Shipment is not assigned to this operator', shipmentId, { operatorId }, 403);
+    }
+    if (!TRACKED_STATUSES.includes(shipment.status)) {
+      throw new TrackingError(`Shipment is ${shipment.status} and no longer tracked`, shipmentId, { status: shipment.status }, 409);
+    }
+
+    const lastResult = await client.query(
+      'SELECT lat, lng, ts FROM pings WHERE shipment_id = $1 ORDER BY ts DESC LIMIT 1',
+      [shipmentId]
+    );
+    const last = lastResult.rows[0] || null;
+    const result = filterPoints(points, last, { now });
+
+    for (const point of result.accepted) {
+      await client.query(`
+        INSERT INTO pings (shipment_id, operator_id, lat, lng, ts, accuracy_m, speed_mps, heading)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (shipment_id, operator_id, ts) DO NOTHING
+      `, [shipmentId, operatorId, point.lat, point.lng, point.ts, point.accuracy_m, point.speed_mps, point.heading]);
+    }
+    return { ...result, last };
+  });
+
+  if (rejected.length) {
+    logger.warn(`Pings rejected for shipment ${shipmentId}`, {
+      operatorId,
+      rejected: rejected.length,
+      reasons: [...new Set(rejected.map(r => r.reason))]
+    });
+  }
+
+  const geofence = [];
+  let previous = last;
+  for (const point of accepted) {
+    geofence.push(...await processPing(shipmentId, point, { previous }));
+    previous = point;
+  }
+
+  const eta = accepted.length
+    ? await updateShipmentEta(shipmentId).catch((error) => {
+        logger.error('ETA update error:', error);
+        return null;
+      })
+    : null;
+
+  return {
+    accepted: accepted.length,
+    rejected,
+    geofence: geofence.map(({ stop, type }) => ({ stop_id: stop.id, kind: stop.kind, type })),
+    eta
+  };
+}
+
+export default {
+  PING_CONFIG,
+  normalisePoint,
+  filterPoints,
+  ingestPings
+};
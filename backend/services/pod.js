@@ -0,0 +1,286 @@
+// Proof of Delivery
+// Delivery OTPs, image checks and the POD record that completes a drop. Shipments
+// with drop stops get one OTP and POD per drop and are delivered once every drop is
+// completed, or finished by the driver after failed drops (see stops.js); shipments
+// without stops are delivered by their single POD.
+
+import crypto from 'crypto';
+import { query, withTransaction } from '../db.js';
+import { transitionShipment } from './shipmentStateMachine.js';
+import { settleDelivery } from './stops.js';
+import notificationService from './notifications.js';
+import { UPLOAD_POLICIES, inspectUpload, storeUpload, deleteObject, signedDownloadUrl } from './storage/index.js';
+import { ProofOfDeliveryError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const POD_CONFIG = {
+  maxFileBytes: UPLOAD_POLICIES.pod.maxBytes,
+  maxPhotos: 5,
+  otpTtlMinutes: 15,
+  otpResendSeconds: 60,
+  otpMaxAttempts: 5,
+  // Device capture time may run slightly ahead of the server clock
+  maxCaptureSkewSeconds: 120
+};
+
+const hashCode = (shipmentId, code) => crypto.createHash('sha256').update(`${shipmentId}:${code}`).digest('hex');
+
+const maskPhone = (phone) => String(phone).replace(/.(?=.{4})/g, '*');
+
+async function loadShipment(shipmentId) {
+  const result = await query(`
+    SELECT s.id, s.status, s.operator_id, s.customer_phone
+    FROM shipments s
+    WHERE s.id = $1
+  `, [shipmentId]);
+  return result.rows[0] || null;
+}
+
+async function assertDeliverable(shipmentId, operatorId) {
+  const shipment = await loadShipment(shipmentId);
+  if (!shipment) throw new ProofOfDeliveryError('Shipment not found', shipmentId, {}, 404);
+  if (shipment.operator_id !== operatorId) {
+    throw new ProofOfDeliveryError('Shipment is not assigned to this operator', shipmentId, {}, 403);
+  }
+  if (shipment.status !== 'IN_TRANSIT') {
+    throw new ProofOfDeliveryError(`Shipment is ${shipment.status}, not in transit`, shipmentId, { status: shipment.status }, 409);
+  }
+  return shipment;
+}
+
+// The drop being delivered: `stopId` when given, otherwise the only drop still open.
+// Null for shipments without drops.
+async function resolveDrop(shipmentId, stopId) {
+  const result = await query(
+    "SELECT id, status, contact_phone FROM stops WHERE shipment_id = $1 AND kind = 'DROP' ORDER BY order_index",
+    [shipmentId]
+  );
+  const drops = result.rows;
+  if (!drops.length && !stopId) return null;
+
+  const open = drops.filter(stop => !['COMPLETED', 'FAILED'].includes(stop.status));
+  const drop = stopId ? drops.find(stop => stop.id === stopId) : (open.length === 1 ? open[0] : null);
+  if (!drop) {
+    throw stopId
+      ? new ProofOfDeliveryError('Drop not found', shipmentId, { stopId }, 404)
+      : new ProofOfDeliveryError('stop_id is required to choose the drop being delivered', shipmentId);
+  }
+  if (drop.status === 'COMPLETED') throw new ProofOfDeliveryError('Drop has already been delivered', shipmentId, { stopId: drop.id }, 409);
+  return drop;
+}
+
+/**
+ * Generate a delivery OTP for a drop (`stopId`, see resolveDrop) and send it to the
+ * recipient's phone. Sending again replaces the previous code.
+ */
+export async function sendDeliveryOtp(shipmentId, operatorId, stopId = null) {
+  const shipment = await assertDeliverable(shipmentId, operatorId);
+  const drop = await resolveDrop(shipmentId, stopId);
+  const phone = drop?.contact_phone || shipment.customer_phone;
+  if (!phone) {
+    throw new ProofOfDeliveryError('Shipment has no recipient phone number for the OTP', shipmentId, {}, 422);
+  }
+  const dropId = drop?.id ?? null;
+
+  const previous = await query('SELECT sent_at FROM delivery_otps WHERE shipment_id = $1 AND stop_id IS NOT DISTINCT FROM $2', [shipmentId, dropId]);
+  if (previous.rows.length && Date.now() - new Date(previous.rows[0].sent_at) < POD_CONFIG.otpResendSeconds * 1000) {
+    throw new ProofOfDeliveryError('An OTP was sent recently, please wait before requesting another', shipmentId, {}, 429);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  // One OTP per drop, or per shipment when it has none (partial unique indexes)
+  const conflictTarget = dropId ? '(stop_id) WHERE stop_id IS NOT NULL' : '(shipment_id) WHERE stop_id IS NULL';
+  const result = await query(`
+    INSERT INTO delivery_otps (shipment_id, stop_id, code_hash, phone, attempts, expires_at, sent_at, verified_at)
+    VALUES ($1, $5, $2, $3, 0, now() + make_interval(mins => $4), now(), NULL)
+    ON CONFLICT ${conflictTarget} DO UPDATE
+      SET code_hash = EXCLUDED.code_hash, phone = EXCLUDED.phone, attempts = 0,
+          expires_at = EXCLUDED.expires_at, sent_at = EXCLUDED.sent_at, verified_at = NULL
+    RETURNING expires_at
+  `, [shipmentId, hashCode(shipmentId, code), phone, POD_CONFIG.otpTtlMinutes, dropId]);
+
+  const sms = await notificationService.sendSMS(
+    phone,
+    `Your TrackAS delivery code is ${code}. Share it with the driver only once you have received your shipment. Valid for ${POD_CONFIG.otpTtlMinutes} minutes.`
+  );
+  if (!sms.success) {
+    logger.warn(`Delivery OTP SMS not sent for shipment ${shipmentId}`, { error: sms.error });
+    // Lets deliveries be completed locally without an SMS provider
+    if (process.env.NODE_ENV !== 'production') logger.info(`Delivery OTP for ${shipmentId}: ${code}`);
+  }
+
+  logger.logBusinessEvent('delivery_otp', 'shipment', 'sent', { shipmentId, stopId: dropId, operatorId, sent: sms.success });
+  return { stop_id: dropId, expires_at: result.rows[0].expires_at, phone: maskPhone(phone), sent: sms.success };
+}
+
+// Checked outside the delivery transaction so failed attempts are counted even though it rolls back
+async function checkOtp(shipmentId, stopId, code) {
+  const result = await query('SELECT * FROM delivery_otps WHERE shipment_id = $1 AND stop_id IS NOT DISTINCT FROM $2', [shipmentId, stopId]);
+  const otp = result.rows[0];
+  if (!otp) throw new ProofOfDeliveryError(`No delivery OTP has been sent for this ${stopId ? 'drop' : 'shipment'}`, shipmentId);
+  if (otp.verified_at) throw new ProofOfDeliveryError('Delivery OTP has already been used', shipmentId, {}, 409);
+  if (new Date(otp.expires_at) <= new Date()) throw new ProofOfDeliveryError('Delivery OTP has expired, request a new one', shipmentId);
+  if (otp.attempts >= POD_CONFIG.otpMaxAttempts) {
+    throw new ProofOfDeliveryError('Too many incorrect codes, request a new OTP', shipmentId, {}, 429);
+  }
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const actual = Buffer.from(hashCode(shipmentId, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await query('UPDATE delivery_otps SET attempts = attempts + 1 WHERE id = $1', [otp.id]);
+    logger.logSecurityEvent('delivery_otp_mismatch', 'otp_guessing', { shipmentId, attempts: otp.attempts + 1 });
+    throw new ProofOfDeliveryError('Delivery OTP does not match', shipmentId, { attemptsLeft: POD_CONFIG.otpMaxAttempts - otp.attempts - 1 });
+  }
+  return otp;
+}
+
+function inspectFiles(shipmentId, photos, signature) {
+  if (photos.length > POD_CONFIG.maxPhotos) {
+    throw new ProofOfDeliveryError(`At most ${POD_CONFIG.maxPhotos} photos are allowed`, shipmentId);
+  }
+  if (!photos.length && !signature) {
+    throw new ProofOfDeliveryError('At least one photo or the recipient signature is required', shipmentId);
+  }
+
+  const files = [
+    ...photos.map(file => ({ kind: 'PHOTO', file })),
+    ...(signature ? [{ kind: 'SIGNATURE', file: signature }] : [])
+  ];
+  // Rejects anything that is not an image before the OTP is spent
+  files.forEach(({ file }) => inspectUpload('pod', file));
+  return files;
+}
+
+/**
+ * Record proof of delivery for a drop and mark it COMPLETED; the shipment becomes
+ * DELIVERED once all its drops are completed, or directly when it has no drops. The operator must own
+ * the in-transit shipment and present the OTP the drop's recipient received.
+ *
+ * details: { stopId, recipientName, otp, lat, lng, capturedAt, photos: [multer file], signature: multer file }
+ * Returns the POD with shipment_delivered.
+ */
+export async function submitProofOfDelivery(shipmentId, operatorId, actor, details) {
+  const recipientName = String(details.recipientName || '').trim();
+  if (recipientName.length < 2) throw new ProofOfDeliveryError('Recipient name is required', shipmentId);
+
+  const capturedAt = details.capturedAt ? new Date(details.capturedAt) : new Date();
+  if (Number.isNaN(capturedAt.getTime()) || capturedAt - Date.now() > POD_CONFIG.maxCaptureSkewSeconds * 1000) {
+    throw new ProofOfDeliveryError('captured_at must be a valid time that is not in the future', shipmentId);
+  }
+  const hasLocation = details.lat != null && details.lng != null && details.lat !== '' && details.lng !== '';
+  const location = hasLocation ? { lat: Number(details.lat), lng: Number(details.lng) } : null;
+  if (location && (!Number.isFinite(location.lat) || !Number.isFinite(location.lng))) {
+    throw new ProofOfDeliveryError('lat and lng must be numbers', shipmentId);
+  }
+
+  const files = inspectFiles(shipmentId, details.photos || [], details.signature || null);
+  await assertDeliverable(shipmentId, operatorId);
+  const drop = await resolveDrop(shipmentId, details.stopId || null);
+  const otp = await checkOtp(shipmentId, drop?.id ?? null, details.otp);
+
+  const written = [];
+  try {
+    for (const { kind, file } of files) {
+      written.push({ kind, ...(await storeUpload('pod', `pod/${shipmentId}`, file)) });
+    }
+
+    const pod = await withTransaction(async (client) => {
+      const verified = await client.query(
+        'UPDATE delivery_otps SET verified_at = now() WHERE id = $1 AND verified_at IS NULL AND code_hash = $2 RETURNING verified_at',
+        [otp.id, otp.code_hash]
+      );
+      if (!verified.rows.length) throw new ProofOfDeliveryError('Delivery OTP has already been used', shipmentId, {}, 409);
+
+      let delivered = true;
+      if (drop) {
+        const completed = await client.query(`
+          UPDATE stops SET status = 'COMPLETED', arrived_at = COALESCE(arrived_at, now()), completed_at = now(),
+                           failed_at = NULL, failure_reason = NULL
+          WHERE id = $1 AND status <> 'COMPLETED'
+          RETURNING id
+        `, [drop.id]);
+        if (!completed.rows.length) throw new ProofOfDeliveryError('Drop has already been delivered', shipmentId, { stopId: drop.id }, 409);
+        delivered = await settleDelivery(client, shipmentId, { actor, location, operatorId });
+      } else {
+        await transitionShipment(shipmentId, 'DELIVERED', {
+          actor,
+          reason: `Delivered to ${recipientName}, OTP verified`,
+          location,
+          operatorId,
+          client
+        });
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO proof_of_delivery (shipment_id, stop_id, path, operator_id, recipient_name, lat, lng, captured_at, otp_verified_at)
+        VALUES ($1, $9, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, shipment_id, stop_id, recipient_name, lat, lng, captured_at, otp_verified_at
+      `, [shipmentId, written[0].key, operatorId, recipientName, location?.lat ?? null, location?.lng ?? null, capturedAt, verified.rows[0].verified_at, drop?.id ?? null]);
+
+      const podFiles = [];
+      for (const file of written) {
+        const row = await client.query(
+          'INSERT INTO pod_files (pod_id, kind, path, content_type, size_bytes) VALUES ($1, $2, $3, $4, $5) RETURNING id, kind, content_type, size_bytes, created_at',
+          [inserted.rows[0].id, file.kind, file.key, file.contentType, file.size]
+        );
+        podFiles.push(row.rows[0]);
+      }
+      return { ...inserted.rows[0], files: podFiles, shipment_delivered: delivered };
+    });
+
+    logger.logBusinessEvent('proof_of_delivery', 'shipment', pod.shipment_delivered ? 'delivered' : 'drop_delivered', {
+      shipmentId,
+      stopId: pod.stop_id,
+      operatorId,
+      photos: files.filter(f => f.kind === 'PHOTO').length,
+      signature: files.some(f => f.kind === 'SIGNATURE')
+    });
+    return pod;
+  } catch (error) {
+    await Promise.all(written.map(file => deleteObject(file.key)));
+    throw error;
+  }
+}
+
+/**
+ * POD records of a shipment with their file metadata and signed download URLs
+ * (storage keys are never exposed)
+ */
+export async function getProofOfDelivery(shipmentId) {
+  const result = await query(`
+    SELECT p.id, p.shipment_id, p.stop_id, p.recipient_name, p.lat, p.lng, p.captured_at, p.otp_verified_at,
+           COALESCE(json_agg(json_build_object(
+             'id', f.id, 'kind', f.kind, 'key', f.path, 'content_type', f.content_type, 'size_bytes', f.size_bytes, 'created_at', f.created_at
+           ) ORDER BY f.created_at) FILTER (WHERE f.id IS NOT NULL), '[]') AS files
+    FROM proof_of_delivery p
+    LEFT JOIN pod_files f ON f.pod_id = p.id
+    WHERE p.shipment_id = $1
+    GROUP BY p.id
+    ORDER BY p.captured_at DESC NULLS LAST
+  `, [shipmentId]);
+
+  return Promise.all(result.rows.map(async (pod) => ({
+    ...pod,
+    files: await Promise.all(pod.files.map(async ({ key, ...file }) => ({
+      ...file,
+      download: await signedDownloadUrl(key, { contentType: file.content_type })
+    })))
+  })));
+}
+
+export async function getPodFile(shipmentId, fileId) {
+  const result = await query(`
+    SELECT f.* FROM pod_files f
+    JOIN proof_of_delivery p ON p.id = f.pod_id
+    WHERE f.id = $1 AND p.shipment_id = $2
+  `, [fileId, shipmentId]);
+  return result.rows[0] || null;
+}
+
+export default {
+  POD_CONFIG,
+  sendDeliveryOtp,
+  submitProofOfDelivery,
+  getProofOfDelivery,
+  getPodFile
+};
@@ -0,0 +1,231 @@
+// Pricing Engine
+// Computes shipment quotes from route distance, chargeable weight, urgency and handling
+
+import { query } from '../db.js';
+import { solveRoute, ROUTING_CONFIG } from './optimization.js';
+import { QuoteError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const RATE_CARDS_SETTING = 'PRICING_RATE_CARDS';
+
+/**
+ * Defaults used when no rate cards are stored in settings.
+ * Dimensions are in metres, weights in kg; volumetric_factor is kg per cubic metre.
+ */
+export const DEFAULT_PRICING = {
+  vehicles: {
+    Bike: { base_fare: 50, per_km: 8, per_kg: 0, min_charge: 80, volumetric_factor: 250 },
+    Van: { base_fare: 300, per_km: 18, per_kg: 0.5, min_charge: 500, volumetric_factor: 250 },
+    Truck: { base_fare: 800, per_km: 30, per_kg: 0.8, min_charge: 1500, volumetric_factor: 250 }
+  },
+  urgency: { NORMAL: 1, EXPRESS: 1.25, URGENT: 1.5 },
+  handling: { FRAGILE: 200, HAZMAT: 750, REFRIGERATED: 400, OVERSIZED: 300 },
+  quote_validity_minutes: 30
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Rate cards from settings merged over the defaults
+ */
+export async function getPricing() {
+  const result = await query('SELECT value FROM settings WHERE key = $1', [RATE_CARDS_SETTING]);
+  if (result.rows.length === 0) return DEFAULT_PRICING;
+
+  try {
+    const stored = JSON.parse(result.rows[0].value);
+    return {
+      ...DEFAULT_PRICING,
+      ...stored,
+      vehicles: { ...DEFAULT_PRICING.vehicles, ...(stored.vehicles || {}) },
+      urgency: { ...DEFAULT_PRICING.urgency, ...(stored.urgency || {}) },
+      handling: { ...DEFAULT_PRICING.handling, ...(stored.handling || {}) }
+    };
+  } catch (error) {
+    logger.error('Invalid rate cards in settings, using defaults', { error: error.message });
+    return DEFAULT_PRICING;
+  }
+}
+
+export async function savePricing(pricing) {
+  await query(
+    'INSERT INTO settings(key,value) VALUES($1,$2) ON CONFLICT (key) DO UPDATE SET value=EXCLUDED.value',
+    [RATE_CARDS_SETTING, JSON.stringify(pricing)]
+  );
+}
+
+/**
+ * Normalise a quote request (same shape as POST /api/company/shipments) into the
+ * inputs that determine the price
+ */
+export function quoteInputs(body) {
+  // The legacy shipment form sends pickup as a plain address string
+  const pickup = body.pickup && typeof body.pickup === 'object' ? body.pickup : null;
+  const stops = pickup ? [
+    { kind: 'PICKUP', lat: Number(pickup.lat), lng: Number(pickup.lng) },
+    ...(body.drops || []).map(d => ({ kind: 'DROP', lat: Number(d.lat), lng: Number(d.lng) }))
+  ] : [];
+
+  return {
+    vehicle_type: body.vehicle_type || 'Truck',
+    stops,
+    weight: Number(body.weight) || 0,
+    length: Number(body.length) || 0,
+    width: Number(body.width) || 0,
+    height: Number(body.height) || 0,
+    urgency: (body.urgency || 'NORMAL').toUpperCase(),
+    handling_flags: [...new Set((body.handling_flags || []).map(f => String(f).toUpperCase()))].sort()
+  };
+}
+
+/**
+ * Price a normalised request against the rate cards. Pure: no database access.
+ */
+export function computeQuote(inputs, pricing = DEFAULT_PRICING) {
+  const card = pricing.vehicles[inputs.vehicle_type];
+  if (!card) {
+    throw new QuoteError(`No rate card for vehicle type ${inputs.vehicle_type}`, null, { vehicleType: inputs.vehicle_type }, 400);
+  }
+  if (inputs.stops.length < 2) {
+    throw new QuoteError('A pickup and at least one drop with coordinates are required', null, {}, 400);
+  }
+
+  const route = solveRoute(inputs.stops.map((stop, index) => ({ ...stop, id: index })));
+  const distance_km = round2(route.total_distance_km * ROUTING_CONFIG.roadFactor);
+
+  const volume = inputs.length * inputs.width * inputs.height;
+  const volumetric_weight = round2(volume * card.volumetric_factor);
+  const chargeable_weight = Math.max(inputs.weight, volumetric_weight);
+
+  const line_items = [
+    { code: 'BASE', label: `Base fare (${inputs.vehicle_type})`, amount: round2(card.base_fare) },
+    { code: 'DISTANCE', label: `Distance ${distance_km} km @ ${card.per_km}/km`, amount: round2(distance_km * card.per_km) },
+    { code: 'WEIGHT', label: `Chargeable weight ${chargeable_weight} kg @ ${card.per_kg}/kg`, amount: round2(chargeable_weight * card.per_kg) }
+  ];
+
+  const freight = line_items.reduce((sum, item) => sum + item.amount, 0);
+  const multiplier = pricing.urgency[inputs.urgency] ?? 1;
+  if (multiplier !== 1) {
+    line_items.push({ code: 'URGENCY', label: `${inputs.urgency} surcharge (x${multiplier})`, amount: round2(freight * (multiplier - 1)) });
+  }
+
+  for (const flag of inputs.handling_flags) {
+    if (pricing.handling[flag]) {
+      line_items.push({ code: `HANDLING_${flag}`, label: `${flag.toLowerCase()} handling`, amount: round2(pricing.handling[flag]) });
+    }
+  }
+
+  const subtotal = round2(line_items.reduce((sum, item) => sum + item.amount, 0));
+  if (subtotal < card.min_charge) {
+    line_items.push({ code: 'MINIMUM', label: 'Minimum charge adjustment', amount: round2(card.min_charge - subtotal) });
+  }
+
+  return {
+    vehicle_type: inputs.vehicle_type,
+    distance_km,
+    actual_weight: inputs.weight,
+    volumetric_weight,
+    chargeable_weight,
+    line_items,
+    total: round2(line_items.reduce((sum, item) => sum + item.amount, 0)),
+    currency: 'INR'
+  };
+}
+
+/**
+ * Price a request and store it as a quote for the company
+ */
+export async function createQuote(companyId, body) {
+  const inputs = quoteInputs(body);
+  const pricing = await getPricing();
+  const quote = computeQuote(inputs, pricing);
+
+  const result = await query(`
+    INSERT INTO quotes (company_id, vehicle_type, inputs, line_items, distance_km, chargeable_weight, total, currency, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now() + make_interval(mins => $9))
+    RETURNING id, expires_at
+  `, [
+    companyId,
+    quote.vehicle_type,
+    JSON.stringify(inputs),
+    JSON.stringify(quote.line_items),
+    quote.distance_km,
+    quote.chargeable_weight,
+    quote.total,
+    quote.currency,
+    pricing.quote_validity_minutes || DEFAULT_PRICING.quote_validity_minutes
+  ]);
+
+  logger.info(`Quote created: ${result.rows[0].id}`, { companyId, total: quote.total });
+  return { quote_id: result.rows[0].id, expires_at: result.rows[0].expires_at, ...quote };
+}
+
+const sameNumber = (a, b) => Math.abs(Number(a) - Number(b)) < 1e-6;
+
+// The legacy shipment form sends no coordinates; those shipments take the quoted stops
+// (see quotedStops), so only then may the submitted route be left out
+function matchesQuote(quoted, submitted, { quotedRoute = false } = {}) {
+  const fields = ['weight', 'length', 'width', 'height'];
+  if (!fields.every(field => sameNumber(quoted[field], submitted[field]))) return false;
+  if (quoted.urgency !== submitted.urgency) return false;
+  if (quoted.handling_flags.join(',') !== submitted.handling_flags.join(',')) return false;
+  if (!submitted.stops.length && quotedRoute) return true;
+  if (quoted.stops.length !== submitted.stops.length) return false;
+  return quoted.stops.every((stop, i) =>
+    stop.kind === submitted.stops[i].kind &&
+    sameNumber(stop.lat, submitted.stops[i].lat) &&
+    sameNumber(stop.lng, submitted.stops[i].lng)
+  );
+}
+
+/**
+ * Lock a quote to a new shipment inside the creating transaction. The shipment must be
+ * created from the same inputs that were priced; the quote can only be used once.
+ * quotedRoute: the caller inserts the quote's own stops (quotedStops), so a body
+ * without coordinates is accepted.
+ */
+export async function redeemQuote(client, quoteId, companyId, body, { quotedRoute = false } = {}) {
+  const result = await client.query('SELECT * FROM quotes WHERE id = $1 AND company_id = $2 FOR UPDATE', [quoteId, companyId]);
+  const quote = result.rows[0];
+
+  if (!quote) throw new QuoteError('Quote not found', quoteId, {}, 404);
+  if (quote.used_at) throw new QuoteError('Quote has already been used', quoteId);
+  if (new Date(quote.expires_at) <= new Date()) throw new QuoteError('Quote has expired', quoteId);
+  if (!matchesQuote(quote.inputs, quoteInputs(body), { quotedRoute })) {
+    throw new QuoteError('Shipment details differ from the quoted details', quoteId);
+  }
+
+  return quote;
+}
+
+/**
+ * Stops for a shipment created from address strings (POST /api/shipments): the quoted
+ * coordinates with the submitted pickup and destination addresses
+ */
+export function quotedStops(quote, { pickup, destination }) {
+  const stops = quote.inputs.stops || [];
+  if (stops.filter(stop => stop.kind === 'DROP').length !== 1) {
+    throw new QuoteError('Quote has several drops; create the shipment with its drops instead', quote.id);
+  }
+  return stops.map((stop, index) => ({
+    ...stop,
+    address: stop.kind === 'PICKUP' ? pickup : destination,
+    order_index: index
+  }));
+}
+
+export async function markQuoteUsed(client, quoteId, shipmentId) {
+  await client.query('UPDATE quotes SET used_at = now(), shipment_id = $2 WHERE id = $1', [quoteId, shipmentId]);
+}
+
+export default {
+  DEFAULT_PRICING,
+  getPricing,
+  savePricing,
+  quoteInputs,
+  computeQuote,
+  createQuote,
+  redeemQuote,
+  quotedStops,
+  markQuoteUsed
+};
@@ -0,0 +1,42 @@
+import { query } from '../db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reverse the money side of a cancelled shipment: refund payments that were captured
+ * (status COMPLETED), cancel online payments still pending so they cannot be captured
+ * later, reverse the platform commission and cancel any payout not yet released.
+ * Pass the transaction client so the reversal commits together with the cancellation.
+ */
+export async function reverseShipmentPayments(shipmentId, { client = null } = {}) {
+  const db = client || { query };
+
+  const payments = await db.query(`
+    UPDATE payments
+    SET commission_status = 'reversed',
+        payout_status = 'cancelled',
+        refund_amount = CASE WHEN status = 'COMPLETED' THEN COALESCE(amount, shipment_cost) ELSE 0 END,
+        refund_status = CASE WHEN status = 'COMPLETED' THEN 'refunded'
+                             WHEN payment_mode = 'cash' THEN 'not_applicable'
+                             ELSE 'cancelled' END,
+        status = CASE WHEN status = 'COMPLETED' OR payment_mode = 'cash' THEN status ELSE 'CANCELLED' END,
+        refunded_at = now()
+    WHERE shipment_id = $1 AND refund_status IS NULL
+    RETURNING id, refund_amount, refund_status
+  `, [shipmentId]);
+
+  const payouts = await db.query(
+    "UPDATE payouts SET status = 'CANCELLED' WHERE shipment_id = $1 AND status = 'PENDING' RETURNING id",
+    [shipmentId]
+  );
+
+  const refunded = payments.rows.reduce((sum, p) => sum + Number(p.refund_amount || 0), 0);
+  logger.info(`Payments reversed for shipment: ${shipmentId}`, {
+    payments: payments.rows.length,
+    cancelledPayouts: payouts.rows.length,
+    refunded
+  });
+
+  return { payments: payments.rows, cancelledPayouts: payouts.rows.length, refunded };
+}
+
+export default { reverseShipmentPayments };
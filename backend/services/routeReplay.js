@@ -0,0 +1,213 @@
+// Route Replay
+// Breadcrumb trail of a shipment from its pings, with trip statistics and exports
+
+import { query } from '../db.js';
+import { haversineKm } from '../utils/geo.js';
+
+export const REPLAY_CONFIG = {
+  // The vehicle counts as stopped while it stays within this radius of where it halted
+  stopRadiusM: 50,
+  minStopMinutes: 3,
+  // Segments shorter than this are too noisy to derive a speed from
+  minSpeedSegmentSeconds: 10
+};
+
+const METRES_PER_DEGREE = 111320;
+
+// Distance in metres from p to the segment a-b on a local flat projection
+function perpendicularDistanceM(p, a, b) {
+  const cosLat = Math.cos((Number(a.lat) * Math.PI) / 180);
+  const ax = Number(a.lng) * cosLat * METRES_PER_DEGREE;
+  const ay = Number(a.lat) * METRES_PER_DEGREE;
+  const bx = Number(b.lng) * cosLat * METRES_PER_DEGREE - ax;
+  const by = Number(b.lat) * METRES_PER_DEGREE - ay;
+  const px = Number(p.lng) * cosLat * METRES_PER_DEGREE - ax;
+  const py = Number(p.lat) * METRES_PER_DEGREE - ay;
+
+  const lengthSq = bx * bx + by * by;
+  const t = lengthSq ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+/**
+ * Douglas-Peucker simplification keeping points further than toleranceM from the
+ * simplified line. Endpoints are always kept.
+ */
+export function simplify(points, toleranceM) {
+  if (!toleranceM || points.length <= 2) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to stay safe on long trails
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length) {
+    const [start, end] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = 0;
+    for (let i = start + 1; i < end; i++) {
+      const distance = perpendicularDistanceM(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1 && maxDistance > toleranceM) {
+      keep[farthest] = true;
+      ranges.push([start, farthest], [farthest, end]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Distance travelled, stops and max speed over a time-ordered trail. Pure function.
+ */
+export function trailStats(points, config = REPLAY_CONFIG) {
+  let distanceKm = 0;
+  let maxSpeedKmh = 0;
+  const stops = [];
+  let anchor = null;
+
+  const closeStop = (last) => {
+    const minutes = (new Date(last.ts) - new Date(anchor.ts)) / 60000;
+    if (minutes >= config.minStopMinutes) {
+      stops.push({
+        lat: Number(anchor.lat),
+        lng: Number(anchor.lng),
+        started_at: anchor.ts,
+        ended_at: last.ts,
+        duration_minutes: Math.round(minutes * 10) / 10
+      });
+    }
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (i > 0) {
+      const previous = points[i - 1];
+      const km = haversineKm(previous, point);
+      distanceKm += km;
+      const seconds = (new Date(point.ts) - new Date(previous.ts)) / 1000;
+      if (seconds >= config.minSpeedSegmentSeconds) {
+        maxSpeedKmh = Math.max(maxSpeedKmh, km / (seconds / 3600));
+      }
+    }
+
+    if (!anchor) {
+      anchor = point;
+    } else if (haversineKm(anchor, point) * 1000 > config.stopRadiusM) {
+      closeStop(points[i - 1]);
+      anchor = point;
+    }
+  }
+  if (anchor && points.length) closeStop(points[points.length - 1]);
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    point_count: points.length,
+    distance_km: Math.round(distanceKm * 100) / 100,
+    duration_minutes: first ? Math.round((new Date(last.ts) - new Date(first.ts)) / 6000) / 10 : 0,
+    max_speed_kmh: Math.round(maxSpeedKmh * 10) / 10,
+    started_at: first?.ts || null,
+    ended_at: last?.ts || null,
+    stops
+  };
+}
+
+/**
+ * Breadcrumb trail between optional from/to times. Statistics are computed on the full
+ * trail; `tolerance` (metres) only simplifies the returned points.
+ */
+export async function getTrail(shipmentId, { from = null, to = null, tolerance = 0 } = {}) {
+  const result = await query(`
+    SELECT lat, lng, ts, accuracy_m, speed_mps, heading
+    FROM pings
+    WHERE shipment_id = $1
+      AND ($2::timestamptz IS NULL OR ts >= $2)
+      AND ($3::timestamptz IS NULL OR ts <= $3)
+    ORDER BY ts ASC
+  `, [shipmentId, from, to]);
+
+  const points = result.rows.map(row => ({
+    lat: Number(row.lat),
+    lng: Number(row.lng),
+    ts: row.ts,
+    accuracy_m: row.accuracy_m,
+    speed_mps: row.speed_mps,
+    heading: row.heading
+  }));
+
+  return {
+    shipment_id: shipmentId,
+    stats: trailStats(points),
+    simplified: Boolean(tolerance) && points.length > 2,
+    points: simplify(points, Number(tolerance) || 0)
+  };
+}
+
+export function toGeoJSON(trail) {
+  const { stops, ...summary } = trail.stats;
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: trail.points.map(p => [p.lng, p.lat])
+        },
+        properties: {
+          shipment_id: trail.shipment_id,
+          ...summary,
+          coordTimes: trail.points.map(p => new Date(p.ts).toISOString())
+        }
+      },
+      ...stops.map(stop => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+        properties: {
+          kind: 'stop',
+          started_at: stop.started_at,
+          ended_at: stop.ended_at,
+          duration_minutes: stop.duration_minutes
+        }
+      }))
+    ]
+  };
+}
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+export function toGPX(trail) {
+  const name = escapeXml(`Shipment ${trail.shipment_id}`);
+  const waypoints = trail.stats.stops.map(stop =>
+    `  <wpt lat="${stop.lat}" lon="${stop.lng}"><time>${new Date(stop.started_at).toISOString()}</time><name>Stop (${stop.duration_minutes} min)</name></wpt>`
+  );
+  const trackpoints = trail.points.map(p =>
+    `      <trkpt lat="${p.lat}" lon="${p.lng}"><time>${new Date(p.ts).toISOString()}</time></trkpt>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="TrackAS" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${name}</name></metadata>`,
+    ...waypoints,
+    `  <trk><name>${name}</name>`,
+    '    <trkseg>',
+    ...trackpoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+export default {
+  simplify,
+  trailStats,
+  getTrail,
+  toGeoJSON,
+  toGPX
+};
@@ -0,0 +1,142 @@
+// Sessions
+// One row per signed-in device. Access tokens are short-lived JWTs carrying the session
+// id; the refresh token is random, stored only as a hash and rotated on every refresh.
+
+import crypto from 'crypto';
+import { query } from '../db.js';
+import { generateToken } from '../utils/auth.js';
+import { SessionError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const SESSION_CONFIG = {
+  accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10),
+  // Absolute session lifetime; refreshing does not extend it
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10)
+};
+
+export const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+function issueTokens(user, sessionId, refreshToken) {
+  return {
+    token: generateToken({ id: user.id, role: user.role, sid: sessionId }, SESSION_CONFIG.accessTokenTtlSeconds),
+    refresh_token: refreshToken,
+    expires_in: SESSION_CONFIG.accessTokenTtlSeconds,
+    session_id: sessionId
+  };
+}
+
+/**
+ * Device details recorded on a session
+ */
+export function sessionMetaFromRequest(req) {
+  return {
+    userAgent: req.headers['user-agent'] || null,
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Start a session for an authenticated user. Returns { token, refresh_token, expires_in, session_id }.
+ */
+export async function createSession(user, { userAgent = null, ip = null } = {}) {
+  const refreshToken = newRefreshToken();
+  const result = await query(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+    VALUES ($1, $2, $3, $4, now() + make_interval(days => $5))
+    RETURNING id
+  `, [user.id, hashRefreshToken(refreshToken), userAgent, ip, SESSION_CONFIG.refreshTokenTtlDays]);
+
+  const sessionId = result.rows[0].id;
+  logger.logAuthEvent('session_created', user.id, true, { sessionId, ip });
+  return issueTokens(user, sessionId, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token. The old
+ * refresh token stops working; presenting it again revokes the session, since only a
+ * copy held by someone else would still be using it.
+ */
+export async function refreshSession(refreshToken, { userAgent = null, ip = null } = {}) {
+  if (!refreshToken) throw new SessionError('refresh_token is required', null, {}, 400);
+
+  const hash = hashRefreshToken(refreshToken);
+  const next = newRefreshToken();
+  const rotated = await query(`
+    UPDATE sessions s
+    SET refresh_token_hash = $2, previous_token_hash = $1, last_used_at = now(),
+        user_agent = COALESCE($3, s.user_agent), ip = COALESCE($4, s.ip)
+    FROM users u
+    WHERE s.refresh_token_hash = $1 AND u.id = s.user_id
+      AND s.revoked_at IS NULL AND s.expires_at > now()
+    RETURNING s.id, u.id AS user_id, u.role
+  `, [hash, hashRefreshToken(next), userAgent, ip]);
+
+  const session = rotated.rows[0];
+  if (session) {
+    logger.logAuthEvent('session_refreshed', session.user_id, true, { sessionId: session.id });
+    return issueTokens({ id: session.user_id, role: session.role }, session.id, next);
+  }
+
+  const reused = await query(`
+    UPDATE sessions SET revoked_at = now(), revoked_reason = 'REFRESH_TOKEN_REUSE'
+    WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    RETURNING id, user_id
+  `, [hash]);
+  if (reused.rows.length) {
+    const { id, user_id } = reused.rows[0];
+    logger.logSecurityEvent('refresh_token_reuse', 'stolen_refresh_token', { sessionId: id, userId: user_id, ip });
+  }
+  throw new SessionError('Refresh token is invalid or expired');
+}
+
+/**
+ * End one session (logout). Returns whether a live session was revoked.
+ */
+export async function revokeSession(sessionId, reason = 'LOGOUT') {
+  const result = await query(
+    'UPDATE sessions SET revoked_at = now(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL RETURNING user_id',
+    [sessionId, reason]
+  );
+  if (!result.rows.length) return false;
+  logger.logAuthEvent('session_revoked', result.rows[0].user_id, true, { sessionId, reason });
+  return true;
+}
+
+/**
+ * End every session of a user (log out all devices, or an admin kill). Returns the
+ * number of sessions revoked.
+ */
+export async function revokeUserSessions(userId, reason = 'LOGOUT_ALL') {
+  const result = await query(
+    'UPDATE sessions SET revoked_at = now(), revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL RETURNING id',
+    [userId, reason]
+  );
+  logger.logAuthEvent('sessions_revoked', userId, true, { reason, count: result.rows.length });
+  return result.rows.length;
+}
+
+/**
+ * Live sessions of a user, most recently used first
+ */
+export async function listSessions(userId) {
+  const result = await query(`
+    SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+export default {
+  SESSION_CONFIG,
+  hashRefreshToken,
+  sessionMetaFromRequest,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+};
@@ -0,0 +1,291 @@
+// Shipment Lifecycle State Machine
+// Single place where shipment status changes are validated and recorded
+
+import { query, withTransaction } from '../db.js';
+import { ShipmentTransitionError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Shipment statuses (mirrors the check_status constraint)
+ */
+export const SHIPMENT_STATUS = Object.freeze({
+  CREATED: 'CREATED',
+  ASSIGNED: 'ASSIGNED',
+  PICKUP: 'PICKUP',
+  IN_TRANSIT: 'IN_TRANSIT',
+  DELIVERED: 'DELIVERED',
+  UNDELIVERED: 'UNDELIVERED',
+  CANCELLED: 'CANCELLED'
+});
+
+/**
+ * Allowed transitions, keyed by current status
+ */
+const TRANSITIONS = {
+  CREATED: ['ASSIGNED', 'CANCELLED'],
+  // ASSIGNED -> ASSIGNED is an operator reassignment, ASSIGNED -> CREATED a release back to the pool
+  ASSIGNED: ['PICKUP', 'ASSIGNED', 'CREATED', 'CANCELLED'],
+  PICKUP: ['IN_TRANSIT'],
+  // UNDELIVERED: the driver gave up on every drop
+  IN_TRANSIT: ['DELIVERED', 'UNDELIVERED'],
+  DELIVERED: [],
+  UNDELIVERED: [],
+  CANCELLED: []
+};
+
+const COLUMN_PATTERN = /^[a-z_]+$/;
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Only approved operators can take new jobs, and not while their vehicle is suspended.
+// Returns the operator with their current vehicle.
+async function assertOperatorAssignable(db, operatorId, from) {
+  const result = await db.query(`
+    SELECT o.status, o.vehicle_id, v.status AS vehicle_status
+    FROM operators o
+    LEFT JOIN vehicles v ON v.id = o.vehicle_id
+    WHERE o.id = $1
+  `, [operatorId]);
+  const operator = result.rows[0];
+  if (!operator) {
+    throw new ShipmentTransitionError('Operator not found', from, SHIPMENT_STATUS.ASSIGNED, { operatorId }, 404);
+  }
+  if (operator.status !== 'APPROVED' && operator.status !== 'SUSPENDED') {
+    throw new ShipmentTransitionError(
+      `Operator is ${operator.status.toLowerCase()}, approval is required`,
+      from,
+      SHIPMENT_STATUS.ASSIGNED,
+      { operatorId, reason: 'APPROVAL_REQUIRED' },
+      403
+    );
+  }
+  if (operator.status === 'SUSPENDED' || operator.vehicle_status === 'SUSPENDED') {
+    throw new ShipmentTransitionError(
+      operator.status === 'SUSPENDED' ? 'Operator is suspended' : "Operator's vehicle is suspended",
+      from,
+      SHIPMENT_STATUS.ASSIGNED,
+      { operatorId, reason: 'SUSPENDED' },
+      403
+    );
+  }
+  return operator;
+}
+
+/**
+ * Build the actor recorded on a shipment event from an authenticated request
+ */
+export function actorFromRequest(req) {
+  return {
+    userId: req.user?.id || null,
+    role: req.user?.role || null
+  };
+}
+
+// Derive a trip's status from its shipments: started once any has been picked up,
+// completed once none is left to deliver (delivered, undelivered or cancelled),
+// cancelled once it has none at all
+async function syncTripStatus(db, tripId) {
+  await db.query(`
+    UPDATE trips t SET
+      status = m.next,
+      started_at = CASE WHEN m.next IN ('IN_PROGRESS', 'COMPLETED') THEN COALESCE(t.started_at, now()) ELSE t.started_at END,
+      completed_at = CASE WHEN m.next = 'COMPLETED' THEN now() ELSE t.completed_at END,
+      cancelled_at = CASE WHEN m.next = 'CANCELLED' THEN now() ELSE t.cancelled_at END
+    FROM (
+      SELECT CASE
+               WHEN COUNT(*) = 0 THEN 'CANCELLED'
+               WHEN bool_and(status IN ('DELIVERED', 'UNDELIVERED', 'CANCELLED')) THEN 'COMPLETED'
+               WHEN bool_or(status IN ('PICKUP', 'IN_TRANSIT', 'DELIVERED', 'UNDELIVERED')) THEN 'IN_PROGRESS'
+             END AS next
+      FROM shipments WHERE trip_id = $1
+    ) m
+    WHERE t.id = $1 AND m.next IS NOT NULL AND t.status <> m.next
+      AND (t.status IN ('ASSIGNED', 'IN_PROGRESS') OR (t.status = 'PLANNED' AND m.next = 'CANCELLED'))
+  `, [tripId]);
+}
+
+// Location defaults to the latest ping for the shipment when the caller has none
+async function insertEvent(db, shipmentId, from, to, actor, reason, location = null, operators = {}, stopId = null) {
+  const result = await db.query(
+    `INSERT INTO shipment_events (shipment_id, from_status, to_status, actor_user_id, actor_role, reason, lat, lng, from_operator_id, to_operator_id, stop_id)
+     SELECT $1, $2, $3, $4, $5, $6,
+            COALESCE($7::double precision, lp.lat::double precision),
+            COALESCE($8::double precision, lp.lng::double precision),
+            $9, $10, $11
+     FROM (SELECT 1) AS one
+     LEFT JOIN LATERAL (
+       SELECT lat, lng FROM pings WHERE shipment_id = $1 ORDER BY ts DESC LIMIT 1
+     ) lp ON true
+     RETURNING *`,
+    [shipmentId, from, to, actor.userId || null, actor.role || null, reason, location?.lat ?? null, location?.lng ?? null, operators.from || null, operators.to || null, stopId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Move a shipment to `to` and write the transition to shipment_events.
+ *
+ * Options:
+ * - actor: { userId, role } performing the change
+ * - reason: optional free-text reason stored on the event
+ * - location: { lat, lng } at the time of the change (defaults to the latest ping)
+ * - changes: extra shipment columns updated together with the status (e.g. operator_id).
+ *   Assigning an operator also sets vehicle_id to the operator's current vehicle, the
+ *   one used for the trip, unless changes has a vehicle_id; clearing operator_id clears it.
+ * - operatorId: when set, the shipment must currently be assigned to this operator
+ * - tripId: the trip acting on the shipment. Shipments on a trip are only assigned or
+ *   released together with it.
+ * - from: restrict the source statuses for this particular action (e.g. accept only from CREATED)
+ * - client: transaction client to run on; a new transaction is opened otherwise
+ *
+ * DELIVERED is refused (409) while any drop stop is still open or none was completed;
+ * it sets partial_delivery when some drops failed. UNDELIVERED is refused while any
+ * drop is open or completed.
+ *
+ * Throws ShipmentTransitionError (409) for illegal transitions, 404 for unknown
+ * shipments and 403 when the operator does not own the shipment.
+ */
+export async function transitionShipment(shipmentId, to, { actor = {}, reason = null, location = null, changes = {}, operatorId = null, from = null, tripId = null, client = null } = {}) {
+  if (!TRANSITIONS[to]) {
+    throw new ShipmentTransitionError(`Unknown shipment status: ${to}`, null, to, { shipmentId }, 400);
+  }
+
+  const run = async (db) => {
+    const current = await db.query('SELECT id, status, operator_id, trip_id FROM shipments WHERE id = $1 FOR UPDATE', [shipmentId]);
+    if (current.rows.length === 0) {
+      throw new ShipmentTransitionError('Shipment not found', null, to, { shipmentId }, 404);
+    }
+
+    const shipment = current.rows[0];
+    if (operatorId && shipment.operator_id !== operatorId) {
+      throw new ShipmentTransitionError('Shipment is not assigned to this operator', shipment.status, to, { shipmentId }, 403);
+    }
+
+    if (!canTransition(shipment.status, to) || (from && !from.includes(shipment.status))) {
+      throw new ShipmentTransitionError(
+        `Cannot move shipment from ${shipment.status} to ${to}`,
+        shipment.status,
+        to,
+        { shipmentId, allowed: TRANSITIONS[shipment.status] || [] }
+      );
+    }
+
+    // Shipments on a trip travel with the trip, not with an operator of their own
+    const driverChange = to === SHIPMENT_STATUS.ASSIGNED || to === SHIPMENT_STATUS.CREATED;
+    if (driverChange && shipment.trip_id && shipment.trip_id !== tripId) {
+      throw new ShipmentTransitionError('Shipment is part of a trip', shipment.status, to, { shipmentId, tripId: shipment.trip_id });
+    }
+
+    // A shipment with drops is closed once each of them is completed or failed: delivered
+    // with at least one completed, undelivered with none
+    if (to === SHIPMENT_STATUS.DELIVERED || to === SHIPMENT_STATUS.UNDELIVERED) {
+      const drops = await db.query(`
+        SELECT COUNT(*)::int AS total,
+               COUNT(*) FILTER (WHERE status = 'COMPLETED')::int AS completed,
+               COUNT(*) FILTER (WHERE status = 'FAILED')::int AS failed
+        FROM stops WHERE shipment_id = $1 AND kind = 'DROP'
+      `, [shipmentId]);
+      const { total, completed, failed } = drops.rows[0];
+      const delivering = to === SHIPMENT_STATUS.DELIVERED;
+      let refusal = null;
+      if (completed + failed < total) refusal = 'Every drop must be completed or failed first';
+      else if (delivering && total && !completed) refusal = 'At least one drop must be completed';
+      else if (!delivering && (!total || completed)) refusal = 'Only a shipment whose drops all failed is undelivered';
+      if (refusal) {
+        throw new ShipmentTransitionError(refusal, shipment.status, to, { shipmentId, drops: total, completed, failed }, 409);
+      }
+      if (delivering) changes = { ...changes, partial_delivery: failed > 0 };
+    }
+
+    if (to === SHIPMENT_STATUS.ASSIGNED && changes.operator_id) {
+      const operator = await assertOperatorAssignable(db, changes.operator_id, shipment.status);
+      changes = { vehicle_id: operator.vehicle_id, ...changes };
+    } else if ('operator_id' in changes && !changes.operator_id) {
+      changes = { ...changes, vehicle_id: null };
+    }
+
+    // Dispatch offers still open stop once the shipment is taken or cancelled, so their
+    // operators can be offered other jobs
+    if (shipment.status === SHIPMENT_STATUS.CREATED && to !== SHIPMENT_STATUS.CREATED) {
+      await db.query(
+        "UPDATE dispatch_offers SET status = 'CANCELLED', responded_at = now() WHERE shipment_id = $1 AND status = 'OFFERED'",
+        [shipmentId]
+      );
+    }
+
+    // A cancelled shipment leaves its trip; the other shipments keep their stops
+    if (to === SHIPMENT_STATUS.CANCELLED && shipment.trip_id) {
+      await db.query('DELETE FROM trip_stops WHERE stop_id IN (SELECT id FROM stops WHERE shipment_id = $1)', [shipmentId]);
+      changes = { ...changes, trip_id: null };
+    }
+
+    const columns = Object.keys(changes).filter(column => COLUMN_PATTERN.test(column));
+    const assignments = ['status = $2', ...columns.map((column, i) => `${column} = $${i + 3}`)];
+    const updated = await db.query(
+      `UPDATE shipments SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [shipmentId, to, ...columns.map(column => changes[column])]
+    );
+
+    const event = await insertEvent(db, shipmentId, shipment.status, to, actor, reason, location, {
+      from: shipment.operator_id,
+      to: updated.rows[0].operator_id
+    });
+    if (shipment.trip_id) await syncTripStatus(db, shipment.trip_id);
+    return { shipment: updated.rows[0], event };
+  };
+
+  const result = client ? await run(client) : await withTransaction(run);
+
+  logger.logBusinessEvent('shipment_transition', 'shipment', to, {
+    shipmentId,
+    from: result.event.from_status,
+    to,
+    actorUserId: actor.userId,
+    actorRole: actor.role
+  });
+
+  return result;
+}
+
+/**
+ * Record the initial CREATED event for a freshly inserted shipment
+ */
+export async function recordShipmentCreated(shipmentId, actor = {}, { client = null } = {}) {
+  return insertEvent(client || { query }, shipmentId, null, SHIPMENT_STATUS.CREATED, actor, null);
+}
+
+/**
+ * Record a stop arrival or departure on the shipment's history. The status does not
+ * change, so the event has from_status = to_status and the stop's id.
+ */
+export async function recordStopEvent(shipmentId, stopId, { actor = {}, reason = null, location = null, client = null } = {}) {
+  const db = client || { query };
+  const current = await db.query('SELECT status FROM shipments WHERE id = $1', [shipmentId]);
+  if (current.rows.length === 0) return null;
+  const { status } = current.rows[0];
+  return insertEvent(db, shipmentId, status, status, actor, reason, location, {}, stopId);
+}
+
+/**
+ * Full transition history for a shipment, oldest first. Stop arrivals and departures
+ * are included and carry a stop_id.
+ */
+export async function getShipmentEvents(shipmentId) {
+  const result = await query(
+    'SELECT * FROM shipment_events WHERE shipment_id = $1 ORDER BY created_at ASC',
+    [shipmentId]
+  );
+  return result.rows;
+}
+
+export default {
+  SHIPMENT_STATUS,
+  canTransition,
+  actorFromRequest,
+  transitionShipment,
+  recordShipmentCreated,
+  recordStopEvent,
+  getShipmentEvents
+};
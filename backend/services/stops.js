@@ -0,0 +1,236 @@
+// Stop Execution
+// Drivers work a shipment stop by stop: they arrive at each stop, complete the pickup,
+// and complete every drop with its own proof of delivery (see pod.js) or record why it
+// failed. Completing the pickup puts the shipment in transit. The shipment is delivered
+// with its last drop once every drop is completed. A failed drop can be retried, so a
+// shipment with failed drops is only closed when the driver finishes it: partially
+// delivered when some drop was completed, undelivered when none was.
+
+import { withTransaction } from '../db.js';
+import { transitionShipment, canTransition, SHIPMENT_STATUS } from './shipmentStateMachine.js';
+import { StopError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stop statuses (mirrors the stops_status_check constraint)
+ */
+export const STOP_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  ARRIVED: 'ARRIVED',
+  DEPARTED: 'DEPARTED',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+});
+
+const CLOSED_STATUSES = [STOP_STATUS.COMPLETED, STOP_STATUS.FAILED];
+const WORKING_STATUSES = [SHIPMENT_STATUS.ASSIGNED, SHIPMENT_STATUS.PICKUP, SHIPMENT_STATUS.IN_TRANSIT];
+
+/**
+ * Progress of a shipment's drops. Pure function: stops are { kind, status }.
+ */
+export function dropProgress(stops) {
+  const drops = stops.filter(stop => stop.kind === 'DROP');
+  const completed = drops.filter(stop => stop.status === STOP_STATUS.COMPLETED).length;
+  const failed = drops.filter(stop => stop.status === STOP_STATUS.FAILED).length;
+  return {
+    total: drops.length,
+    completed,
+    failed,
+    open: drops.length - completed - failed,
+    partial: failed > 0
+  };
+}
+
+/**
+ * Lock a stop and its shipment for a driver update. The shipment must be assigned to
+ * the operator and still being worked.
+ */
+export async function lockStop(client, shipmentId, stopId, operatorId) {
+  const result = await client.query(`
+    SELECT st.*, s.status AS shipment_status, s.operator_id
+    FROM stops st
+    JOIN shipments s ON s.id = st.shipment_id
+    WHERE st.id = $1 AND st.shipment_id = $2
+    FOR UPDATE OF st, s
+  `, [stopId, shipmentId]);
+  const stop = result.rows[0];
+  if (!stop) throw new StopError('Stop not found', stopId, { shipmentId }, 404);
+  if (stop.operator_id !== operatorId) {
+    throw new StopError('Shipment is not assigned to this operator', stopId, { shipmentId }, 403);
+  }
+  if (!WORKING_STATUSES.includes(stop.shipment_status)) {
+    throw new StopError(`Shipment is ${stop.shipment_status}`, stopId, { shipmentId, status: stop.shipment_status }, 409);
+  }
+  return stop;
+}
+
+// Drops can only be worked once the goods are on board
+function assertDropReachable(stop) {
+  if (stop.kind === 'DROP' && stop.shipment_status !== SHIPMENT_STATUS.IN_TRANSIT) {
+    throw new StopError('Shipment has not been picked up yet', stop.id, { status: stop.shipment_status }, 409);
+  }
+}
+
+async function moveShipment(client, stop, to, { actor, location, operatorId, reason }) {
+  const current = await client.query('SELECT status FROM shipments WHERE id = $1', [stop.shipment_id]);
+  if (!canTransition(current.rows[0].status, to)) return;
+  await transitionShipment(stop.shipment_id, to, { actor, reason, location, operatorId, client });
+}
+
+async function stopsOf(client, shipmentId) {
+  const result = await client.query('SELECT id, kind, status FROM stops WHERE shipment_id = $1 ORDER BY order_index', [shipmentId]);
+  return result.rows;
+}
+
+/**
+ * Deliver the shipment once every drop is completed. Locks the shipment first so
+ * concurrent drops cannot both miss the last one. Returns whether the shipment was
+ * delivered.
+ */
+export async function settleDelivery(client, shipmentId, { actor = {}, location = null, operatorId = null } = {}) {
+  const locked = await client.query('SELECT status FROM shipments WHERE id = $1 FOR UPDATE', [shipmentId]);
+  if (locked.rows[0]?.status !== SHIPMENT_STATUS.IN_TRANSIT) return false;
+
+  const progress = dropProgress(await stopsOf(client, shipmentId));
+  if (progress.completed < progress.total) return false;
+
+  await transitionShipment(shipmentId, SHIPMENT_STATUS.DELIVERED, {
+    actor,
+    reason: `All ${progress.total} drops completed`,
+    location,
+    operatorId,
+    client
+  });
+  return true;
+}
+
+/**
+ * Driver gives up on the failed drops and closes the shipment: DELIVERED (partially)
+ * when some drop was completed, UNDELIVERED when none was. Every drop must be completed
+ * or failed.
+ */
+export async function finishDelivery(shipmentId, operatorId, { actor = {}, location = null } = {}) {
+  return withTransaction(async (client) => {
+    const locked = await client.query('SELECT status, operator_id FROM shipments WHERE id = $1 FOR UPDATE', [shipmentId]);
+    const shipment = locked.rows[0];
+    if (!shipment) throw new StopError('Shipment not found', null, { shipmentId }, 404);
+    if (shipment.operator_id !== operatorId) {
+      throw new StopError('Shipment is not assigned to this operator', null, { shipmentId }, 403);
+    }
+    if (shipment.status !== SHIPMENT_STATUS.IN_TRANSIT) {
+      throw new StopError(`Shipment is ${shipment.status}`, null, { shipmentId, status: shipment.status }, 409);
+    }
+
+    const progress = dropProgress(await stopsOf(client, shipmentId));
+    if (!progress.total) throw new StopError('Shipment has no drops; deliver it with proof of delivery', null, { shipmentId }, 409);
+    if (progress.open) {
+      throw new StopError('Every drop must be delivered or failed first', null, { shipmentId, open: progress.open }, 409);
+    }
+
+    const to = progress.completed ? SHIPMENT_STATUS.DELIVERED : SHIPMENT_STATUS.UNDELIVERED;
+    await transitionShipment(shipmentId, to, {
+      actor,
+      reason: progress.completed
+        ? `Partially delivered: ${progress.completed} of ${progress.total} drops completed`
+        : `Not delivered: all ${progress.total} drops failed`,
+      location,
+      operatorId,
+      client
+    });
+    logger.logBusinessEvent('stop', 'shipment', 'finished', { shipmentId, operatorId, status: to, ...progress });
+    return { shipment_status: to, progress };
+  });
+}
+
+async function finish(client, stop, action, operatorId) {
+  const stops = await stopsOf(client, stop.shipment_id);
+  const shipment = await client.query('SELECT status FROM shipments WHERE id = $1', [stop.shipment_id]);
+  logger.logBusinessEvent('stop', 'stop', action, { shipmentId: stop.shipment_id, stopId: stop.id, kind: stop.kind, operatorId });
+  return { stop, progress: dropProgress(stops), shipment_status: shipment.rows[0].status };
+}
+
+/**
+ * Driver is at the stop. Arriving at the pickup moves an assigned shipment to PICKUP.
+ * A failed drop can be arrived at again to retry it.
+ */
+export async function markStopArrived(shipmentId, stopId, operatorId, { actor = {}, location = null } = {}) {
+  return withTransaction(async (client) => {
+    const stop = await lockStop(client, shipmentId, stopId, operatorId);
+    if (![STOP_STATUS.PENDING, STOP_STATUS.DEPARTED, STOP_STATUS.FAILED].includes(stop.status)) {
+      throw new StopError(`Stop is already ${stop.status.toLowerCase()}`, stopId, { status: stop.status }, 409);
+    }
+    assertDropReachable(stop);
+
+    const updated = await client.query(
+      "UPDATE stops SET status = 'ARRIVED', arrived_at = now(), departed_at = NULL WHERE id = $1 RETURNING *",
+      [stopId]
+    );
+    if (stop.kind === 'PICKUP') {
+      await moveShipment(client, stop, SHIPMENT_STATUS.PICKUP, { actor, location, operatorId, reason: 'Driver arrived at pickup' });
+    }
+    return finish(client, updated.rows[0], 'arrived', operatorId);
+  });
+}
+
+/**
+ * Goods collected at a pickup stop. Once no pickup is left open the shipment is in
+ * transit. Drops are completed with proof of delivery instead.
+ */
+export async function completePickup(shipmentId, stopId, operatorId, { actor = {}, location = null } = {}) {
+  return withTransaction(async (client) => {
+    const stop = await lockStop(client, shipmentId, stopId, operatorId);
+    if (stop.kind !== 'PICKUP') {
+      throw new StopError('Drops are completed with proof of delivery', stopId, { kind: stop.kind }, 409);
+    }
+    if (stop.status === STOP_STATUS.COMPLETED) throw new StopError('Pickup is already completed', stopId, {}, 409);
+
+    const updated = await client.query(
+      "UPDATE stops SET status = 'COMPLETED', arrived_at = COALESCE(arrived_at, now()), completed_at = now() WHERE id = $1 RETURNING *",
+      [stopId]
+    );
+    const pickupsLeft = (await stopsOf(client, shipmentId))
+      .some(other => other.kind === 'PICKUP' && other.status !== STOP_STATUS.COMPLETED);
+    if (!pickupsLeft) {
+      await moveShipment(client, stop, SHIPMENT_STATUS.PICKUP, { actor, location, operatorId, reason: 'Driver arrived at pickup' });
+      await moveShipment(client, stop, SHIPMENT_STATUS.IN_TRANSIT, { actor, location, operatorId, reason: 'Pickup completed' });
+    }
+    return finish(client, updated.rows[0], 'completed', operatorId);
+  });
+}
+
+/**
+ * A drop could not be delivered (recipient absent, refused, unreachable). It can be
+ * arrived at again and delivered until the driver finishes the shipment.
+ */
+export async function failStop(shipmentId, stopId, operatorId, { actor = {}, location = null, reason = null } = {}) {
+  const failureReason = String(reason || '').trim();
+  if (!failureReason) throw new StopError('A reason is required', stopId);
+
+  return withTransaction(async (client) => {
+    const stop = await lockStop(client, shipmentId, stopId, operatorId);
+    if (stop.kind !== 'DROP') {
+      throw new StopError('Only drops can fail; cancel the shipment instead', stopId, { kind: stop.kind }, 409);
+    }
+    if (CLOSED_STATUSES.includes(stop.status)) {
+      throw new StopError(`Drop is already ${stop.status.toLowerCase()}`, stopId, { status: stop.status }, 409);
+    }
+    assertDropReachable(stop);
+
+    const updated = await client.query(
+      "UPDATE stops SET status = 'FAILED', failed_at = now(), failure_reason = $2 WHERE id = $1 RETURNING *",
+      [stopId, failureReason]
+    );
+    return finish(client, updated.rows[0], 'failed', operatorId);
+  });
+}
+
+export default {
+  STOP_STATUS,
+  dropProgress,
+  lockStop,
+  settleDelivery,
+  finishDelivery,
+  markStopArrived,
+  completePickup,
+  failStop
+};
@@ -0,0 +1,134 @@
+// Object Storage
+// One adapter per process, chosen by STORAGE_DRIVER; uploads are validated before they are stored
+
+import { v4 as uuidv4 } from 'uuid';
+import { createLocalDiskAdapter } from './localDisk.js';
+import { createS3Adapter } from './s3.js';
+import { StorageError } from '../../utils/errorTypes.js';
+import logger from '../../utils/logger.js';
+
+export const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  localDir: process.env.STORAGE_LOCAL_DIR || 'uploads',
+  // Prefix for local signed URLs; empty keeps them relative to the API origin
+  publicBaseUrl: process.env.STORAGE_PUBLIC_URL || '',
+  signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS || '300', 10)
+};
+
+// Content is checked by magic bytes; the client-declared mimetype is not trusted
+const CONTENT_TYPES = [
+  { contentType: 'image/jpeg', ext: 'jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png', ext: 'png', matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/webp', ext: 'webp', matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { contentType: 'application/pdf', ext: 'pdf', matches: (b) => b.length > 5 && b.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+export function detectContentType(buffer) {
+  return CONTENT_TYPES.find(type => type.matches(buffer)) || null;
+}
+
+/**
+ * What each kind of upload may contain
+ */
+export const UPLOAD_POLICIES = {
+  pod: {
+    maxBytes: 8 * 1024 * 1024,
+    contentTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    description: 'a JPEG, PNG or WebP image'
+  },
+  document: {
+    maxBytes: 10 * 1024 * 1024,
+    contentTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+    description: 'a PDF or a JPEG, PNG or WebP image'
+  }
+};
+
+let adapter = null;
+
+export function createStorage(config = STORAGE_CONFIG) {
+  if (config.driver === 's3') {
+    return createS3Adapter({
+      endpoint: process.env.S3_ENDPOINT,
+      publicEndpoint: process.env.S3_PUBLIC_ENDPOINT || process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  if (config.driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER "${config.driver}", expected local or s3`);
+  }
+
+  const signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!signingSecret) throw new Error('Local storage needs STORAGE_SIGNING_SECRET or JWT_SECRET to sign download URLs');
+  return createLocalDiskAdapter({ root: config.localDir, signingSecret, publicBaseUrl: config.publicBaseUrl });
+}
+
+/**
+ * The process-wide storage adapter, created on first use
+ */
+export function getStorage() {
+  if (!adapter) {
+    adapter = createStorage();
+    logger.info(`Object storage: ${adapter.name}`);
+  }
+  return adapter;
+}
+
+/**
+ * Check an in-memory upload against a policy without storing it.
+ * Returns { buffer, contentType, ext, size, originalName }.
+ */
+export function inspectUpload(policyName, file) {
+  const policy = UPLOAD_POLICIES[policyName];
+  const name = file?.originalname || 'file';
+  if (!file?.buffer?.length) throw new StorageError(`${name} is empty`, null, { policy: policyName });
+  if (file.buffer.length > policy.maxBytes) {
+    throw new StorageError(`${name} is larger than ${Math.round(policy.maxBytes / 1024 / 1024)} MB`, null, { policy: policyName, size: file.buffer.length }, 413);
+  }
+
+  const type = detectContentType(file.buffer);
+  if (!type || !policy.contentTypes.includes(type.contentType)) {
+    throw new StorageError(`${name} is not ${policy.description}`, null, { policy: policyName }, 415);
+  }
+  return { buffer: file.buffer, contentType: type.contentType, ext: type.ext, size: file.buffer.length, originalName: file.originalname || null };
+}
+
+/**
+ * Validate and store an upload under `<prefix>/<uuid>.<ext>`.
+ * Returns { key, contentType, size, originalName }.
+ */
+export async function storeUpload(policyName, prefix, file) {
+  const upload = inspectUpload(policyName, file);
+  const key = `${prefix}/${uuidv4()}.${upload.ext}`;
+  await getStorage().put(key, upload.buffer, { contentType: upload.contentType });
+  return { key, contentType: upload.contentType, size: upload.size, originalName: upload.originalName };
+}
+
+export async function deleteObject(key) {
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    logger.warn(`Failed to delete stored object ${key}`, { error: error.message });
+  }
+}
+
+/**
+ * Time-limited download URL for a stored object
+ */
+export async function signedDownloadUrl(key, { contentType = '', filename = '', expiresInSeconds = STORAGE_CONFIG.signedUrlTtlSeconds } = {}) {
+  const url = await getStorage().signedUrl(key, { expiresInSeconds, contentType, filename });
+  return { url, expires_at: new Date(Date.now() + expiresInSeconds * 1000).toISOString() };
+}
+
+export default {
+  STORAGE_CONFIG,
+  UPLOAD_POLICIES,
+  detectContentType,
+  getStorage,
+  inspectUpload,
+  storeUpload,
+  deleteObject,
+  signedDownloadUrl
+};
@@ -0,0 +1,62 @@
+// Local filesystem storage adapter
+// Files live under a root directory; downloads go through HMAC-signed backend URLs
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+export function createLocalDiskAdapter({ root, signingSecret, publicBaseUrl = '' }) {
+  const rootDir = path.resolve(root);
+
+  // Keys are generated by the backend, but never allow them to escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return filePath;
+  };
+
+  const sign = (key, expires, contentType, filename) =>
+    crypto.createHmac('sha256', signingSecret).update([key, expires, contentType, filename].join('\n')).digest('hex');
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { mode: 0o600 });
+    },
+
+    async get(key) {
+      return createReadStream(resolveKey(key));
+    },
+
+    async delete(key) {
+      await fs.unlink(resolveKey(key)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    async signedUrl(key, { expiresInSeconds, contentType = '', filename = '' }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      const params = new URLSearchParams({ key, expires: String(expires), ct: contentType, fn: filename, sig: sign(key, expires, contentType, filename) });
+      return `${publicBaseUrl}/api/storage/file?${params}`;
+    },
+
+    /**
+     * Check a signed URL's query parameters. Returns { key, contentType, filename }
+     * or null when the signature is wrong or expired.
+     */
+    verifySignedRequest({ key, expires, ct = '', fn = '', sig }) {
+      if (!key || !expires || !sig) return null;
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return null;
+      const expected = Buffer.from(sign(key, Number(expires), ct, fn), 'hex');
+      const actual = Buffer.from(String(sig), 'hex');
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+      return { key, contentType: ct, filename: fn, filePath: resolveKey(key) };
+    }
+  };
+}
+
+export default createLocalDiskAdapter;
@@ -0,0 +1,115 @@
+// S3-compatible storage adapter (AWS S3, MinIO, ...)
+// Requests are signed with AWS Signature Version 4; path-style addressing
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodePath = (key) => key.split('/').map(encode).join('/');
+
+const amzDateOf = (now = new Date()) => now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * SigV4 signature for an S3 request. Pure function: everything that varies is passed in.
+ * Returns { scope, signedHeaders, value }.
+ */
+export function signV4({ method, pathname, headers, query = {}, payloadHash, amzDate, region, secretAccessKey }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const headerNames = Object.keys(lowerHeaders).sort();
+  const canonicalQuery = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join('&');
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    headerNames.map(h => `${h}:${lowerHeaders[h]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+
+  return {
+    scope,
+    signedHeaders: headerNames.join(';'),
+    value: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+}
+
+export function createS3Adapter({ endpoint, publicEndpoint = endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (base, key) => new URL(`${base.replace(/\/$/, '')}/${encode(bucket)}/${encodePath(key)}`);
+
+  async function send(method, key, { body = '', contentType = null } = {}) {
+    const url = objectUrl(endpoint, key);
+    const amzDate = amzDateOf();
+    const payloadHash = sha256(body);
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(contentType ? { 'content-type': contentType } : {})
+    };
+    const signed = signV4({ method, pathname: url.pathname, headers, payloadHash, amzDate, region, secretAccessKey });
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...headers,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${signed.scope}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.value}`
+      },
+      body: method === 'PUT' ? body : undefined
+    });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed: ${response.status} ${await response.text()}`);
+    }
+    return response;
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType }) {
+      await send('PUT', key, { body: buffer, contentType });
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      return response.body;
+    },
+
+    async delete(key) {
+      await send('DELETE', key);
+    },
+
+    // Presigned GET against the endpoint browsers can reach
+    async signedUrl(key, { expiresInSeconds, contentType = '', filename = '' }) {
+      const url = objectUrl(publicEndpoint, key);
+      const amzDate = amzDateOf();
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresInSeconds),
+        'X-Amz-SignedHeaders': 'host',
+        ...(contentType ? { 'response-content-type': contentType } : {}),
+        ...(filename ? { 'response-content-disposition': `inline; filename="${filename}"` } : {})
+      };
+      const signed = signV4({ method: 'GET', pathname: url.pathname, headers: { host: url.host }, query, payloadHash: 'UNSIGNED-PAYLOAD', amzDate, region, secretAccessKey });
+
+      const search = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join('&');
+      return `${url.origin}${url.pathname}?${search}&X-Amz-Signature=${signed.value}`;
+    }
+  };
+}
+
+export default createS3Adapter;
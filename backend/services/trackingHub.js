@@ -0,0 +1,190 @@
+// Tracking Hub
+// One LISTEN connection fans tracking events out to every SSE subscriber of a shipment
+
+import { query, createListenerClient } from '../db.js';
+import logger from '../utils/logger.js';
+
+export const TRACKING_CHANNEL = 'tracking_events';
+
+export const HUB_CONFIG = {
+  reconnectDelayMs: parseInt(process.env.TRACKING_HUB_RECONNECT_MS || '5000', 10),
+  // Upper bound on events replayed to a client resuming with Last-Event-ID
+  maxReplayEvents: 500,
+  retentionHours: parseInt(process.env.TRACKING_EVENT_RETENTION_HOURS || '48', 10),
+  pruneIntervalMs: 60 * 60 * 1000
+};
+
+// shipmentId -> Set of subscribers
+const subscribers = new Map();
+let listener = null;
+let reconnectTimer = null;
+let pruneTimer = null;
+let running = false;
+
+const toEvent = (row) => ({ id: Number(row.id), shipment_id: row.shipment_id, type: row.type, payload: row.payload });
+
+function dispatch(event) {
+  const set = subscribers.get(event.shipment_id);
+  if (!set) return;
+  for (const subscriber of set) subscriber.deliver(event);
+}
+
+/**
+ * Register `send(event)` for a shipment. With a lastEventId the events after it are
+ * replayed first; without one the latest event of each type is sent as a snapshot.
+ * Events are delivered once each and in id order.
+ */
+export async function subscribe(shipmentId, send, { lastEventId = null } = {}) {
+  let replaying = true;
+  const queued = [];
+  const subscriber = {
+    lastId: Number(lastEventId) || 0,
+    deliver(event) {
+      if (replaying) {
+        queued.push(event);
+        return;
+      }
+      if (event.id <= subscriber.lastId) return;
+      subscriber.lastId = event.id;
+      send(event);
+    }
+  };
+
+  if (!subscribers.has(shipmentId)) subscribers.set(shipmentId, new Set());
+  subscribers.get(shipmentId).add(subscriber);
+  const unsubscribe = () => {
+    const set = subscribers.get(shipmentId);
+    if (!set) return;
+    set.delete(subscriber);
+    if (set.size === 0) subscribers.delete(shipmentId);
+  };
+
+  try {
+    const replay = lastEventId != null && lastEventId !== ''
+      ? await query(
+          'SELECT * FROM tracking_events WHERE shipment_id = $1 AND id > $2 ORDER BY id ASC LIMIT $3',
+          [shipmentId, Number(lastEventId) || 0, HUB_CONFIG.maxReplayEvents]
+        )
+      : await query(`
+          SELECT * FROM (
+            SELECT DISTINCT ON (type) * FROM tracking_events WHERE shipment_id = $1 ORDER BY type, id DESC
+          ) latest ORDER BY id ASC
+        `, [shipmentId]);
+
+    replaying = false;
+    for (const row of replay.rows) subscriber.deliver(toEvent(row));
+    for (const event of queued.sort((a, b) => a.id - b.id)) subscriber.deliver(event);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return { unsubscribe };
+}
+
+// Re-deliver whatever was missed while the LISTEN connection was down
+async function catchUp() {
+  for (const [shipmentId, set] of subscribers) {
+    const since = Math.min(...[...set].map(subscriber => subscriber.lastId));
+    const missed = await query(
+      'SELECT * FROM tracking_events WHERE shipment_id = $1 AND id > $2 ORDER BY id ASC LIMIT $3',
+      [shipmentId, since, HUB_CONFIG.maxReplayEvents]
+    );
+    missed.rows.forEach(row => dispatch(toEvent(row)));
+  }
+}
+
+function scheduleReconnect(client) {
+  if (client && client !== listener) return;
+  listener = null;
+  if (client) client.end().catch(() => {});
+  if (!running || reconnectTimer) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, HUB_CONFIG.reconnectDelayMs);
+  reconnectTimer.unref();
+}
+
+async function connect() {
+  let client = null;
+  try {
+    client = await createListenerClient();
+    client.on('notification', (message) => {
+      try {
+        dispatch(toEvent(JSON.parse(message.payload)));
+      } catch (error) {
+        logger.error('Invalid tracking notification:', error);
+      }
+    });
+    client.on('error', (error) => {
+      logger.error('Tracking hub connection error:', error);
+      scheduleReconnect(client);
+    });
+    client.on('end', () => scheduleReconnect(client));
+    await client.query(`LISTEN ${TRACKING_CHANNEL}`);
+    listener = client;
+    logger.info('Tracking hub listening', { channel: TRACKING_CHANNEL });
+    await catchUp();
+  } catch (error) {
+    logger.error('Tracking hub failed to listen:', error);
+    if (client) client.end().catch(() => {});
+    scheduleReconnect(null);
+  }
+}
+
+export async function pruneTrackingEvents() {
+  const result = await query(
+    'DELETE FROM tracking_events WHERE created_at < now() - make_interval(hours => $1)',
+    [HUB_CONFIG.retentionHours]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Open the LISTEN connection and the retention sweep inside this backend process
+ */
+export function startTrackingHub() {
+  if (running) return;
+  running = true;
+  connect();
+  pruneTimer = setInterval(async () => {
+    try {
+      await pruneTrackingEvents();
+    } catch (error) {
+      logger.error('Tracking event prune error:', error);
+    }
+  }, HUB_CONFIG.pruneIntervalMs);
+  pruneTimer.unref();
+}
+
+export function stopTrackingHub() {
+  running = false;
+  clearTimeout(reconnectTimer);
+  clearInterval(pruneTimer);
+  reconnectTimer = null;
+  pruneTimer = null;
+  if (listener) listener.end().catch(() => {});
+  listener = null;
+}
+
+/**
+ * Listener state and subscriber counts per shipment (health endpoint)
+ */
+export function getHubStats() {
+  const shipments = {};
+  let total = 0;
+  for (const [shipmentId, set] of subscribers) {
+    shipments[shipmentId] = set.size;
+    total += set.size;
+  }
+  return { listening: Boolean(listener), subscribers: total, shipments };
+}
+
+export default {
+  subscribe,
+  startTrackingHub,
+  stopTrackingHub,
+  pruneTrackingEvents,
+  getHubStats
+};
@@ -0,0 +1,262 @@
+// Trips
+// One driver and vehicle carrying several shipments along a combined stop sequence. A
+// trip is created when a dispatcher accepts a consolidation plan and is then assigned
+// to a fleet driver. The driver reports status and positions once for the trip; both
+// are applied to every member shipment, so each shipment keeps its own tracking. Stops
+// are then worked one by one (see stops.js).
+
+import { query, withTransaction } from '../db.js';
+import { consolidationCandidates, freeVehicles, tripProblem } from './consolidation.js';
+import { shipmentLoad } from './dispatch.js';
+import { solveRoute } from './optimization.js';
+import { transitionShipment, canTransition } from './shipmentStateMachine.js';
+import { ingestPings } from './pingIngestion.js';
+import { TripError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+// Statuses in which the driver works the trip
+const ACTIVE_TRIP_STATUSES = ['ASSIGNED', 'IN_PROGRESS'];
+const TRACKED_STATUSES = ['ASSIGNED', 'PICKUP', 'IN_TRANSIT'];
+
+const TRIP_DETAILS = `
+  SELECT t.*, v.reg_no AS vehicle_reg_no, v.type AS vehicle_type, o.name AS operator_name, o.mobile AS operator_mobile,
+         (SELECT json_agg(json_build_object('id', s.id, 'title', s.title, 'status', s.status, 'weight', s.weight, 'volume', s.volume,
+                                            'handling_flags', s.handling_flags, 'urgency', s.urgency) ORDER BY s.created_at)
+          FROM shipments s WHERE s.trip_id = t.id) AS shipments,
+         (SELECT json_agg(json_build_object('id', st.id, 'shipment_id', st.shipment_id, 'kind', st.kind, 'address', st.address,
+                                            'lat', st.lat, 'lng', st.lng, 'status', st.status, 'failure_reason', st.failure_reason,
+                                            'sequence', ts.sequence) ORDER BY ts.sequence)
+          FROM trip_stops ts JOIN stops st ON st.id = ts.stop_id WHERE ts.trip_id = t.id) AS stops
+  FROM trips t
+  LEFT JOIN vehicles v ON v.id = t.vehicle_id
+  LEFT JOIN operators o ON o.id = t.operator_id
+`;
+
+/**
+ * Create a trip from an accepted plan ({ vehicle_id, shipment_ids }). The plan is
+ * checked again against the current shipments and vehicle, since either may have
+ * changed since it was computed.
+ */
+export async function createTrip(company, { vehicle_id, shipment_ids }, actorId) {
+  const ids = [...new Set(Array.isArray(shipment_ids) ? shipment_ids : [])];
+  if (!vehicle_id) throw new TripError('vehicle_id is required');
+  if (ids.length < 2) throw new TripError('A trip needs at least two shipments');
+
+  const trip = await withTransaction(async (client) => {
+    // Lock the vehicle and the shipments so two dispatchers cannot plan them twice
+    const vehicleLock = await client.query('SELECT id FROM vehicles WHERE id = $1 AND company_id = $2 FOR UPDATE', [vehicle_id, company.id]);
+    if (!vehicleLock.rows.length) throw new TripError('Vehicle not found', null, { vehicleId: vehicle_id }, 404);
+    await client.query('SELECT id FROM shipments WHERE id = ANY($1) AND company_id = $2 FOR UPDATE', [ids, company.id]);
+
+    const [vehicle] = await freeVehicles(client, company.id, vehicle_id);
+    if (!vehicle) throw new TripError('Vehicle is not approved or is already in use', null, { vehicleId: vehicle_id }, 409);
+
+    const shipments = await consolidationCandidates(client, company.id, ids);
+    if (shipments.length !== ids.length) {
+      throw new TripError('Some shipments are no longer waiting to be planned', null, { shipmentIds: ids }, 409);
+    }
+    const problem = tripProblem(shipments, vehicle);
+    if (problem) throw new TripError(problem, null, { vehicleId: vehicle_id, shipmentIds: ids }, 409);
+
+    const route = solveRoute(shipments.flatMap(s => s.stops.map(stop => ({ ...stop, shipment_id: s.id }))));
+    const load = shipments.map(shipmentLoad).reduce((sum, l) => ({ weight: sum.weight + l.weight, volume: sum.volume + l.volume }), { weight: 0, volume: 0 });
+
+    const inserted = await client.query(`
+      INSERT INTO trips (company_id, vehicle_id, total_weight, total_volume, total_distance_km, estimated_duration_minutes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [company.id, vehicle_id, load.weight, load.volume, route.total_distance_km, route.estimated_duration_minutes, actorId]);
+    const created = inserted.rows[0];
+
+    for (const stop of route.stops) {
+      await client.query('INSERT INTO trip_stops (trip_id, stop_id, sequence) VALUES ($1, $2, $3)', [created.id, stop.id, stop.sequence]);
+    }
+    await client.query('UPDATE shipments SET trip_id = $1 WHERE id = ANY($2)', [created.id, ids]);
+    // Single-shipment offers still open for these shipments are withdrawn
+    await client.query(
+      "UPDATE dispatch_offers SET status = 'CANCELLED', responded_at = now() WHERE shipment_id = ANY($1) AND status = 'OFFERED'",
+      [ids]
+    );
+    return created;
+  });
+
+  logger.logBusinessEvent('trip', 'trip', 'created', { tripId: trip.id, companyId: company.id, vehicleId: vehicle_id, shipmentIds: ids, actorId });
+  return getTrip(company.id, trip.id);
+}
+
+/**
+ * A trip of the company with its vehicle, driver, shipments and ordered stops
+ */
+export async function getTrip(companyId, tripId) {
+  const result = await query(`${TRIP_DETAILS} WHERE t.id = $1 AND t.company_id = $2`, [tripId, companyId]);
+  if (!result.rows.length) throw new TripError('Trip not found', tripId, {}, 404);
+  return result.rows[0];
+}
+
+export async function listTrips(companyId) {
+  const result = await query(`
+    SELECT t.id, t.status, t.operator_id, t.total_weight, t.total_volume, t.total_distance_km, t.estimated_duration_minutes,
+           t.created_at, t.assigned_at, t.started_at, t.completed_at, t.cancelled_at,
+           v.reg_no AS vehicle_reg_no, v.type AS vehicle_type, o.name AS operator_name,
+           (SELECT COUNT(*)::int FROM shipments s WHERE s.trip_id = t.id) AS shipment_count
+    FROM trips t
+    LEFT JOIN vehicles v ON v.id = t.vehicle_id
+    LEFT JOIN operators o ON o.id = t.operator_id
+    WHERE t.company_id = $1
+    ORDER BY t.created_at DESC
+    LIMIT 50
+  `, [companyId]);
+  return result.rows;
+}
+
+// Member shipments locked in a stable order
+async function lockMembers(client, tripId) {
+  const result = await client.query('SELECT id, status FROM shipments WHERE trip_id = $1 ORDER BY id FOR UPDATE', [tripId]);
+  return result.rows;
+}
+
+/**
+ * Give a planned or assigned trip to one of the company's fleet drivers. Every member
+ * shipment is assigned to the driver with the trip's vehicle.
+ */
+export async function assignTrip(companyId, tripId, operatorId, actor = {}) {
+  if (!operatorId) throw new TripError('operator_id is required', tripId);
+
+  await withTransaction(async (client) => {
+    const tripResult = await client.query('SELECT * FROM trips WHERE id = $1 AND company_id = $2 FOR UPDATE', [tripId, companyId]);
+    const trip = tripResult.rows[0];
+    if (!trip) throw new TripError('Trip not found', tripId, {}, 404);
+    if (!['PLANNED', 'ASSIGNED'].includes(trip.status)) {
+      throw new TripError(`Trip is ${trip.status.toLowerCase()} and can no longer be assigned`, tripId, { status: trip.status }, 409);
+    }
+
+    const operator = await client.query(
+      "SELECT id FROM operators WHERE id = $1 AND company_id = $2 AND fleet_status = 'ACTIVE' FOR UPDATE",
+      [operatorId, companyId]
+    );
+    if (!operator.rows.length) throw new TripError('Driver not found in your fleet', tripId, { operatorId }, 404);
+    const busy = await client.query(
+      'SELECT id FROM trips WHERE operator_id = $1 AND status = ANY($2) AND id <> $3',
+      [operatorId, ACTIVE_TRIP_STATUSES, tripId]
+    );
+    if (busy.rows.length) throw new TripError('Driver is already on another trip', tripId, { operatorId }, 409);
+
+    for (const shipment of await lockMembers(client, tripId)) {
+      await transitionShipment(shipment.id, 'ASSIGNED', {
+        actor,
+        reason: `Assigned with trip ${tripId}`,
+        changes: { operator_id: operatorId, vehicle_id: trip.vehicle_id },
+        from: ['CREATED', 'ASSIGNED'],
+        tripId,
+        client
+      });
+    }
+    await client.query(
+      "UPDATE trips SET operator_id = $2, status = 'ASSIGNED', assigned_at = now() WHERE id = $1",
+      [tripId, operatorId]
+    );
+  });
+
+  logger.logBusinessEvent('trip', 'trip', 'assigned', { tripId, companyId, operatorId, actorUserId: actor.userId });
+}
+
+/**
+ * Cancel a trip before pickup. Its shipments lose their driver and return to the pool
+ * of waiting shipments.
+ */
+export async function cancelTrip(companyId, tripId, actor = {}) {
+  await withTransaction(async (client) => {
+    const tripResult = await client.query('SELECT status FROM trips WHERE id = $1 AND company_id = $2 FOR UPDATE', [tripId, companyId]);
+    if (!tripResult.rows.length) throw new TripError('Trip not found', tripId, {}, 404);
+    const { status } = tripResult.rows[0];
+    if (!['PLANNED', 'ASSIGNED'].includes(status)) {
+      throw new TripError(`Trip is ${status.toLowerCase()} and can no longer be cancelled`, tripId, { status }, 409);
+    }
+
+    if (status === 'ASSIGNED') {
+      for (const shipment of await lockMembers(client, tripId)) {
+        await transitionShipment(shipment.id, 'CREATED', {
+          actor,
+          reason: `Trip ${tripId} cancelled`,
+          changes: { operator_id: null },
+          tripId,
+          client
+        });
+      }
+    }
+    await client.query("UPDATE trips SET status = 'CANCELLED', cancelled_at = now() WHERE id = $1", [tripId]);
+    await client.query('DELETE FROM trip_stops WHERE trip_id = $1', [tripId]);
+    await client.query('UPDATE shipments SET trip_id = NULL WHERE trip_id = $1', [tripId]);
+  });
+
+  logger.logBusinessEvent('trip', 'trip', 'cancelled', { tripId, companyId, actorUserId: actor.userId });
+}
+
+/**
+ * Trips of a driver that are assigned or under way, with stops and shipments
+ */
+export async function operatorTrips(operatorId) {
+  const result = await query(
+    `${TRIP_DETAILS} WHERE t.operator_id = $1 AND t.status = ANY($2) ORDER BY t.assigned_at`,
+    [operatorId, ACTIVE_TRIP_STATUSES]
+  );
+  return result.rows;
+}
+
+async function operatorTrip(db, tripId, operatorId, lock = false) {
+  const result = await db.query(`SELECT * FROM trips WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [tripId]);
+  const trip = result.rows[0];
+  if (!trip) throw new TripError('Trip not found', tripId, {}, 404);
+  if (trip.operator_id !== operatorId) throw new TripError('Trip is not assigned to this operator', tripId, { operatorId }, 403);
+  if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) {
+    throw new TripError(`Trip is ${trip.status.toLowerCase()}`, tripId, { status: trip.status }, 409);
+  }
+  return trip;
+}
+
+/**
+ * Driver moves the trip's shipments to PICKUP or IN_TRANSIT. Shipments that cannot
+ * make the move (already past it) are left as they are.
+ */
+export async function updateTripStatus(tripId, operatorId, status, { actor = {}, reason = null, location = null } = {}) {
+  const moved = await withTransaction(async (client) => {
+    await operatorTrip(client, tripId, operatorId, true);
+    const members = (await lockMembers(client, tripId)).filter(shipment => canTransition(shipment.status, status));
+    if (!members.length) throw new TripError(`No shipment on this trip can move to ${status}`, tripId, { status }, 409);
+
+    for (const shipment of members) {
+      await transitionShipment(shipment.id, status, { actor, reason, location, operatorId, client });
+    }
+    return members.map(shipment => shipment.id);
+  });
+
+  logger.logBusinessEvent('trip', 'trip', 'status_updated', { tripId, operatorId, status, shipmentIds: moved });
+  return { shipment_ids: moved };
+}
+
+/**
+ * Store positions reported for the trip on every member shipment still being tracked,
+ * each with its own filtering, geofences and ETA
+ */
+export async function ingestTripPings(tripId, operatorId, points) {
+  await operatorTrip({ query }, tripId, operatorId);
+  const members = await query('SELECT id FROM shipments WHERE trip_id = $1 AND status = ANY($2)', [tripId, TRACKED_STATUSES]);
+  if (!members.rows.length) throw new TripError('No shipment on this trip is being tracked', tripId, {}, 409);
+
+  const shipments = [];
+  for (const { id } of members.rows) {
+    shipments.push({ shipment_id: id, ...await ingestPings(id, operatorId, points) });
+  }
+  return { accepted: Math.max(...shipments.map(s => s.accepted)), shipments };
+}
+
+export default {
+  createTrip,
+  getTrip,
+  listTrips,
+  assignTrip,
+  cancelTrip,
+  operatorTrips,
+  updateTripStatus,
+  ingestTripPings
+};
@@ -0,0 +1,276 @@
+// Two-Factor Authentication
+// TOTP (RFC 6238: HMAC-SHA1, 30 s steps, 6 digits) with one-time backup codes.
+// Mandatory for the roles in TWO_FACTOR_CONFIG.requiredRoles, optional for the other
+// allowed roles.
+
+import crypto from 'crypto';
+import { query, withTransaction } from '../db.js';
+import { generateChallengeToken } from '../utils/auth.js';
+import { TwoFactorError } from '../utils/errorTypes.js';
+import logger from '../utils/logger.js';
+
+export const TWO_FACTOR_CONFIG = {
+  issuer: process.env.TWO_FACTOR_ISSUER || 'TrackAS',
+  requiredRoles: ['ADMIN'],
+  allowedRoles: ['ADMIN', 'COMPANY'],
+  stepSeconds: 30,
+  digits: 6,
+  // Accept codes one step either side to absorb clock drift
+  window: 1,
+  challengeTtlSeconds: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS || '300', 10),
+  backupCodeCount: 10
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 without padding, the encoding authenticator apps expect. Pure function.
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(encoded) {
+  const clean = String(encoded).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * TOTP code of a base32 secret for one time step. Pure function.
+ */
+export function totpCode(secret, step, digits = TWO_FACTOR_CONFIG.digits) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TWO_FACTOR_CONFIG.stepSeconds);
+
+/**
+ * Time step the code matches within the drift window, or null. Pure function.
+ */
+export function matchTotp(secret, code, now = Date.now()) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== TWO_FACTOR_CONFIG.digits) return null;
+  const step = currentStep(now);
+  for (let drift = -TWO_FACTOR_CONFIG.window; drift <= TWO_FACTOR_CONFIG.window; drift++) {
+    const expected = totpCode(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step + drift;
+  }
+  return null;
+}
+
+export function otpauthUri(secret, accountName) {
+  const issuer = TWO_FACTOR_CONFIG.issuer;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR_CONFIG.digits),
+    period: String(TWO_FACTOR_CONFIG.stepSeconds)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Backup codes look like "3f9a-07c2"
+const newBackupCode = () => crypto.randomBytes(4).toString('hex').replace(/^(.{4})/, '$1-');
+
+async function loadUser(db, userId) {
+  const result = await db.query(
+    'SELECT id, email, role, totp_secret, totp_pending_secret, totp_enabled_at, totp_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+  if (!result.rows.length) throw new TwoFactorError('User not found', userId, {}, 404);
+  return result.rows[0];
+}
+
+export const twoFactorRequired = (user) => TWO_FACTOR_CONFIG.requiredRoles.includes(user.role);
+
+/**
+ * Whether a login for this user needs a second step, and whether it has to start with
+ * enrollment (a required role without 2FA set up yet)
+ */
+export async function loginChallengeFor(user) {
+  const row = await loadUser({ query }, user.id);
+  const enabled = Boolean(row.totp_enabled_at);
+  if (!enabled && !twoFactorRequired(row)) return null;
+
+  return {
+    two_factor_required: true,
+    enrollment_required: !enabled,
+    challenge_token: generateChallengeToken(
+      { id: row.id, email: row.email, role: row.role },
+      TWO_FACTOR_CONFIG.challengeTtlSeconds
+    ),
+    expires_in: TWO_FACTOR_CONFIG.challengeTtlSeconds
+  };
+}
+
+/**
+ * Generate a fresh secret for the user to scan. It takes effect once a code confirms it.
+ */
+export async function beginEnrollment(userId) {
+  const user = await loadUser({ query }, userId);
+  if (!TWO_FACTOR_CONFIG.allowedRoles.includes(user.role)) {
+    throw new TwoFactorError(`Two-factor authentication is not available for ${user.role} accounts`, userId, {}, 403);
+  }
+  if (user.totp_enabled_at) throw new TwoFactorError('Two-factor authentication is already enabled', userId, {}, 409);
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await query('UPDATE users SET totp_pending_secret = $2 WHERE id = $1', [userId, secret]);
+  return { secret, otpauth_uri: otpauthUri(secret, user.email) };
+}
+
+async function replaceBackupCodes(client, userId) {
+  const codes = Array.from({ length: TWO_FACTOR_CONFIG.backupCodeCount }, newBackupCode);
+  await client.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    'INSERT INTO user_backup_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+    [userId, codes.map(hashBackupCode)]
+  );
+  return codes;
+}
+
+/**
+ * Confirm enrollment with a code from the app. Enables 2FA and returns the backup codes,
+ * which are shown to the user once.
+ */
+export async function confirmEnrollment(userId, code) {
+  const codes = await withTransaction(async (client) => {
+    const user = await loadUser(client, userId);
+    if (user.totp_enabled_at) throw new TwoFactorError('Two-factor authentication is already enabled', userId, {}, 409);
+    if (!user.totp_pending_secret) throw new TwoFactorError('Start enrollment first', userId, {}, 409);
+
+    const step = matchTotp(user.totp_pending_secret, code);
+    if (step === null) throw new TwoFactorError('The verification code is not valid', userId);
+
+    await client.query(`
+      UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+        totp_enabled_at = now(), totp_last_step = $2
+      WHERE id = $1
+    `, [userId, step]);
+    return replaceBackupCodes(client, userId);
+  });
+
+  logger.logSecurityEvent('two_factor_enabled', 'account_protection', { userId });
+  return codes;
+}
+
+/**
+ * Check a TOTP code or an unused backup code. A TOTP code is accepted once; a backup
+ * code is used up. Returns the method used.
+ */
+export async function verifySecondFactor(userId, code) {
+  const user = await loadUser({ query }, userId);
+  if (!user.totp_enabled_at) throw new TwoFactorError('Two-factor authentication is not enabled', userId, {}, 409);
+
+  const step = matchTotp(user.totp_secret, code);
+  if (step !== null) {
+    const accepted = await query(
+      'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2) RETURNING id',
+      [userId, step]
+    );
+    if (accepted.rows.length) return 'totp';
+    throw new TwoFactorError('This code has already been used, wait for the next one', userId);
+  }
+
+  const backup = await query(
+    'UPDATE user_backup_codes SET used_at = now() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+    [userId, hashBackupCode(code)]
+  );
+  if (backup.rows.length) {
+    logger.logSecurityEvent('backup_code_used', 'account_protection', { userId });
+    return 'backup_code';
+  }
+
+  throw new TwoFactorError('The verification code is not valid', userId);
+}
+
+/**
+ * New set of backup codes (the old ones stop working); needs a current code
+ */
+export async function regenerateBackupCodes(userId, code) {
+  await verifySecondFactor(userId, code);
+  const codes = await withTransaction(client => replaceBackupCodes(client, userId));
+  logger.logSecurityEvent('backup_codes_regenerated', 'account_protection', { userId });
+  return codes;
+}
+
+/**
+ * Turn 2FA off; not allowed for roles that require it
+ */
+export async function disableTwoFactor(userId, code) {
+  const user = await loadUser({ query }, userId);
+  if (twoFactorRequired(user)) {
+    throw new TwoFactorError(`Two-factor authentication is mandatory for ${user.role} accounts`, userId, {}, 409);
+  }
+  await verifySecondFactor(userId, code);
+
+  await withTransaction(async (client) => {
+    await client.query(
+      'UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+      [userId]
+    );
+    await client.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+  });
+  logger.logSecurityEvent('two_factor_disabled', 'account_protection', { userId });
+}
+
+export async function twoFactorStatus(userId) {
+  const user = await loadUser({ query }, userId);
+  const remaining = await query('SELECT COUNT(*)::int AS count FROM user_backup_codes WHERE user_id = $1 AND used_at IS NULL', [userId]);
+  return {
+    enabled: Boolean(user.totp_enabled_at),
+    enabled_at: user.totp_enabled_at,
+    required: twoFactorRequired(user),
+    backup_codes_remaining: remaining.rows[0].count
+  };
+}
+
+export default {
+  TWO_FACTOR_CONFIG,
+  base32Encode,
+  base32Decode,
+  totpCode,
+  matchTotp,
+  otpauthUri,
+  twoFactorRequired,
+  loginChallengeFor,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  twoFactorStatus
+};
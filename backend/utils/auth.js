@@ -1,7 +1,12 @@
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import { query } from '../db.js';
+import { AuthenticationError, TwoFactorError } from './errorTypes.js';
 
+// The fallback is public, so production refuses to start without a real secret
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const SALT_ROUNDS = 12;
 
@@ -13,16 +18,36 @@ export async function verifyPassword(password, hashedPassword) {
   return await bcrypt.compare(password, hashedPassword);
 }
 
-export function generateToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
+// Short-lived access token; sessions are kept alive with refresh tokens (services/sessions.js)
+export function generateToken(payload, expiresInSeconds = 900) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: expiresInSeconds });
 }
 
 export function verifyToken(token) {
+  let decoded;
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     throw new Error('Invalid token');
   }
+  // Challenge tokens carry an audience and must not pass as access tokens
+  if (decoded.aud) throw new Error('Invalid token');
+  return decoded;
+}
+
+const CHALLENGE_AUDIENCE = 'login-challenge';
+
+// Issued after the password step of a two-factor login; only accepted by the second step
+export function generateChallengeToken(payload, expiresInSeconds) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: expiresInSeconds, audience: CHALLENGE_AUDIENCE });
+}
+
+export function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(String(token || ''), JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    throw new TwoFactorError('Login challenge is invalid or has expired, please log in again');
+  }
 }
 
 export async function authenticateUser(email, password) {
@@ -32,14 +57,14 @@ export async function authenticateUser(email, password) {
   );
   
   if (result.rows.length === 0) {
-    throw new Error('Invalid credentials');
+    throw new AuthenticationError('Invalid credentials', { email });
   }
   
   const user = result.rows[0];
   const isValidPassword = await verifyPassword(password, user.password);
   
   if (!isValidPassword) {
-    throw new Error('Invalid credentials');
+    throw new AuthenticationError('Invalid credentials', { email });
   }
   
   return {
@@ -153,6 +153,176 @@ export class BusinessLogicError extends BaseError {
   }
 }
 
+/**
+ * Shipment Transition Error
+ */
+export class ShipmentTransitionError extends BaseError {
+  constructor(message, from = null, to = null, context = {}, statusCode = 409) {
+    super(message, 'INVALID_SHIPMENT_TRANSITION', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      from,
+      to,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Quote Error
+ */
+export class QuoteError extends BaseError {
+  constructor(message, quoteId = null, context = {}, statusCode = 409) {
+    super(message, 'QUOTE_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      quoteId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Tracking Error
+ */
+export class TrackingError extends BaseError {
+  constructor(message, shipmentId = null, context = {}, statusCode = 403) {
+    super(message, 'TRACKING_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      shipmentId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Proof of Delivery Error
+ */
+export class ProofOfDeliveryError extends BaseError {
+  constructor(message, shipmentId = null, context = {}, statusCode = 400) {
+    super(message, 'POD_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      shipmentId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Storage Error
+ */
+export class StorageError extends BaseError {
+  constructor(message, key = null, context = {}, statusCode = 400) {
+    super(message, 'STORAGE_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.VALIDATION, {
+      key,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Document Error
+ */
+export class DocumentError extends BaseError {
+  constructor(message, documentId = null, context = {}, statusCode = 400) {
+    super(message, 'DOCUMENT_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      documentId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Session Error
+ */
+export class SessionError extends BaseError {
+  constructor(message, sessionId = null, context = {}, statusCode = 401) {
+    super(message, 'SESSION_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.AUTHENTICATION, {
+      sessionId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Account Error (password reset, email verification)
+ */
+export class AccountError extends BaseError {
+  constructor(message, userId = null, context = {}, statusCode = 400) {
+    super(message, 'ACCOUNT_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.AUTHENTICATION, {
+      userId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Two-Factor Error
+ */
+export class TwoFactorError extends BaseError {
+  constructor(message, userId = null, context = {}, statusCode = 401) {
+    super(message, 'TWO_FACTOR_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.AUTHENTICATION, {
+      userId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Team Error (company members and invitations)
+ */
+export class TeamError extends BaseError {
+  constructor(message, companyId = null, context = {}, statusCode = 400) {
+    super(message, 'TEAM_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      companyId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Fleet Error (a company's drivers and their vehicles)
+ */
+export class FleetError extends BaseError {
+  constructor(message, operatorId = null, context = {}, statusCode = 400) {
+    super(message, 'FLEET_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      operatorId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Trip Error (consolidated multi-shipment trips)
+ */
+export class TripError extends BaseError {
+  constructor(message, tripId = null, context = {}, statusCode = 400) {
+    super(message, 'TRIP_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      tripId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Stop Error (driver updates to individual pickup/drop stops)
+ */
+export class StopError extends BaseError {
+  constructor(message, stopId = null, context = {}, statusCode = 400) {
+    super(message, 'STOP_ERROR', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.BUSINESS_LOGIC, {
+      stopId,
+      ...context
+    });
+    this.statusCode = statusCode;
+  }
+}
+
 /**
  * Security Error
  */
@@ -192,6 +362,20 @@ export class RateLimitError extends BaseError {
   }
 }
 
+/**
+ * Login Throttle Error (too many failed logins for an account or IP)
+ */
+export class LoginThrottleError extends BaseError {
+  constructor(message, retryAfterSeconds, context = {}) {
+    super(message, 'LOGIN_THROTTLED', ERROR_SEVERITY.WARNING, ERROR_CATEGORY.SECURITY, {
+      retryAfterSeconds,
+      ...context
+    });
+    this.statusCode = 429;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
 /**
  * Timeout Error
  */
@@ -365,9 +549,23 @@ export class ErrorResponseFormatter {
       'DATABASE_ERROR': 'A database error occurred. Please try again later.',
       'EXTERNAL_API_ERROR': 'External service is temporarily unavailable.',
       'BUSINESS_LOGIC_ERROR': 'Unable to complete the requested operation.',
+      'INVALID_SHIPMENT_TRANSITION': 'This shipment cannot move to the requested status.',
+      'QUOTE_ERROR': 'The price quote is no longer valid. Please request a new quote.',
+      'TRACKING_ERROR': 'Location updates for this shipment could not be accepted.',
+      'POD_ERROR': 'Proof of delivery could not be recorded. Please check the details and try again.',
+      'STORAGE_ERROR': 'The file could not be uploaded. Please check its type and size.',
+      'DOCUMENT_ERROR': 'The document could not be processed. Please check the details and try again.',
+      'SESSION_ERROR': 'Your session has expired. Please log in again.',
+      'ACCOUNT_ERROR': 'This link is invalid or has expired. Please request a new one.',
+      'TWO_FACTOR_ERROR': 'The verification code is not valid. Please try again.',
+      'TEAM_ERROR': 'The team change could not be made. Please check the details and try again.',
+      'FLEET_ERROR': 'The fleet change could not be made. Please check the details and try again.',
+      'TRIP_ERROR': 'The trip could not be updated. Please check the details and try again.',
+      'STOP_ERROR': 'The stop could not be updated. Please check the details and try again.',
       'SECURITY_ERROR': 'Security violation detected.',
       'PERFORMANCE_ERROR': 'Request is taking longer than expected.',
       'RATE_LIMIT_ERROR': 'Too many requests. Please wait before trying again.',
+      'LOGIN_THROTTLED': 'Too many failed login attempts. Please wait before trying again.',
       'TIMEOUT_ERROR': 'Request timed out. Please try again.',
       'CIRCUIT_BREAKER_ERROR': 'Service is temporarily unavailable. Please try again later.'
     };
@@ -387,9 +585,23 @@ export default {
   DatabaseError,
   ExternalAPIError,
   BusinessLogicError,
+  ShipmentTransitionError,
+  QuoteError,
+  TrackingError,
+  ProofOfDeliveryError,
+  StorageError,
+  DocumentError,
+  SessionError,
+  AccountError,
+  TwoFactorError,
+  TeamError,
+  FleetError,
+  TripError,
+  StopError,
   SecurityError,
   PerformanceError,
   RateLimitError,
+  LoginThrottleError,
   TimeoutError,
   CircuitBreakerError,
   ErrorFactory,
@@ -0,0 +1,43 @@
+// Geographic helpers shared by dispatch, routing and tracking
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance in kilometres between two { lat, lng } points
+ */
+export function haversineKm(a, b) {
+  const dLat = toRadians(Number(b.lat) - Number(a.lat));
+  const dLng = toRadians(Number(b.lng) - Number(a.lng));
+  const lat1 = toRadians(Number(a.lat));
+  const lat2 = toRadians(Number(b.lat));
+
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Initial compass bearing in degrees (0-360, 0 = north) from a to b
+ */
+export function bearingDeg(a, b) {
+  const lat1 = toRadians(Number(a.lat));
+  const lat2 = toRadians(Number(b.lat));
+  const dLng = toRadians(Number(b.lng) - Number(a.lng));
+
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * True when the value looks like a usable { lat, lng } coordinate
+ */
+export function hasCoordinates(point) {
+  if (!point || point.lat == null || point.lng == null) return false;
+  const lat = Number(point.lat);
+  const lng = Number(point.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+export default { haversineKm, bearingDeg, hasCoordinates };
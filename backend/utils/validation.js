@@ -16,6 +16,20 @@ export const validateLogin = [
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ];
 
+export const validateForgotPassword = [
+  body('email').isEmail().normalizeEmail()
+];
+
+export const validatePasswordReset = [
+  body('token').isString().notEmpty().withMessage('Reset token required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+export const validateInvitationAcceptance = [
+  body('token').isString().notEmpty().withMessage('Invitation token required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
 export const validateCompanyRegistration = [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
@@ -50,5 +64,19 @@ export const validateShipment = [
   body('customer_name').trim().isLength({ min: 2 }).withMessage('Customer name required'),
   body('customer_phone').matches(/^[6-9]\d{9}$/).withMessage('Invalid customer phone'),
   body('customer_email').isEmail().withMessage('Invalid customer email'),
-  body('cost').isFloat({ min: 1 }).withMessage('Cost must be positive')
+  body('quote_id').isUUID().withMessage('A valid quote_id is required'),
+  body('promised_delivery_at').optional().isISO8601().withMessage('promised_delivery_at must be an ISO 8601 date')
+];
+
+export const validateQuote = [
+  body('pickup.lat').isFloat({ min: -90, max: 90 }).withMessage('Pickup latitude required'),
+  body('pickup.lng').isFloat({ min: -180, max: 180 }).withMessage('Pickup longitude required'),
+  body('drops').isArray({ min: 1 }).withMessage('At least one drop required'),
+  body('drops.*.lat').isFloat({ min: -90, max: 90 }).withMessage('Drop latitude required'),
+  body('drops.*.lng').isFloat({ min: -180, max: 180 }).withMessage('Drop longitude required'),
+  body('weight').isFloat({ min: 0.1 }).withMessage('Weight must be positive'),
+  body('length').optional().isFloat({ min: 0 }),
+  body('width').optional().isFloat({ min: 0 }),
+  body('height').optional().isFloat({ min: 0 }),
+  body('handling_flags').optional().isArray()
 ];
@@ -0,0 +1,276 @@
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { Mail, Lock, ArrowRight } from 'lucide-react';
+import Logo from './ui/Logo';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Card, { CardContent } from './ui/Card';
+
+// Forgot password, reset password and email verification screens shared by the admin,
+// company and driver portals, and the company team invitation screen. `portal` is the
+// path prefix ('admin', 'company', 'driver').
+
+function AccountCard({ title, subtitle, children }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-accent-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        <Card className="p-8 shadow-strong">
+          <CardContent>
+            <div className="text-center mb-8">
+              <Logo size="lg" className="justify-center mb-4" />
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">{title}</h2>
+              {subtitle && <p className="text-gray-600">{subtitle}</p>}
+            </div>
+            {children}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+function Notice({ error, message }) {
+  if (error) {
+    return (
+      <div className="rounded-lg bg-error-50 border border-error-200 p-4">
+        <div className="text-sm text-error-700">{error}</div>
+      </div>
+    );
+  }
+  if (message) {
+    return (
+      <div className="rounded-lg bg-green-50 border border-green-200 p-4">
+        <div className="text-sm text-green-700">{message}</div>
+      </div>
+    );
+  }
+  return null;
+}
+
+const BackToLogin = ({ portal }) => (
+  <div className="text-center">
+    <a href={`/${portal}/login`} className="text-primary-600 hover:text-primary-700 font-medium transition-colors">
+      Back to login
+    </a>
+  </div>
+);
+
+async function post(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.details?.[0]?.msg || data.error || 'Request failed');
+  return data;
+}
+
+export function ForgotPasswordForm({ portal }) {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const data = await post('/api/auth/forgot-password', { email });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AccountCard title="Forgot password" subtitle="We will email you a link to choose a new password">
+      <form className="space-y-6" onSubmit={submit}>
+        <Input
+          id="email"
+          name="email"
+          type="email"
+          label="Email Address"
+          placeholder="Enter your email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          leftIcon={<Mail className="h-5 w-5 text-gray-400" />}
+          required
+        />
+        <Notice error={error} message={message} />
+        <Button type="submit" size="lg" className="w-full" loading={loading} disabled={loading || Boolean(message)} variant="primary">
+          {loading ? 'Sending...' : 'Send reset link'}
+          <ArrowRight className="ml-2 h-5 w-5" />
+        </Button>
+        <BackToLogin portal={portal} />
+      </form>
+    </AccountCard>
+  );
+}
+
+export function ResetPasswordForm({ portal }) {
+  const router = useRouter();
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const data = await post('/api/auth/reset-password', { token: router.query.token, password });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AccountCard title="Choose a new password" subtitle="You will be logged out on all devices">
+      <form className="space-y-6" onSubmit={submit}>
+        <div className="space-y-4">
+          <Input
+            id="password"
+            name="password"
+            type="password"
+            label="New Password"
+            placeholder="At least 8 characters"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            leftIcon={<Lock className="h-5 w-5 text-gray-400" />}
+            required
+          />
+          <Input
+            id="confirm"
+            name="confirm"
+            type="password"
+            label="Confirm Password"
+            placeholder="Repeat the new password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            leftIcon={<Lock className="h-5 w-5 text-gray-400" />}
+            required
+          />
+        </div>
+        <Notice error={error} message={message} />
+        <Button type="submit" size="lg" className="w-full" loading={loading} disabled={loading || Boolean(message) || !router.query.token} variant="primary">
+          {loading ? 'Saving...' : 'Set new password'}
+          <ArrowRight className="ml-2 h-5 w-5" />
+        </Button>
+        <BackToLogin portal={portal} />
+      </form>
+    </AccountCard>
+  );
+}
+
+export function VerifyEmail({ portal }) {
+  const router = useRouter();
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  // The token is single-use, so it is submitted once even when effects run twice
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!router.isReady || submitted.current) return;
+    submitted.current = true;
+    post('/api/auth/verify-email', { token: router.query.token })
+      .then(() => setMessage('Your email address is confirmed. An admin will now review your account.'))
+      .catch(err => setError(err.message));
+  }, [router.isReady]);
+
+  return (
+    <AccountCard title="Email verification">
+      <div className="space-y-6">
+        {!error && !message && <p className="text-center text-gray-500">Confirming your email address...</p>}
+        <Notice error={error} message={message} />
+        <BackToLogin portal={portal} />
+      </div>
+    </AccountCard>
+  );
+}
+
+export function AcceptInvitationForm({ portal }) {
+  const router = useRouter();
+  const [invitation, setInvitation] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    post('/api/auth/invitations/lookup', { token: router.query.token })
+      .then(setInvitation)
+      .catch(err => setError(err.message));
+  }, [router.isReady]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const data = await post('/api/auth/invitations/accept', { token: router.query.token, password });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const subtitle = invitation && `Join ${invitation.company_name} as ${invitation.role.toLowerCase()} with ${invitation.email}`;
+
+  return (
+    <AccountCard title="Accept invitation" subtitle={subtitle}>
+      <form className="space-y-6" onSubmit={submit}>
+        <div className="space-y-4">
+          <Input
+            id="password"
+            name="password"
+            type="password"
+            label="Choose a Password"
+            placeholder="At least 8 characters"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            leftIcon={<Lock className="h-5 w-5 text-gray-400" />}
+            required
+          />
+          <Input
+            id="confirm"
+            name="confirm"
+            type="password"
+            label="Confirm Password"
+            placeholder="Repeat the password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            leftIcon={<Lock className="h-5 w-5 text-gray-400" />}
+            required
+          />
+        </div>
+        <Notice error={error} message={message} />
+        <Button type="submit" size="lg" className="w-full" loading={loading} disabled={loading || Boolean(message) || !invitation} variant="primary">
+          {loading ? 'Saving...' : 'Create login'}
+          <ArrowRight className="ml-2 h-5 w-5" />
+        </Button>
+        <BackToLogin portal={portal} />
+      </form>
+    </AccountCard>
+  );
+}
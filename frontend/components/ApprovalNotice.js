@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { authFetch } from '../lib/session';
+
+const MESSAGES = {
+  PENDING: {
+    title: 'Awaiting approval',
+    text: 'Your account is being reviewed. Upload the required documents below; you can start working once an admin approves them.',
+    style: 'bg-yellow-50 border-yellow-200 text-yellow-800'
+  },
+  REJECTED: {
+    title: 'Approval rejected',
+    text: 'Fix the issues below and resubmit your documents to be reviewed again.',
+    style: 'bg-red-50 border-red-200 text-red-800'
+  },
+  SUSPENDED: {
+    title: 'Account suspended',
+    text: 'Upload a renewed document to be reviewed again.',
+    style: 'bg-red-50 border-red-200 text-red-800'
+  }
+};
+
+/**
+ * "Awaiting approval" banner for the signed-in company or operator. `endpoint` returns
+ * the profile with its status and remarks; nothing is shown once it is APPROVED.
+ * Routes that need approval answer 403 with code APPROVAL_REQUIRED until then.
+ */
+export default function ApprovalNotice({ endpoint }) {
+  const [profile, setProfile] = useState(null);
+  const [resent, setResent] = useState(false);
+
+  useEffect(() => {
+    authFetch(endpoint)
+      .then(response => (response.ok ? response.json() : null))
+      .then(setProfile)
+      .catch(() => setProfile(null));
+  }, [endpoint]);
+
+  const resendVerification = async () => {
+    const response = await authFetch('/api/auth/verify-email/resend', { method: 'POST' });
+    if (response.ok) setResent(true);
+  };
+
+  const message = profile && MESSAGES[profile.status];
+  if (!message) return null;
+
+  return (
+    <div className={`border rounded-lg px-6 py-4 mb-8 ${message.style}`}>
+      <h3 className="font-medium">{message.title}</h3>
+      <p className="mt-1 text-sm">{message.text}</p>
+      {profile.remarks && <p className="mt-1 text-sm">Remarks: {profile.remarks}</p>}
+      {profile.email_verified === false && (
+        <p className="mt-2 text-sm">
+          Confirm your email address using the link we sent you; it is needed before approval.{' '}
+          {resent ? 'A new link is on its way.' : (
+            <button onClick={resendVerification} className="underline font-medium">Resend link</button>
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import Button from './ui/Button';
+import { authFetch } from '../lib/session';
+
+const ROLES = ['OWNER', 'DISPATCHER', 'FINANCE', 'VIEWER'];
+
+const ROLE_HINTS = {
+  OWNER: 'everything, including team and company documents',
+  DISPATCHER: 'shipments and vehicles',
+  FINANCE: 'payments, read-only shipments',
+  VIEWER: 'read-only'
+};
+
+/**
+ * Team members and open invitations of the signed-in user's company. Members with the
+ * team.manage permission can invite, change roles and remove members.
+ */
+export default function CompanyTeam() {
+  const [team, setTeam] = useState(null);
+  const [canManage, setCanManage] = useState(false);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('DISPATCHER');
+  const [error, setError] = useState('');
+
+  const loadTeam = () => {
+    authFetch('/api/company/team')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setTeam)
+      .catch(() => setTeam(null));
+  };
+
+  useEffect(() => {
+    loadTeam();
+    authFetch('/api/company/me')
+      .then(response => (response.ok ? response.json() : {}))
+      .then(profile => setCanManage(Boolean(profile.permissions?.includes('team.manage'))))
+      .catch(() => setCanManage(false));
+  }, []);
+
+  const send = async (url, method, body) => {
+    setError('');
+    const response = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.error || 'Request failed');
+      return false;
+    }
+    loadTeam();
+    return true;
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    if (await send('/api/company/team/invitations', 'POST', { email, role })) setEmail('');
+  };
+
+  if (!team) return null;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Team</h3>
+
+      <ul className="divide-y divide-gray-200">
+        {team.members.map(member => (
+          <li key={member.id} className="py-3 flex items-center justify-between">
+            <span className="text-sm text-gray-900">
+              {member.email}
+              {member.current && <span className="ml-2 text-gray-500">(you)</span>}
+            </span>
+            {canManage ? (
+              <div className="flex items-center gap-3">
+                <select
+                  value={member.role}
+                  onChange={(e) => send(`/api/company/team/members/${member.id}`, 'PATCH', { role: e.target.value })}
+                  className="border border-gray-300 rounded-md text-sm px-2 py-1"
+                >
+                  {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                {!member.current && (
+                  <button
+                    onClick={() => send(`/api/company/team/members/${member.id}`, 'DELETE')}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ) : (
+              <span className="text-sm text-gray-500">{member.role}</span>
+            )}
+          </li>
+        ))}
+        {team.invitations.map(invitation => (
+          <li key={invitation.id} className="py-3 flex items-center justify-between">
+            <span className="text-sm text-gray-500">
+              {invitation.email} · invited as {invitation.role}
+            </span>
+            {canManage && (
+              <button
+                onClick={() => send(`/api/company/team/invitations/${invitation.id}`, 'DELETE')}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Revoke
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={invite} className="mt-4 flex flex-wrap items-center gap-3">
+          <input
+            type="email"
+            placeholder="colleague@company.com"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="border border-gray-300 rounded-md text-sm px-3 py-2 w-64"
+            required
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="border border-gray-300 rounded-md text-sm px-2 py-2"
+          >
+            {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <Button type="submit" variant="primary">Invite</Button>
+          <p className="w-full text-xs text-gray-500">{role}: {ROLE_HINTS[role]}</p>
+        </form>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import Button from './ui/Button';
+import { authFetch } from '../lib/session';
+
+const percent = (value) => (value == null ? '-' : `${Math.round(value * 100)}%`);
+
+/**
+ * Packs the company's waiting shipments onto free vehicles. Each plan can be accepted
+ * as a trip; trips are listed below, where they are given to a fleet driver or cancelled.
+ */
+export default function ConsolidationPlanner() {
+  const [result, setResult] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTrips = () => {
+    authFetch('/api/company/trips')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setTrips)
+      .catch(() => setTrips([]));
+  };
+
+  useEffect(() => {
+    loadTrips();
+    authFetch('/api/company/fleet')
+      .then(response => (response.ok ? response.json() : []))
+      .then(fleet => setDrivers(fleet.filter(driver => driver.fleet_status === 'ACTIVE')))
+      .catch(() => setDrivers([]));
+  }, []);
+
+  const send = async (url, method, body) => {
+    setError('');
+    const response = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.error || 'Request failed');
+      return null;
+    }
+    return data;
+  };
+
+  const plan = async () => {
+    setPlanning(true);
+    const data = await send('/api/company/consolidation/plan', 'GET');
+    if (data) setResult(data);
+    setPlanning(false);
+  };
+
+  const accept = async (tripPlan) => {
+    const trip = await send('/api/company/trips', 'POST', { vehicle_id: tripPlan.vehicle.id, shipment_ids: tripPlan.shipment_ids });
+    if (!trip) return;
+    loadTrips();
+    plan();
+  };
+
+  const cancel = async (tripId) => {
+    if (await send(`/api/company/trips/${tripId}/cancel`, 'POST')) loadTrips();
+  };
+
+  const assign = async (tripId, operatorId) => {
+    if (operatorId && await send(`/api/company/trips/${tripId}/assign`, 'POST', { operator_id: operatorId })) loadTrips();
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Load consolidation</h3>
+        <Button variant="outline" onClick={plan} loading={planning} disabled={planning}>
+          {planning ? 'Planning...' : 'Plan trips'}
+        </Button>
+      </div>
+
+      {result && (
+        <div className="space-y-4 mb-6">
+          {result.plans.length === 0 && (
+            <p className="text-sm text-gray-500">No shipments can currently share a vehicle.</p>
+          )}
+          {result.plans.map(tripPlan => (
+            <div key={tripPlan.vehicle.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between">
+                <div className="text-sm">
+                  <div className="font-medium text-gray-900">
+                    {tripPlan.vehicle.reg_no} ({tripPlan.vehicle.type}) · {tripPlan.shipments.length} shipments
+                  </div>
+                  <div className="text-gray-500">
+                    {tripPlan.total_weight} kg ({percent(tripPlan.utilization.weight)}) · {tripPlan.total_volume} m³ ({percent(tripPlan.utilization.volume)})
+                    {' '}· {tripPlan.total_distance_km} km · ~{tripPlan.estimated_duration_minutes} min
+                  </div>
+                </div>
+                <Button variant="primary" onClick={() => accept(tripPlan)}>Create trip</Button>
+              </div>
+              <ol className="mt-3 text-sm text-gray-700 list-decimal list-inside space-y-1">
+                {tripPlan.stops.map(stop => (
+                  <li key={stop.id}>
+                    <span className="text-gray-500">{stop.kind === 'PICKUP' ? 'Pick up' : 'Drop'}</span> {stop.address}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+          {result.unplanned.length > 0 && (
+            <p className="text-sm text-gray-500">
+              {result.unplanned.length} shipment(s) left out: {[...new Set(result.unplanned.map(u => u.reason))].join('; ')}.
+            </p>
+          )}
+          {result.skipped_vehicles.length > 0 && (
+            <p className="text-sm text-gray-500">
+              {result.skipped_vehicles.length} vehicle(s) skipped because they have no recorded capacity.
+            </p>
+          )}
+        </div>
+      )}
+
+      {trips.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {trips.map(trip => (
+            <li key={trip.id} className="py-3 flex items-center justify-between text-sm">
+              <span className="text-gray-900">
+                {trip.vehicle_reg_no || 'No vehicle'} · {trip.shipment_count} shipments · {trip.total_distance_km} km
+                <span className="ml-2 text-gray-500">{trip.status}{trip.operator_name && ` · ${trip.operator_name}`}</span>
+              </span>
+              {['PLANNED', 'ASSIGNED'].includes(trip.status) && (
+                <div className="flex items-center gap-3">
+                  <select
+                    value={trip.operator_id || ''}
+                    onChange={(e) => assign(trip.id, e.target.value)}
+                    className="border border-gray-300 rounded-md text-sm px-2 py-1"
+                  >
+                    <option value="">Choose driver</option>
+                    {drivers.map(driver => <option key={driver.id} value={driver.id}>{driver.name}</option>)}
+                  </select>
+                  <button onClick={() => cancel(trip.id)} className="text-red-600 hover:text-red-800">Cancel</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
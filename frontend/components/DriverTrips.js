@@ -0,0 +1,234 @@
+import { useState, useEffect } from 'react';
+import Button from './ui/Button';
+import { authFetch } from '../lib/session';
+
+const STOP_LABELS = { ARRIVED: 'On site', DEPARTED: 'Left', COMPLETED: 'Done', FAILED: 'Failed' };
+
+function currentPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) return reject(new Error('Location is not available on this device'));
+    navigator.geolocation.getCurrentPosition(
+      ({ coords, timestamp }) => resolve({
+        lat: coords.latitude,
+        lng: coords.longitude,
+        accuracy: coords.accuracy,
+        speed: coords.speed,
+        heading: coords.heading,
+        timestamp: new Date(timestamp).toISOString()
+      }),
+      () => reject(new Error('Could not read your location'))
+    );
+  });
+}
+
+// Proof of delivery for one drop: the recipient's OTP plus a photo
+function DropDelivery({ stop, onDone, onError }) {
+  const [recipient, setRecipient] = useState('');
+  const [otp, setOtp] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [sentTo, setSentTo] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const sendCode = async () => {
+    const response = await authFetch(`/api/shipments/${stop.shipment_id}/pod/otp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stop_id: stop.id })
+    });
+    const data = await response.json();
+    if (response.ok) setSentTo(data.phone);
+    else onError(data.error || 'Could not send the code');
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const position = await currentPosition().catch(() => null);
+    const form = new FormData();
+    form.append('stop_id', stop.id);
+    form.append('recipient_name', recipient);
+    form.append('otp', otp);
+    form.append('photos', photo);
+    if (position) {
+      form.append('lat', position.lat);
+      form.append('lng', position.lng);
+    }
+    const response = await authFetch(`/api/shipments/${stop.shipment_id}/pod`, { method: 'POST', body: form });
+    const data = await response.json();
+    setSubmitting(false);
+    if (response.ok) onDone();
+    else onError(data.error || 'Could not record the delivery');
+  };
+
+  return (
+    <form onSubmit={submit} className="mt-2 ml-5 flex flex-wrap items-center gap-3">
+      <Button type="button" variant="outline" onClick={sendCode}>{sentTo ? 'Resend code' : 'Send code'}</Button>
+      {sentTo && <span className="text-gray-500">Sent to {sentTo}</span>}
+      <input
+        placeholder="Recipient name"
+        value={recipient}
+        onChange={(e) => setRecipient(e.target.value)}
+        className="border border-gray-300 rounded-md text-sm px-2 py-1"
+        required
+      />
+      <input
+        placeholder="Code"
+        inputMode="numeric"
+        value={otp}
+        onChange={(e) => setOtp(e.target.value)}
+        className="border border-gray-300 rounded-md text-sm px-2 py-1 w-24"
+        required
+      />
+      <input type="file" accept="image/*" capture="environment" onChange={(e) => setPhoto(e.target.files[0] || null)} required />
+      <Button type="submit" variant="primary" loading={submitting} disabled={submitting}>Delivered</Button>
+    </form>
+  );
+}
+
+/**
+ * Trips assigned to the signed-in driver. Location updates are sent once per trip and
+ * apply to all its shipments; stops are worked one by one in trip order, each drop
+ * with its own proof of delivery.
+ */
+export default function DriverTrips() {
+  const [trips, setTrips] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [delivering, setDelivering] = useState(null);
+
+  const loadTrips = () => {
+    authFetch('/api/operator/trips')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setTrips)
+      .catch(() => setTrips([]));
+  };
+
+  useEffect(loadTrips, []);
+
+  const post = async (url, body) => {
+    setError('');
+    setNotice('');
+    const response = await authFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.error || 'Request failed');
+      return null;
+    }
+    return data;
+  };
+
+  const updateStop = async (stop, action, reason) => {
+    const position = await currentPosition().catch(() => null);
+    const data = await post(`/api/shipments/${stop.shipment_id}/stops/${stop.id}/${action}`, {
+      reason,
+      lat: position?.lat,
+      lng: position?.lng
+    });
+    if (data) loadTrips();
+  };
+
+  const failDrop = (stop) => {
+    const reason = window.prompt('Why could this drop not be delivered?');
+    if (reason) updateStop(stop, 'fail', reason);
+  };
+
+  const finishShipment = async (shipment) => {
+    const position = await currentPosition().catch(() => null);
+    const data = await post(`/api/shipments/${shipment.id}/finish`, { lat: position?.lat, lng: position?.lng });
+    if (data) {
+      setNotice(data.shipment_status === 'DELIVERED' ? 'Shipment closed as partially delivered' : 'Shipment closed as not delivered');
+      loadTrips();
+    }
+  };
+
+  // In-transit shipments whose drops are all done but some failed; failed drops can
+  // still be retried until the driver finishes the shipment
+  const finishable = (trip) => (trip.shipments || []).filter(shipment => {
+    const drops = (trip.stops || []).filter(stop => stop.shipment_id === shipment.id && stop.kind === 'DROP');
+    return shipment.status === 'IN_TRANSIT' && drops.length > 0 &&
+      drops.every(stop => ['COMPLETED', 'FAILED'].includes(stop.status)) &&
+      drops.some(stop => stop.status === 'FAILED');
+  });
+
+  const delivered = () => {
+    setDelivering(null);
+    setNotice('Delivery recorded');
+    loadTrips();
+  };
+
+  // Drops open up once their shipment's pickup is done
+  const stopActions = (trip, stop) => {
+    if (stop.status === 'COMPLETED') return null;
+    const shipment = (trip.shipments || []).find(s => s.id === stop.shipment_id);
+    if (stop.kind === 'DROP' && shipment?.status !== 'IN_TRANSIT') return null;
+    const canArrive = ['PENDING', 'DEPARTED', 'FAILED'].includes(stop.status);
+    return (
+      <span className="ml-3 space-x-3">
+        {canArrive && <button onClick={() => updateStop(stop, 'arrive')} className="text-blue-600 hover:text-blue-800">Arrived</button>}
+        {stop.kind === 'PICKUP' && <button onClick={() => updateStop(stop, 'complete')} className="text-blue-600 hover:text-blue-800">Picked up</button>}
+        {stop.kind === 'DROP' && <button onClick={() => setDelivering(stop.id)} className="text-blue-600 hover:text-blue-800">Deliver</button>}
+        {stop.kind === 'DROP' && stop.status !== 'FAILED' && <button onClick={() => failDrop(stop)} className="text-red-600 hover:text-red-800">Failed</button>}
+      </span>
+    );
+  };
+
+  const shareLocation = async (trip) => {
+    try {
+      const data = await post(`/api/operator/trips/${trip.id}/pings`, { points: [await currentPosition()] });
+      if (data) setNotice(`Location sent for ${data.shipments.length} shipment(s)`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!trips.length) return null;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">My Trips</h3>
+      <div className="space-y-6">
+        {trips.map(trip => (
+          <div key={trip.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="text-sm">
+                <div className="font-medium text-gray-900">
+                  {trip.vehicle_reg_no || 'No vehicle'} · {(trip.shipments || []).length} shipments
+                </div>
+                <div className="text-gray-500">
+                  {trip.status === 'ASSIGNED' ? 'Not started' : 'In progress'} · {trip.total_distance_km} km · ~{trip.estimated_duration_minutes} min
+                </div>
+              </div>
+              <Button variant="outline" onClick={() => shareLocation(trip)}>Send location</Button>
+            </div>
+            <ol className="mt-3 text-sm text-gray-700 list-decimal list-inside space-y-1">
+              {(trip.stops || []).map(stop => (
+                <li key={stop.id}>
+                  <span className="text-gray-500">{stop.kind === 'PICKUP' ? 'Pick up' : 'Drop'}</span> {stop.address}
+                  {STOP_LABELS[stop.status] && (
+                    <span className={`ml-2 ${stop.status === 'FAILED' ? 'text-red-600' : 'text-gray-500'}`}>
+                      · {STOP_LABELS[stop.status]}{stop.failure_reason && stop.status === 'FAILED' && `: ${stop.failure_reason}`}
+                    </span>
+                  )}
+                  {stopActions(trip, stop)}
+                  {delivering === stop.id && <DropDelivery stop={stop} onDone={delivered} onError={setError} />}
+                </li>
+              ))}
+            </ol>
+            {finishable(trip).map(shipment => (
+              <div key={shipment.id} className="mt-3 flex items-center gap-3 text-sm">
+                <span className="text-gray-700">{shipment.title || 'Shipment'}: failed drops left</span>
+                <Button variant="outline" onClick={() => finishShipment(shipment)}>Finish without them</Button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      {notice && <p className="mt-3 text-sm text-green-700">{notice}</p>}
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
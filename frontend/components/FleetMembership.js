@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { authFetch } from '../lib/session';
+
+/**
+ * Fleet invitation or membership of the signed-in driver: accept or decline an
+ * invitation, or leave the fleet. Nothing is shown for independent drivers.
+ */
+export default function FleetMembership() {
+  const [fleet, setFleet] = useState(null);
+
+  const loadFleet = () => {
+    authFetch('/api/operator/fleet')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setFleet)
+      .catch(() => setFleet(null));
+  };
+
+  useEffect(loadFleet, []);
+
+  const respond = async (decision) => {
+    const response = await authFetch(`/api/operator/fleet/${decision}`, { method: 'POST' });
+    if (response.ok) loadFleet();
+  };
+
+  if (!fleet) return null;
+
+  if (fleet.fleet_status === 'INVITED') {
+    return (
+      <div className="border rounded-lg px-6 py-4 mb-8 bg-blue-50 border-blue-200 text-blue-800">
+        <h3 className="font-medium">Fleet invitation</h3>
+        <p className="mt-1 text-sm">{fleet.company_name} has invited you to drive for their fleet. They will assign the vehicle you drive.</p>
+        <div className="mt-3 flex gap-3">
+          <button onClick={() => respond('accept')} className="px-3 py-1 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">
+            Accept
+          </button>
+          <button onClick={() => respond('leave')} className="px-3 py-1 rounded-md border border-blue-300 text-sm font-medium hover:bg-blue-100">
+            Decline
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border rounded-lg px-6 py-4 mb-8 bg-white border-gray-200 text-gray-700 flex items-center justify-between">
+      <p className="text-sm">You drive for <span className="font-medium">{fleet.company_name}</span>.</p>
+      <button onClick={() => respond('leave')} className="text-sm text-red-600 hover:text-red-800">Leave fleet</button>
+    </div>
+  );
+}
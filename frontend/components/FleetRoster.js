@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import Button from './ui/Button';
+import { authFetch } from '../lib/session';
+
+const SHIPMENT_LABELS = { ASSIGNED: 'Assigned', PICKUP: 'At pickup', IN_TRANSIT: 'In transit' };
+
+/**
+ * The company's drivers with their vehicle, current trip and last ping. `vehicles` are
+ * the company's vehicles offered in the assignment dropdown (approved ones only).
+ */
+export default function FleetRoster({ vehicles = [] }) {
+  const [drivers, setDrivers] = useState(null);
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+
+  const loadFleet = () => {
+    authFetch('/api/company/fleet')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setDrivers)
+      .catch(() => setDrivers(null));
+  };
+
+  useEffect(loadFleet, []);
+
+  const send = async (url, method, body) => {
+    setError('');
+    const response = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.error || 'Request failed');
+      return false;
+    }
+    loadFleet();
+    return true;
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    if (await send('/api/company/fleet/invitations', 'POST', { email })) setEmail('');
+  };
+
+  if (!drivers) return null;
+
+  const approvedVehicles = vehicles.filter(vehicle => vehicle.status === 'APPROVED');
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-medium text-gray-900">Fleet</h3>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vehicle</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current trip</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last seen</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {drivers.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-6 py-4 text-sm text-gray-500">No drivers in your fleet yet.</td>
+              </tr>
+            )}
+            {drivers.map(driver => (
+              <tr key={driver.id}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  <div className="font-medium text-gray-900">{driver.name}</div>
+                  <div className="text-gray-500">
+                    {driver.fleet_status === 'INVITED' ? `Invited · ${driver.email}` : `${driver.online ? 'Online' : 'Offline'} · ${driver.mobile || driver.email}`}
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {driver.fleet_status === 'ACTIVE' ? (
+                    <select
+                      value={driver.vehicle_id || ''}
+                      onChange={(e) => send(`/api/company/fleet/${driver.id}/vehicle`, 'PUT', { vehicle_id: e.target.value || null })}
+                      className="border border-gray-300 rounded-md text-sm px-2 py-1"
+                    >
+                      <option value="">No vehicle</option>
+                      {driver.vehicle_id && !approvedVehicles.some(v => v.id === driver.vehicle_id) && (
+                        <option value={driver.vehicle_id}>{driver.vehicle_reg_no}</option>
+                      )}
+                      {approvedVehicles.map(vehicle => (
+                        <option key={vehicle.id} value={vehicle.id}>{vehicle.reg_no} ({vehicle.type})</option>
+                      ))}
+                    </select>
+                  ) : '-'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {driver.current_shipment_id ? (
+                    <a href={`/track/${driver.current_shipment_id}`} className="text-blue-600 hover:text-blue-900">
+                      {SHIPMENT_LABELS[driver.current_shipment_status]}
+                      {driver.current_shipment_vehicle_reg_no && ` · ${driver.current_shipment_vehicle_reg_no}`}
+                    </a>
+                  ) : 'Available'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {driver.last_ping_at ? new Date(driver.last_ping_at).toLocaleString() : '-'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                  <button
+                    onClick={() => send(`/api/company/fleet/${driver.id}`, 'DELETE')}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    {driver.fleet_status === 'INVITED' ? 'Withdraw' : 'Remove'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <form onSubmit={invite} className="px-6 py-4 border-t border-gray-200 flex flex-wrap items-center gap-3">
+        <input
+          type="email"
+          placeholder="Driver's registered email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="border border-gray-300 rounded-md text-sm px-3 py-2 w-64"
+          required
+        />
+        <Button type="submit" variant="primary">Invite driver</Button>
+        {error && <p className="w-full text-sm text-red-600">{error}</p>}
+      </form>
+    </div>
+  );
+}
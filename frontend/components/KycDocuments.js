@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { authFetch } from '../lib/session';
+
+const STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  ACCEPTED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800'
+};
+
+// Open a document through its short-lived signed URL
+export async function openDocument(documentId) {
+  const response = await authFetch(`/api/documents/${documentId}/download`);
+  const data = await response.json();
+  if (response.ok) window.open(data.url, '_blank', 'noopener');
+  else alert(data.error || 'Failed to open document');
+}
+
+function SlotRow({ slot, endpoint, onUploaded }) {
+  const [file, setFile] = useState(null);
+  const [expiresOn, setExpiresOn] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const { document } = slot;
+
+  const upload = async (e) => {
+    e.preventDefault();
+    setUploading(true);
+    setError('');
+    try {
+      const form = new FormData();
+      form.append('doc_type', slot.doc_type);
+      form.append('expires_on', expiresOn);
+      form.append('file', file);
+      const response = await authFetch(endpoint, { method: 'POST', body: form });
+      const data = await response.json();
+      if (response.ok) {
+        setFile(null);
+        setExpiresOn('');
+        onUploaded();
+      } else {
+        setError(data.error || 'Upload failed');
+      }
+    } catch (err) {
+      setError('Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="py-4 border-b border-gray-100 last:border-0">
+      <div className="flex items-center justify-between">
+        <div>
+          <span className="font-medium text-gray-900">{slot.label}</span>
+          {slot.required && <span className="ml-2 text-xs text-gray-500">required</span>}
+        </div>
+        {document ? (
+          <div className="flex items-center gap-3 text-sm">
+            <span className="text-gray-500">Expires {document.expires_on}</span>
+            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[document.status]}`}>{document.status}</span>
+            <button onClick={() => openDocument(document.id)} className="text-blue-600 hover:text-blue-800">View</button>
+          </div>
+        ) : (
+          <span className="text-sm text-gray-500">Not uploaded</span>
+        )}
+      </div>
+
+      {slot.accepted && slot.accepted.id !== document.id && (
+        <p className="mt-1 text-sm text-gray-500">Accepted document valid until {slot.accepted.expires_on}</p>
+      )}
+      {document?.status === 'REJECTED' && document.remarks && (
+        <p className="mt-1 text-sm text-red-600">Rejected: {document.remarks}</p>
+      )}
+
+      <form onSubmit={upload} className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        <input type="file" accept="application/pdf,image/jpeg,image/png,image/webp" onChange={(e) => setFile(e.target.files[0] || null)} required />
+        <label className="text-gray-500">
+          Expiry date
+          <input type="date" value={expiresOn} onChange={(e) => setExpiresOn(e.target.value)} className="ml-2 border border-gray-300 rounded-md px-2 py-1" required />
+        </label>
+        <button type="submit" disabled={uploading || !file} className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50">
+          {uploading ? 'Uploading...' : document ? 'Resubmit' : 'Upload'}
+        </button>
+        {error && <span className="text-red-600">{error}</span>}
+      </form>
+    </div>
+  );
+}
+
+/**
+ * KYC document slots of the signed-in owner. `endpoint` serves the slots (GET) and
+ * accepts uploads (POST multipart: file, doc_type, expires_on).
+ */
+export default function KycDocuments({ title = 'Documents', endpoint }) {
+  const [slots, setSlots] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchSlots = async () => {
+    try {
+      const response = await authFetch(endpoint);
+      const data = await response.json();
+      if (response.ok) setSlots(data);
+      else setError(data.error || 'Failed to load documents');
+    } catch (err) {
+      setError('Failed to load documents');
+    }
+  };
+
+  useEffect(() => {
+    fetchSlots();
+  }, [endpoint]);
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+      </div>
+      <div className="px-6">
+        {error && <p className="py-4 text-red-600">{error}</p>}
+        {!error && !slots && <p className="py-4 text-gray-500">Loading documents...</p>}
+        {slots && slots.map(slot => (
+          <SlotRow key={slot.doc_type} slot={slot} endpoint={endpoint} onUploaded={fetchSlots} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect, useMemo } from 'react';
+import { authFetch } from '../lib/session';
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const PADDING = 16;
+
+// Fit lat/lng into the SVG box, keeping the aspect ratio of the area
+function projectPoints(points) {
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const cosLat = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+  const spanX = Math.max((maxLng - minLng) * cosLat, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((WIDTH - 2 * PADDING) / spanX, (HEIGHT - 2 * PADDING) / spanY);
+
+  return (point) => ({
+    x: PADDING + (point.lng - minLng) * cosLat * scale,
+    y: HEIGHT - PADDING - (point.lat - minLat) * scale
+  });
+}
+
+export default function RouteReplay({ shipmentId, onClose }) {
+  const [trail, setTrail] = useState(null);
+  const [error, setError] = useState('');
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    const fetchTrail = async () => {
+      try {
+        const response = await authFetch(`/api/shipments/${shipmentId}/trail?tolerance=5`);
+        const data = await response.json();
+        if (response.ok) {
+          setTrail(data);
+          setPosition(0);
+        } else {
+          setError(data.error || 'Failed to load trail');
+        }
+      } catch (err) {
+        setError('Failed to load trail');
+      }
+    };
+    fetchTrail();
+  }, [shipmentId]);
+
+  useEffect(() => {
+    if (!playing || !trail) return;
+    const timer = setInterval(() => {
+      setPosition(current => {
+        if (current >= trail.points.length - 1) {
+          setPlaying(false);
+          return current;
+        }
+        return current + 1;
+      });
+    }, 200);
+    return () => clearInterval(timer);
+  }, [playing, trail]);
+
+  const project = useMemo(() => (trail && trail.points.length ? projectPoints(trail.points) : null), [trail]);
+
+  const download = async (format) => {
+    const response = await authFetch(`/api/shipments/${shipmentId}/trail?format=${format}`);
+    if (!response.ok) return;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `shipment-${shipmentId}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const toPath = (points) => points.map(p => project(p)).map(({ x, y }) => `${x},${y}`).join(' ');
+
+  const current = trail?.points[position];
+  const previous = position > 0 ? trail.points[position - 1] : null;
+  const segmentSpeed = current && previous
+    ? (() => {
+        const hours = (new Date(current.ts) - new Date(previous.ts)) / 3600000;
+        const km = Math.hypot(
+          (current.lat - previous.lat) * 111.32,
+          (current.lng - previous.lng) * 111.32 * Math.cos(current.lat * Math.PI / 180)
+        );
+        return hours > 0 ? km / hours : null;
+      })()
+    : null;
+  const speedKmh = current?.speed_mps != null ? current.speed_mps * 3.6 : segmentSpeed;
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Route Replay</h3>
+        <div className="space-x-2">
+          <button onClick={() => download('geojson')} className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50">
+            GeoJSON
+          </button>
+          <button onClick={() => download('gpx')} className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50">
+            GPX
+          </button>
+          <button onClick={onClose} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6">
+        {error && <p className="text-red-600">{error}</p>}
+        {!error && !trail && <p className="text-gray-500">Loading trail...</p>}
+        {trail && trail.points.length === 0 && <p className="text-gray-500">No location pings recorded for this shipment</p>}
+
+        {trail && trail.points.length > 0 && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
+              <div><span className="text-gray-500">Distance</span><div className="font-medium">{trail.stats.distance_km} km</div></div>
+              <div><span className="text-gray-500">Duration</span><div className="font-medium">{trail.stats.duration_minutes} min</div></div>
+              <div><span className="text-gray-500">Max speed</span><div className="font-medium">{trail.stats.max_speed_kmh} km/h</div></div>
+              <div><span className="text-gray-500">Stops</span><div className="font-medium">{trail.stats.stops.length}</div></div>
+            </div>
+
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full border border-gray-200 rounded-md bg-gray-50">
+              <polyline points={toPath(trail.points)} fill="none" stroke="#d1d5db" strokeWidth="3" />
+              <polyline points={toPath(trail.points.slice(0, position + 1))} fill="none" stroke="#2563eb" strokeWidth="3" />
+              {trail.stats.stops.map((stop) => {
+                const { x, y } = project(stop);
+                return (
+                  <circle key={stop.started_at} cx={x} cy={y} r="6" fill="#f59e0b">
+                    <title>Stopped {stop.duration_minutes} min from {new Date(stop.started_at).toLocaleTimeString()}</title>
+                  </circle>
+                );
+              })}
+              {current && (
+                <circle cx={project(current).x} cy={project(current).y} r="7" fill="#1d4ed8" stroke="#fff" strokeWidth="2" />
+              )}
+            </svg>
+
+            <div className="flex items-center gap-4 mt-4">
+              <button
+                onClick={() => {
+                  if (position >= trail.points.length - 1) setPosition(0);
+                  setPlaying(!playing);
+                }}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700"
+              >
+                {playing ? 'Pause' : 'Play'}
+              </button>
+              <input
+                type="range"
+                min="0"
+                max={trail.points.length - 1}
+                value={position}
+                onChange={(e) => {
+                  setPlaying(false);
+                  setPosition(Number(e.target.value));
+                }}
+                className="flex-1"
+              />
+            </div>
+
+            {current && (
+              <p className="text-sm text-gray-600 mt-2">
+                {new Date(current.ts).toLocaleString()}
+                {speedKmh != null && ` · ${speedKmh.toFixed(1)} km/h`}
+                {' · '}{Number(current.lat).toFixed(5)}, {Number(current.lng).toFixed(5)}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
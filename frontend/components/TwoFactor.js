@@ -0,0 +1,222 @@
+import { useState, useEffect, useRef } from 'react';
+import { KeyRound, ArrowRight } from 'lucide-react';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import { authFetch } from '../lib/session';
+
+// Second login step and two-factor settings. Codes come from an authenticator app
+// (TOTP); a one-time backup code works wherever a code is asked for.
+
+async function postJson(fetcher, url, body) {
+  const response = await fetcher(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+const ErrorNotice = ({ error }) => error ? (
+  <div className="rounded-lg bg-error-50 border border-error-200 p-4">
+    <div className="text-sm text-error-700">{error}</div>
+  </div>
+) : null;
+
+function EnrollmentSecret({ secret, otpauthUri }) {
+  return (
+    <div className="rounded-lg bg-gray-50 border border-gray-200 p-4 text-sm text-gray-700 space-y-2">
+      <p>Add this account to your authenticator app, then enter the code it shows.</p>
+      <p>
+        Setup key: <span className="font-mono font-semibold break-all">{secret}</span>
+      </p>
+      <p>
+        <a href={otpauthUri} className="text-primary-600 hover:text-primary-700 font-medium">Open in authenticator app</a>
+      </p>
+    </div>
+  );
+}
+
+export function BackupCodes({ codes, onDone }) {
+  return (
+    <div className="space-y-4">
+      <div className="rounded-lg bg-yellow-50 border border-yellow-200 p-4 text-sm text-yellow-800">
+        Save these backup codes somewhere safe. Each one can be used once if you lose your
+        authenticator; they will not be shown again.
+      </div>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-center">
+        {codes.map(code => (
+          <li key={code} className="bg-gray-50 border border-gray-200 rounded px-2 py-1">{code}</li>
+        ))}
+      </ul>
+      {onDone && (
+        <Button size="lg" className="w-full" variant="primary" onClick={onDone}>
+          I have saved them
+          <ArrowRight className="ml-2 h-5 w-5" />
+        </Button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Second login step for a `challenge` returned by /api/auth/login. Starts with enrollment
+ * when the account has to set up 2FA first. Calls onComplete with the session data.
+ */
+export function TwoFactorStep({ challenge, onComplete }) {
+  const [code, setCode] = useState('');
+  const [enrollment, setEnrollment] = useState(null);
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Each enroll call issues a new secret, so it is requested once even when effects run twice
+  const enrolling = useRef(false);
+
+  useEffect(() => {
+    if (!challenge.enrollment_required || enrolling.current) return;
+    enrolling.current = true;
+    postJson(fetch, '/api/auth/2fa/enroll', { challenge_token: challenge.challenge_token })
+      .then(setEnrollment)
+      .catch(err => setError(err.message));
+  }, [challenge]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const data = await postJson(fetch, '/api/auth/2fa/verify', { challenge_token: challenge.challenge_token, code });
+      if (data.backup_codes) setSession(data);
+      else onComplete(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (session) return <BackupCodes codes={session.backup_codes} onDone={() => onComplete(session)} />;
+
+  return (
+    <form className="space-y-6" onSubmit={submit}>
+      {challenge.enrollment_required ? (
+        <>
+          <p className="text-sm text-gray-600">Two-factor authentication is required for this account.</p>
+          {enrollment && <EnrollmentSecret secret={enrollment.secret} otpauthUri={enrollment.otpauth_uri} />}
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">Enter the code from your authenticator app, or one of your backup codes.</p>
+      )}
+      <Input
+        id="code"
+        name="code"
+        label="Verification Code"
+        placeholder="123456"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        leftIcon={<KeyRound className="h-5 w-5 text-gray-400" />}
+        required
+      />
+      <ErrorNotice error={error} />
+      <Button type="submit" size="lg" className="w-full" loading={loading} disabled={loading} variant="primary">
+        {loading ? 'Verifying...' : 'Verify'}
+        <ArrowRight className="ml-2 h-5 w-5" />
+      </Button>
+    </form>
+  );
+}
+
+/**
+ * Dashboard card of the signed-in user's 2FA: set it up, regenerate backup codes, or
+ * turn it off where the role allows
+ */
+export function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+
+  const loadStatus = () => {
+    authFetch('/api/auth/2fa')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setStatus)
+      .catch(() => setStatus(null));
+  };
+
+  useEffect(loadStatus, []);
+
+  const run = async (url, body, onSuccess) => {
+    setError('');
+    try {
+      const data = await postJson(authFetch, url, body);
+      setCode('');
+      onSuccess(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startSetup = () => run('/api/auth/2fa/setup', {}, setEnrollment);
+  const enable = () => run('/api/auth/2fa/enable', { code }, (data) => {
+    setEnrollment(null);
+    setBackupCodes(data.backup_codes);
+    loadStatus();
+  });
+  const regenerate = () => run('/api/auth/2fa/backup-codes', { code }, (data) => {
+    setBackupCodes(data.backup_codes);
+    loadStatus();
+  });
+  const disable = () => run('/api/auth/2fa/disable', { code }, loadStatus);
+
+  if (!status) return null;
+
+  const codeInput = (
+    <Input
+      id="two-factor-code"
+      name="code"
+      placeholder={status.enabled ? 'Code or backup code' : 'Code from the app'}
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      leftIcon={<KeyRound className="h-5 w-5 text-gray-400" />}
+    />
+  );
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Two-factor authentication</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {status.enabled
+          ? `Enabled. ${status.backup_codes_remaining} backup codes left.`
+          : 'Protect your account with a code from an authenticator app at every login.'}
+      </p>
+
+      {backupCodes ? (
+        <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />
+      ) : status.enabled ? (
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="w-56">{codeInput}</div>
+          <Button variant="outline" onClick={regenerate} disabled={!code}>New backup codes</Button>
+          {!status.required && <Button variant="outline" onClick={disable} disabled={!code}>Turn off</Button>}
+        </div>
+      ) : enrollment ? (
+        <div className="space-y-4">
+          <EnrollmentSecret secret={enrollment.secret} otpauthUri={enrollment.otpauth_uri} />
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="w-56">{codeInput}</div>
+            <Button variant="primary" onClick={enable} disabled={!code}>Turn on</Button>
+          </div>
+        </div>
+      ) : (
+        <Button variant="primary" onClick={startSetup}>Set up</Button>
+      )}
+
+      {error && <div className="mt-4"><ErrorNotice error={error} /></div>}
+    </div>
+  );
+}
+
+export default TwoFactorStep;
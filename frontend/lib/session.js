@@ -0,0 +1,78 @@
+// Login session kept in localStorage: a short-lived access token ('token') and the
+// refresh token that renews it. The refresh token rotates on every use.
+
+/**
+ * Store the tokens returned by /api/auth/login or /api/auth/refresh
+ */
+export function saveSession(data) {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refresh_token', data.refresh_token);
+  if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+}
+
+export function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refresh_token');
+  localStorage.removeItem('user');
+}
+
+// Refreshes are shared so parallel requests do not spend the same refresh token twice,
+// which the backend treats as token theft
+let pendingRefresh = null;
+
+/**
+ * Renew the access token. Resolves to true on success; clears the session otherwise.
+ */
+export function refreshSession() {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      const refreshToken = localStorage.getItem('refresh_token');
+      if (!refreshToken) return false;
+      try {
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        });
+        if (!response.ok) {
+          clearSession();
+          return false;
+        }
+        saveSession(await response.json());
+        return true;
+      } catch (err) {
+        return false;
+      }
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * fetch() with the access token attached; on 401 the token is refreshed once and the
+ * request retried
+ */
+export async function authFetch(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${localStorage.getItem('token')}` }
+  });
+
+  const response = await send();
+  if (response.status !== 401 || !(await refreshSession())) return response;
+  return send();
+}
+
+/**
+ * End this session, or every session of the user with { allDevices: true }
+ */
+export async function logout({ allDevices = false } = {}) {
+  try {
+    await authFetch(allDevices ? '/api/auth/logout-all' : '/api/auth/logout', { method: 'POST' });
+  } catch (err) {
+    // The local session is cleared either way
+  }
+  clearSession();
+}
@@ -134,6 +134,7 @@ export function getStatusColor(status) {
     'active': 'success',
     'inactive': 'secondary',
     'delivered': 'success',
+    'undelivered': 'error',
     'in_transit': 'info',
     'cancelled': 'error',
     'created': 'info',
@@ -1 +1,149 @@
-export default function AdminApprovals(){ return (<div style={{padding:20}}><h2>Admin Approvals</h2></div>); }
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { openDocument } from '../../components/KycDocuments';
+import { authFetch } from '../../lib/session';
+
+const STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  ACCEPTED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800'
+};
+
+const GROUPS = [
+  { key: 'companies', type: 'company', title: 'Companies', label: (row) => row.name },
+  { key: 'operators', type: 'operator', title: 'Drivers', label: (row) => `${row.name}${row.license_no ? ` · ${row.license_no}` : ''}` },
+  { key: 'vehicles', type: 'vehicle', title: 'Vehicles', label: (row) => `${row.reg_no} · ${row.type}` }
+];
+
+export default function AdminApprovals() {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+  const router = useRouter();
+
+  const fetchPending = async () => {
+    try {
+      const response = await authFetch('/api/admin/pending');
+      const data = await response.json();
+      if (response.ok) setPending(data);
+      else setError(data.error || 'Failed to load pending approvals');
+    } catch (err) {
+      setError('Failed to load pending approvals');
+    }
+  };
+
+  useEffect(() => {
+    if (!localStorage.getItem('token')) {
+      router.push('/admin/login');
+      return;
+    }
+    fetchPending();
+  }, []);
+
+  const post = async (url, body) => {
+    const response = await authFetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const data = await response.json();
+    if (!response.ok) {
+      alert(data.error || 'Request failed');
+      return;
+    }
+    fetchPending();
+  };
+
+  const reviewDocument = (documentId, decision) => {
+    const remarks = decision === 'reject' ? prompt('Reason for rejecting this document (shown to the owner)') : '';
+    if (decision === 'reject' && !remarks?.trim()) return;
+    post(`/api/admin/documents/${documentId}/review`, { decision, remarks });
+  };
+
+  const reviewOwner = (type, id, action) => {
+    const remarks = prompt(action === 'reject' ? 'Reason for rejecting (required)' : 'Remarks (optional)') ?? null;
+    if (remarks === null || (action === 'reject' && !remarks.trim())) return;
+    post('/api/admin/approve', { type, id, action, remarks });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">KYC Approvals</h1>
+        {error && <p className="text-red-600">{error}</p>}
+        {!error && !pending && <p className="text-gray-500">Loading...</p>}
+
+        {pending && GROUPS.map(group => (
+          <div key={group.key} className="bg-white shadow rounded-lg mb-8">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900">Pending {group.title} ({pending[group.key].length})</h3>
+            </div>
+            <div className="divide-y divide-gray-200">
+              {pending[group.key].length === 0 && <p className="px-6 py-4 text-gray-500">Nothing to review</p>}
+              {pending[group.key].map(row => (
+                <div key={row.id} className="px-6 py-4">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-gray-900">{group.label(row)}</p>
+                      {row.email_verified === false && (
+                        <p className="text-sm text-yellow-700">Email address not verified</p>
+                      )}
+                      {row.missing_documents.length > 0 && (
+                        <p className="text-sm text-gray-500">Awaiting: {row.missing_documents.join(', ')}</p>
+                      )}
+                    </div>
+                    <div className="space-x-2">
+                      <button
+                        onClick={() => reviewOwner(group.type, row.id, 'approve')}
+                        disabled={row.missing_documents.length > 0 || row.email_verified === false}
+                        className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => reviewOwner(group.type, row.id, 'reject')}
+                        className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+
+                  <table className="mt-3 min-w-full text-sm">
+                    <tbody>
+                      {row.documents.map(slot => (
+                        <tr key={slot.doc_type} className="border-t border-gray-100">
+                          <td className="py-2 pr-4 text-gray-700">{slot.label}{slot.required ? '' : ' (optional)'}</td>
+                          {slot.document ? (
+                            <>
+                              <td className="py-2 pr-4 text-gray-500">Expires {slot.document.expires_on}</td>
+                              <td className="py-2 pr-4">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[slot.document.status]}`}>
+                                  {slot.document.status}
+                                </span>
+                                {slot.document.remarks && <span className="ml-2 text-gray-500">{slot.document.remarks}</span>}
+                                {slot.accepted && slot.accepted.id !== slot.document.id && (
+                                  <span className="ml-2 text-gray-500">renewal of document valid until {slot.accepted.expires_on}</span>
+                                )}
+                              </td>
+                              <td className="py-2 text-right space-x-3">
+                                <button onClick={() => openDocument(slot.document.id)} className="text-blue-600 hover:text-blue-800">View</button>
+                                {slot.document.status === 'PENDING' && (
+                                  <>
+                                    <button onClick={() => reviewDocument(slot.document.id, 'accept')} className="text-green-600 hover:text-green-800">Accept</button>
+                                    <button onClick={() => reviewDocument(slot.document.id, 'reject')} className="text-red-600 hover:text-red-800">Reject</button>
+                                  </>
+                                )}
+                              </td>
+                            </>
+                          ) : (
+                            <td colSpan={3} className="py-2 text-gray-400">Not uploaded</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
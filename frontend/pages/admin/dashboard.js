@@ -1,11 +1,15 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import { logout } from '../../lib/session';
+import RouteReplay from '../../components/RouteReplay';
+import { TwoFactorSettings } from '../../components/TwoFactor';
 
 export default function AdminDashboard() {
   const [stats, setStats] = useState({});
   const [pendingApprovals, setPendingApprovals] = useState({ companies: [], operators: [], vehicles: [] });
   const [shipments, setShipments] = useState([]);
   const [payouts, setPayouts] = useState([]);
+  const [replayShipmentId, setReplayShipmentId] = useState(null);
   const [loading, setLoading] = useState(true);
   const router = useRouter();
   
@@ -135,8 +139,8 @@ export default function AdminDashboard() {
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
+  const handleLogout = async (allDevices = false) => {
+    await logout({ allDevices });
     router.push('/admin/login');
   };
 
@@ -161,12 +165,20 @@ export default function AdminDashboard() {
               <h1 className="text-2xl font-bold text-gray-900">Admin Dashboard</h1>
               <p className="text-gray-600">TrackAS Administration Panel</p>
             </div>
-            <button
-              onClick={handleLogout}
-              className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700"
-            >
-              Logout
-            </button>
+            <div className="flex space-x-4">
+              <button
+                onClick={() => handleLogout()}
+                className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700"
+              >
+                Logout
+              </button>
+              <button
+                onClick={() => handleLogout(true)}
+                className="text-gray-600 px-4 py-2 rounded-lg hover:bg-gray-100"
+              >
+                Log out all devices
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -239,6 +251,8 @@ export default function AdminDashboard() {
           </div>
         </div>
 
+        <TwoFactorSettings />
+
         {/* Pending Approvals */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
           {/* Pending Companies */}
@@ -373,6 +387,9 @@ export default function AdminDashboard() {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Cost
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Trail
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
@@ -398,6 +415,14 @@ export default function AdminDashboard() {
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       ₹{shipment.value?.toLocaleString() || '0'}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <button
+                        onClick={() => setReplayShipmentId(shipment.id)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        Replay
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -405,6 +430,10 @@ export default function AdminDashboard() {
           </div>
         </div>
 
+        {replayShipmentId && (
+          <RouteReplay shipmentId={replayShipmentId} onClose={() => setReplayShipmentId(null)} />
+        )}
+
         {/* Payouts */}
         <div className="bg-white shadow rounded-lg">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -0,0 +1,5 @@
+import { AcceptInvitationForm } from '../../components/AccountForms';
+
+export default function CompanyAcceptInvite() {
+  return <AcceptInvitationForm portal="company" />;
+}
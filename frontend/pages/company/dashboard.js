@@ -1,8 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import { logout } from '../../lib/session';
+import KycDocuments from '../../components/KycDocuments';
+import ApprovalNotice from '../../components/ApprovalNotice';
+import { TwoFactorSettings } from '../../components/TwoFactor';
+import CompanyTeam from '../../components/CompanyTeam';
+import FleetRoster from '../../components/FleetRoster';
+import ConsolidationPlanner from '../../components/ConsolidationPlanner';
 
 export default function CompanyDashboard() {
   const [shipments, setShipments] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [stats, setStats] = useState({
@@ -22,8 +30,20 @@ export default function CompanyDashboard() {
     
     fetchUserData();
     fetchShipments();
+    fetchVehicles();
   }, []);
 
+  const fetchVehicles = async () => {
+    try {
+      const response = await fetch('/api/company/vehicles', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      });
+      if (response.ok) setVehicles(await response.json());
+    } catch (error) {
+      console.error('Error fetching vehicles:', error);
+    }
+  };
+
   const fetchUserData = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -117,8 +137,8 @@ export default function CompanyDashboard() {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
+  const handleLogout = async (allDevices = false) => {
+    await logout({ allDevices });
     router.push('/company/login');
   };
 
@@ -151,11 +171,17 @@ export default function CompanyDashboard() {
                 Create Shipment
               </a>
               <button
-                onClick={handleLogout}
+                onClick={() => handleLogout()}
                 className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700"
               >
                 Logout
               </button>
+              <button
+                onClick={() => handleLogout(true)}
+                className="text-gray-600 px-4 py-2 rounded-lg hover:bg-gray-100"
+              >
+                Log out all devices
+              </button>
             </div>
           </div>
         </div>
@@ -231,6 +257,26 @@ export default function CompanyDashboard() {
           </div>
         </div>
 
+        <ApprovalNotice endpoint="/api/company/me" />
+
+        <TwoFactorSettings />
+
+        <CompanyTeam />
+
+        <FleetRoster vehicles={vehicles} />
+
+        <ConsolidationPlanner />
+
+        {/* KYC Documents */}
+        <KycDocuments title="Company Documents" endpoint="/api/company/documents" />
+        {vehicles.map(vehicle => (
+          <KycDocuments
+            key={vehicle.id}
+            title={`Vehicle ${vehicle.reg_no} (${vehicle.status})`}
+            endpoint={`/api/company/vehicles/${vehicle.id}/documents`}
+          />
+        ))}
+
         {/* Shipments Table */}
         <div className="bg-white shadow rounded-lg">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -0,0 +1,5 @@
+import { ForgotPasswordForm } from '../../components/AccountForms';
+
+export default function CompanyForgotPassword() {
+  return <ForgotPasswordForm portal="company" />;
+}
@@ -6,35 +6,43 @@ import Logo from '../../components/ui/Logo';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Card, { CardContent } from '../../components/ui/Card';
+import { TwoFactorStep } from '../../components/TwoFactor';
+import { saveSession } from '../../lib/session';
 
 export default function CompanyLogin() {
   const [email, setEmail] = useState('company@demo.com');
   const [password, setPassword] = useState('password123');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [challenge, setChallenge] = useState(null);
   const router = useRouter();
 
+  function completeLogin(session) {
+    saveSession(session);
+    router.push('/company/dashboard');
+  }
+
   async function login() {
     setLoading(true);
     setError('');
 
     try {
-      const response = await fetch('http://localhost:4000/api/auth', {
+      const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ action: 'login', userType: 'company', email, password }),
+        body: JSON.stringify({ email, password }),
       });
 
       const data = await response.json();
 
-      if (data.success) {
-        localStorage.setItem('token', data.data.token);
-        localStorage.setItem('user', JSON.stringify(data.data.user));
-        router.push('/company/dashboard');
+      if (data.two_factor_required) {
+        setChallenge(data);
+      } else if (data.success) {
+        completeLogin(data);
       } else {
-        setError(data.message || 'Login failed. Please try again.');
+        setError(data.error || 'Login failed. Please try again.');
       }
     } catch (err) {
       setError('Network error. Please try again.');
@@ -63,8 +71,11 @@ export default function CompanyLogin() {
                 Access your company dashboard
               </p>
             </div>
+            {/* Second step for two-factor accounts */}
+            {challenge && <TwoFactorStep challenge={challenge} onComplete={completeLogin} />}
+
             {/* Login Form */}
-            <form className="space-y-6" onSubmit={(e) => { e.preventDefault(); login(); }}>
+            {!challenge && <form className="space-y-6" onSubmit={(e) => { e.preventDefault(); login(); }}>
               <div className="space-y-4">
                 <Input
                   id="email"
@@ -90,6 +101,12 @@ export default function CompanyLogin() {
                 />
               </div>
 
+              <div className="text-right -mt-2">
+                <a href="/company/forgot-password" className="text-sm text-primary-600 hover:text-primary-700 transition-colors">
+                  Forgot password?
+                </a>
+              </div>
+
               {error && (
                 <div className="rounded-lg bg-error-50 border border-error-200 p-4">
                   <div className="text-sm text-error-700">{error}</div>
@@ -121,7 +138,7 @@ export default function CompanyLogin() {
                 <p>Email: company@demo.com</p>
                 <p>Password: password123</p>
               </div>
-            </form>
+            </form>}
 
             {/* Made by Vipul Sharma */}
             <div className="mt-8 pt-6 border-t border-gray-200 text-center">
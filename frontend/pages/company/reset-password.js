@@ -0,0 +1,5 @@
+import { ResetPasswordForm } from '../../components/AccountForms';
+
+export default function CompanyResetPassword() {
+  return <ResetPasswordForm portal="company" />;
+}
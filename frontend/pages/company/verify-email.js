@@ -0,0 +1,5 @@
+import { VerifyEmail } from '../../components/AccountForms';
+
+export default function CompanyVerifyEmail() {
+  return <VerifyEmail portal="company" />;
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import { logout } from '../../lib/session';
 
 export default function CompanyWallet() {
   const [wallet, setWallet] = useState(null);
@@ -124,9 +125,8 @@ export default function CompanyWallet() {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await logout();
     router.push('/company/login');
   };
 
@@ -1,5 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import { logout } from '../../lib/session';
+import KycDocuments from '../../components/KycDocuments';
+import ApprovalNotice from '../../components/ApprovalNotice';
+import FleetMembership from '../../components/FleetMembership';
+import DriverTrips from '../../components/DriverTrips';
 
 export default function DriverDashboard() {
   const [shipments, setShipments] = useState([]);
@@ -170,8 +175,8 @@ export default function DriverDashboard() {
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
+  const handleLogout = async (allDevices = false) => {
+    await logout({ allDevices });
     router.push('/driver/login');
   };
 
@@ -211,11 +216,17 @@ export default function DriverDashboard() {
                 </button>
               </div>
               <button
-                onClick={handleLogout}
+                onClick={() => handleLogout()}
                 className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700"
               >
                 Logout
               </button>
+              <button
+                onClick={() => handleLogout(true)}
+                className="text-gray-600 px-4 py-2 rounded-lg hover:bg-gray-100"
+              >
+                Log out all devices
+              </button>
             </div>
           </div>
         </div>
@@ -275,6 +286,13 @@ export default function DriverDashboard() {
           </div>
         </div>
 
+        <ApprovalNotice endpoint="/api/operator/profile" />
+        <FleetMembership />
+        <DriverTrips />
+
+        {/* KYC Documents */}
+        <KycDocuments title="My Documents" endpoint="/api/operator/documents" />
+
         {/* Available Shipments */}
         {online && availableShipments.length > 0 && (
           <div className="bg-white shadow rounded-lg mb-8">
@@ -0,0 +1,5 @@
+import { ForgotPasswordForm } from '../../components/AccountForms';
+
+export default function DriverForgotPassword() {
+  return <ForgotPasswordForm portal="driver" />;
+}
@@ -6,6 +6,7 @@ import Logo from '../../components/ui/Logo';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Card, { CardContent } from '../../components/ui/Card';
+import { saveSession } from '../../lib/session';
 
 export default function DriverLogin() {
   const [email, setEmail] = useState('driver@demo.com');
@@ -19,22 +20,21 @@ export default function DriverLogin() {
     setError('');
 
     try {
-      const response = await fetch('http://localhost:4000/api/auth', {
+      const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ action: 'login', userType: 'driver', email, password }),
+        body: JSON.stringify({ email, password }),
       });
 
       const data = await response.json();
 
       if (data.success) {
-        localStorage.setItem('token', data.data.token);
-        localStorage.setItem('user', JSON.stringify(data.data.user));
+        saveSession(data);
         router.push('/driver/dashboard');
       } else {
-        setError(data.message || 'Login failed. Please try again.');
+        setError(data.error || 'Login failed. Please try again.');
       }
     } catch (err) {
       setError('Network error. Please try again.');
@@ -90,6 +90,12 @@ export default function DriverLogin() {
                 />
               </div>
 
+              <div className="text-right -mt-2">
+                <a href="/driver/forgot-password" className="text-sm text-primary-600 hover:text-primary-700 transition-colors">
+                  Forgot password?
+                </a>
+              </div>
+
               {error && (
                 <div className="rounded-lg bg-error-50 border border-error-200 p-4">
                   <div className="text-sm text-error-700">{error}</div>
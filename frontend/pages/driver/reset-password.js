@@ -0,0 +1,5 @@
+import { ResetPasswordForm } from '../../components/AccountForms';
+
+export default function DriverResetPassword() {
+  return <ResetPasswordForm portal="driver" />;
+}
@@ -1,9 +1,34 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 
+const ACTOR_LABELS = {
+  COMPANY: 'Sender',
+  OPERATOR: 'Driver',
+  ADMIN: 'TrackAS'
+};
+
+const STOP_LABELS = {
+  PENDING: 'Upcoming',
+  ARRIVED: 'Driver on site',
+  DEPARTED: 'Driver left',
+  COMPLETED: 'Done',
+  FAILED: 'Not delivered'
+};
+
+const STOP_COLORS = {
+  ARRIVED: 'bg-blue-100 text-blue-800',
+  COMPLETED: 'bg-green-100 text-green-800',
+  FAILED: 'bg-red-100 text-red-800'
+};
+
 export default function TrackShipment() {
   const [shipment, setShipment] = useState(null);
-  const [events, setEvents] = useState([]);
+  const [driver, setDriver] = useState(null);
+  const [location, setLocation] = useState(null);
+  const [eta, setEta] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [stops, setStops] = useState([]);
+  const [drops, setDrops] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const router = useRouter();
@@ -15,17 +40,36 @@ export default function TrackShipment() {
     }
   }, [trackingId]);
 
+  // Live position and ETA while the shipment is on the road
+  useEffect(() => {
+    if (!trackingId || !shipment || ['DELIVERED', 'UNDELIVERED', 'CANCELLED'].includes(shipment.status)) return;
+    // EventSource resends Last-Event-ID on reconnect, so nothing is missed in between
+    const source = new EventSource(`/api/tracking/${trackingId}/stream`);
+    source.addEventListener('location', (event) => setLocation(JSON.parse(event.data)));
+    source.addEventListener('eta', (event) => setEta(JSON.parse(event.data)));
+    source.addEventListener('status', (event) => {
+      if (JSON.parse(event.data).to !== shipment.status) fetchShipmentData();
+    });
+    source.addEventListener('stop', fetchShipmentData);
+    return () => source.close();
+  }, [trackingId, shipment?.status]);
+
   const fetchShipmentData = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`/api/tracking?trackingId=${trackingId}`);
+      const response = await fetch(`/api/tracking/${trackingId}`);
       const data = await response.json();
 
-      if (data.success) {
-        setShipment(data.data.shipment);
-        setEvents(data.data.events);
+      if (response.ok) {
+        setShipment(data.shipment);
+        setDriver(data.driver);
+        setLocation(data.location);
+        setEta(data.eta);
+        setTimeline(data.timeline || []);
+        setStops(data.stops || []);
+        setDrops(data.drops || null);
       } else {
-        setError(data.message || 'Shipment not found');
+        setError(data.error || 'Shipment not found');
       }
     } catch (err) {
       setError('Failed to fetch shipment data');
@@ -36,28 +80,36 @@ export default function TrackShipment() {
 
   const getStatusColor = (status) => {
     const colors = {
-      'pending': 'bg-gray-100 text-gray-800',
-      'picked_up': 'bg-blue-100 text-blue-800',
-      'in_transit': 'bg-yellow-100 text-yellow-800',
-      'out_for_delivery': 'bg-orange-100 text-orange-800',
-      'delivered': 'bg-green-100 text-green-800',
-      'cancelled': 'bg-red-100 text-red-800'
+      'CREATED': 'bg-gray-100 text-gray-800',
+      'ASSIGNED': 'bg-indigo-100 text-indigo-800',
+      'PICKUP': 'bg-blue-100 text-blue-800',
+      'IN_TRANSIT': 'bg-yellow-100 text-yellow-800',
+      'DELIVERED': 'bg-green-100 text-green-800',
+      'UNDELIVERED': 'bg-red-100 text-red-800',
+      'CANCELLED': 'bg-red-100 text-red-800'
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
 
   const getStatusIcon = (status) => {
     const icons = {
-      'pending': '⏳',
-      'picked_up': '📦',
-      'in_transit': '🚚',
-      'out_for_delivery': '🚛',
-      'delivered': '✅',
-      'cancelled': '❌'
+      'CREATED': '📝',
+      'ASSIGNED': '👤',
+      'PICKUP': '📦',
+      'IN_TRANSIT': '🚚',
+      'DELIVERED': '✅',
+      'UNDELIVERED': '↩️',
+      'CANCELLED': '❌'
     };
     return icons[status] || '❓';
   };
 
+  const formatStatus = (status) => status.replace('_', ' ');
+
+  const completedSteps = timeline.filter(entry => entry.state === 'completed').length;
+  const progressPercentage = timeline.length ? Math.round((completedSteps / timeline.length) * 100) : 0;
+  const deliveredEntry = timeline.find(entry => entry.status === 'DELIVERED' && entry.timestamp);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -98,7 +150,7 @@ export default function TrackShipment() {
               <p className="text-gray-600">Tracking ID: {trackingId}</p>
             </div>
             <div className={`px-4 py-2 rounded-full text-sm font-medium ${getStatusColor(shipment.status)}`}>
-              {getStatusIcon(shipment.status)} {shipment.status.replace('_', ' ').toUpperCase()}
+              {getStatusIcon(shipment.status)} {formatStatus(shipment.status)}
             </div>
           </div>
         </div>
@@ -109,12 +161,12 @@ export default function TrackShipment() {
           <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
             <div
               className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${shipment.progressPercentage}%` }}
+              style={{ width: `${progressPercentage}%` }}
             ></div>
           </div>
           <div className="flex justify-between text-sm text-gray-600">
             <span>0%</span>
-            <span className="font-medium">{shipment.progressPercentage}% Complete</span>
+            <span className="font-medium">{progressPercentage}% Complete</span>
             <span>100%</span>
           </div>
         </div>
@@ -125,10 +177,13 @@ export default function TrackShipment() {
           <div className="bg-white rounded-lg shadow-sm p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Pickup Details</h3>
             <div className="space-y-2">
-              <p><span className="font-medium">Address:</span> {shipment.pickupAddress}</p>
-              <p><span className="font-medium">Date:</span> {new Date(shipment.pickupDate).toLocaleDateString()}</p>
-              <p><span className="font-medium">Weight:</span> {shipment.weight} kg</p>
-              <p><span className="font-medium">Dimensions:</span> {shipment.dimensions}</p>
+              <p><span className="font-medium">Address:</span> {shipment.pickup}</p>
+              <p><span className="font-medium">Booked:</span> {new Date(shipment.created_at).toLocaleString()}</p>
+              <p><span className="font-medium">Weight:</span> {shipment.dimensions.weight} kg</p>
+              <p>
+                <span className="font-medium">Dimensions:</span>{' '}
+                {shipment.dimensions.length} x {shipment.dimensions.width} x {shipment.dimensions.height}
+              </p>
             </div>
           </div>
 
@@ -136,29 +191,82 @@ export default function TrackShipment() {
           <div className="bg-white rounded-lg shadow-sm p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Delivery Details</h3>
             <div className="space-y-2">
-              <p><span className="font-medium">Address:</span> {shipment.deliveryAddress}</p>
-              <p><span className="font-medium">Estimated:</span> {new Date(shipment.estimatedDelivery).toLocaleDateString()}</p>
-              {shipment.actualDelivery && (
-                <p><span className="font-medium">Delivered:</span> {new Date(shipment.actualDelivery).toLocaleDateString()}</p>
+              <p><span className="font-medium">Address:</span> {shipment.destination}</p>
+              <p><span className="font-medium">Recipient:</span> {shipment.customer_name}</p>
+              {deliveredEntry && (
+                <p><span className="font-medium">Delivered:</span> {new Date(deliveredEntry.timestamp).toLocaleString()}</p>
+              )}
+              {!deliveredEntry && eta?.estimated_delivery_at && (
+                <p>
+                  <span className="font-medium">Estimated arrival:</span> {new Date(eta.estimated_delivery_at).toLocaleString()}
+                  {eta.remaining_km != null && <span className="text-gray-600"> ({eta.remaining_km} km to go)</span>}
+                </p>
+              )}
+              {!deliveredEntry && eta?.promised_delivery_at && (
+                <p><span className="font-medium">Promised by:</span> {new Date(eta.promised_delivery_at).toLocaleString()}</p>
+              )}
+              {eta?.delayed && (
+                <p className="inline-block px-3 py-1 rounded-full text-sm font-medium bg-red-100 text-red-800">Running late</p>
+              )}
+              {driver && (
+                <p><span className="font-medium">Driver:</span> {driver.name}</p>
+              )}
+              {driver?.vehicle && (
+                <p><span className="font-medium">Vehicle:</span> {driver.vehicle.reg_no}{driver.vehicle.type && ` (${driver.vehicle.type})`}</p>
               )}
-              <p><span className="font-medium">Description:</span> {shipment.description}</p>
             </div>
           </div>
         </div>
 
+        {/* Stops */}
+        {stops.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Stops</h3>
+              {drops?.total > 0 && (
+                <p className="text-sm text-gray-600">
+                  {drops.completed} of {drops.total} drops delivered
+                  {drops.failed > 0 && ` · ${drops.failed} not delivered`}
+                </p>
+              )}
+            </div>
+            {shipment.partial_delivery && (
+              <p className="mb-4 inline-block px-3 py-1 rounded-full text-sm font-medium bg-yellow-100 text-yellow-800">Partially delivered</p>
+            )}
+            <ol className="space-y-3">
+              {stops.map((stop) => {
+                const at = stop.completed_at || stop.failed_at || stop.arrived_at;
+                return (
+                  <li key={stop.id} className="flex items-start justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{stop.kind === 'PICKUP' ? 'Pickup' : 'Drop'}</p>
+                      <p className="text-sm text-gray-600">{stop.address}</p>
+                    </div>
+                    <div className="text-right">
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${STOP_COLORS[stop.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {STOP_LABELS[stop.status] || stop.status}
+                      </span>
+                      {at && <p className="text-xs text-gray-500 mt-1">{new Date(at).toLocaleString()}</p>}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+        )}
+
         {/* Current Location */}
-        {shipment.currentLocation && (
+        {location && (
           <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Current Location</h3>
             <div className="flex items-center">
               <div className="text-2xl mr-3">📍</div>
               <div>
-                <p className="font-medium text-gray-900">{shipment.currentLocation}</p>
+                <p className="font-medium text-gray-900">
+                  {Number(location.lat).toFixed(5)}, {Number(location.lng).toFixed(5)}
+                </p>
                 <p className="text-sm text-gray-600">
-                  {shipment.hoursRemaining > 0 
-                    ? `Estimated delivery in ${shipment.hoursRemaining} hours`
-                    : 'Delivery completed'
-                  }
+                  Last updated {new Date(location.timestamp).toLocaleString()}
                 </p>
               </div>
             </div>
@@ -169,29 +277,39 @@ export default function TrackShipment() {
         <div className="bg-white rounded-lg shadow-sm p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-6">Tracking Timeline</h3>
           <div className="space-y-4">
-            {events.map((event, index) => (
-              <div key={event.id} className="flex items-start">
-                <div className="flex-shrink-0">
-                  <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium ${getStatusColor(event.status)}`}>
-                    {getStatusIcon(event.status)}
+            {timeline.map((entry) => {
+              const pending = entry.state === 'pending';
+              return (
+                <div key={entry.status} className={`flex items-start ${pending ? 'opacity-50' : ''}`}>
+                  <div className="flex-shrink-0">
+                    <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium ${pending ? 'bg-gray-100 text-gray-400' : getStatusColor(entry.status)}`}>
+                      {pending ? '○' : getStatusIcon(entry.status)}
+                    </div>
                   </div>
-                </div>
-                <div className="ml-4 flex-1">
-                  <div className="flex items-center justify-between">
-                    <h4 className="text-sm font-medium text-gray-900">
-                      {event.status.replace('_', ' ').toUpperCase()}
-                    </h4>
-                    <p className="text-sm text-gray-500">
-                      {new Date(event.timestamp).toLocaleString()}
+                  <div className="ml-4 flex-1">
+                    <div className="flex items-center justify-between">
+                      <h4 className="text-sm font-medium text-gray-900">
+                        {formatStatus(entry.status)}
+                      </h4>
+                      <p className="text-sm text-gray-500">
+                        {pending
+                          ? 'Pending'
+                          : entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'Completed'}
+                      </p>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {entry.description}
+                      {entry.actor_role && ` · by ${ACTOR_LABELS[entry.actor_role] || entry.actor_role}`}
                     </p>
+                    {entry.location && (
+                      <p className="text-sm text-gray-500 mt-1">
+                        📍 {Number(entry.location.lat).toFixed(5)}, {Number(entry.location.lng).toFixed(5)}
+                      </p>
+                    )}
                   </div>
-                  <p className="text-sm text-gray-600 mt-1">{event.description}</p>
-                  {event.location && (
-                    <p className="text-sm text-gray-500 mt-1">📍 {event.location}</p>
-                  )}
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
 
@@ -214,4 +332,3 @@ export default function TrackShipment() {
     </div>
   );
 }
-